@@ -1,87 +1,351 @@
-import fs from 'fs'
-import fetch from 'node-fetch'
+import { EventEmitter } from 'events'
 import * as cheerio from 'cheerio'
-import OpenAI from 'openai'
-import pdf from 'pdf-parse/lib/pdf-parse.js'
-import mammoth from 'mammoth'
-import * as XLSX from 'xlsx'
 import dotenv from 'dotenv'
+import { createProviderFromEnv, resolveLLMSettings } from './llm-providers.js'
+import { attachProvenance } from './provenance.js'
+import { collectAnalysisSources, chunkSources, computeCoverage, truncateToTokens } from './content-chunker.js'
+import { mergeRequirementLists, applyReductionGroups } from './requirement-merger.js'
+import { hashContent, subsidyIdForUrl } from './analysis-store.js'
+import { HttpCache } from './http-cache.js'
+import { PoliteFetcher } from './polite-fetcher.js'
+import { loadAttestationSchema } from './attestation-schema.js'
+import { normalizeMetadata, mergeMetadata, emptyMetadata } from './subsidy-metadata.js'
+import { SITE_ADAPTERS, adapterForUrl, adapterByName, resolveLink } from './site-adapters.js'
+import { extractSections, sectionsToMarkdown } from './page-structure.js'
+import { DocumentExtractionError, detectDocumentType, extractText, typeFromUrl, documentTitle } from './document-extractors.js'
+import { extractFormFields, buildAutofillMap } from './form-fields.js'
+import { AnalysisError, FetchError, ParseError, toLLMError, classifyError, errorClassOf, isFatalError } from './analysis-errors.js'
+import { UrlPolicy } from './url-policy.js'
+import { RunBudget, BudgetExceededError } from './run-budget.js'
+import { RunDiagnostics } from './run-diagnostics.js'
+import { resolveSelfConsistency, sampleVariant, tagSample, reconcileSamples } from './self-consistency.js'
+import { ReviewCorrections, createCorrectionsPrompt } from './review-corrections.js'
+import { LLMOutputError, SCRAPING_PLAN_SCHEMA, CRAWL_EXPANSION_SCHEMA, ANALYSIS_SCHEMA, REDUCTION_SCHEMA, METADATA_SCHEMA, validateAgainstSchema, parseJsonOutput, createRepairPrompt } from './llm-output-schemas.js'
 
 // Load environment variables from .env file
-dotenv.config()
+dotenv.config({ quiet: true })
 
-// Initialize OpenAI client
-let openai = null
-openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-})
-
-class RVOAgentAIAutonomous {
-    constructor() {
-        this.baseUrl = 'https://www.rvo.nl'
+class RVOAgentAIAutonomous extends EventEmitter {
+    /**
+     * Options:
+     * - llm: provider from llm-providers.js (defaults to one built from the environment)
+     * - llmSettings: per call site overrides, e.g. { analysis: { model: 'gpt-4o' } }
+     * - chunking: { chunkTokens, maxChunks, planningContentTokens, metadataChunks, minChunkTokens } for the map-reduce analysis
+     * - cache: false to bypass the HTTP cache, or { directory, ttlSeconds }
+     * - fetcher: PoliteFetcher to share robots.txt and rate limits between agents
+     * - crawl: { maxDepth, maxPages, maxDocuments } budget for the crawl
+     * - siteAdapter: SiteAdapter or adapter name to use for every URL (default: picked from the input URL)
+     * - siteAdapters: adapters to pick from (default SITE_ADAPTERS from site-adapters.js)
+     * - maxRepairs: how often an answer that does not match its output schema is sent back (default 2)
+     * - urlPolicy: UrlPolicy every page and document request goes through (default: hosts of the site adapters plus ALLOWED_HOSTS)
+     * - budget: { maxTokens, maxCostEur, prices } per run (default RUN_MAX_TOKENS and RUN_MAX_COST_EUR, no limit)
+     * - selfConsistency: { samples, reviewThreshold } analyses to reconcile into confidence scores
+     *   (default SELF_CONSISTENCY_SAMPLES, 1 = off, and REVIEW_THRESHOLD)
+     * - corrections: ReviewCorrections whose corrections of this and similar regulations go into the
+     *   analysis prompt (default the file at CORRECTIONS_PATH), false to leave them out
+     */
+    constructor(options = {}) {
+        super()
+        this.siteAdapters = options.siteAdapters || SITE_ADAPTERS
+        this.siteAdapter = typeof options.siteAdapter === 'string'
+            ? adapterByName(options.siteAdapter, this.siteAdapters)
+            : options.siteAdapter || null
+        if (options.siteAdapter && !this.siteAdapter) {
+            throw new Error(`Unknown site adapter: ${options.siteAdapter}`)
+        }
+        // Adapter of the subsidy being analyzed, set by analyzeSubsidy
+        this.activeAdapter = null
+        // URLs the crawl of the running analysis has visited, reset by analyzeSubsidy
         this.visitedUrls = new Set()
+        // URLs attempted and errors of the running analysis, reset by analyzeSubsidy
+        this.diagnostics = new RunDiagnostics()
+        // Tokens and euros spent on LLM calls of the running analysis, reset by analyzeSubsidy
+        this.budgetOptions = options.budget || {}
+        this.budget = new RunBudget(this.budgetOptions)
         this.attestationSchema = this.loadAttestationSchema()
+        this.llm = options.llm || null
+        this.llmSettings = resolveLLMSettings(options.llmSettings)
+        this.maxRepairs = options.maxRepairs ?? 2
+        this.selfConsistency = resolveSelfConsistency(options.selfConsistency)
+        this.reviewCorrections = options.corrections === false ? null : options.corrections || new ReviewCorrections()
+        // Reviewer corrections given to the analysis of the running regulation, set by analyzeSubsidy
+        this.activeCorrections = []
+        this.chunking = {
+            chunkTokens: 3000,
+            maxChunks: 30,
+            planningContentTokens: 2000,
+            metadataChunks: 4,
+            // Smallest chunk size the analysis is scaled down to when the budget is tight
+            minChunkTokens: 500,
+            ...(options.chunking || {})
+        }
+        this.crawlBudget = {
+            maxDepth: 2,
+            maxPages: 12,
+            maxDocuments: 8,
+            ...(options.crawl || {})
+        }
+        // Cached responses never reach the fetcher, so re-runs are not rate limited.
+        // Requests that do go out are checked by the URL policy first, on every redirect hop.
+        this.urlPolicy = options.urlPolicy || new UrlPolicy({ adapters: this.siteAdapters })
+        this.fetcher = options.fetcher || new PoliteFetcher({ urlPolicy: this.urlPolicy })
+        this.httpCache = new HttpCache({
+            ...(options.cache || {}),
+            enabled: options.cache !== false,
+            fetchImpl: (url, fetchOptions) => this.urlPolicy.fetch(url, fetchOptions,
+                (target, targetOptions) => this.fetcher.fetch(target, targetOptions))
+        })
     }
 
     /**
-     * Load attestation schema from JSON file
+     * Get the LLM provider, throws LLMConfigurationError when it cannot be configured
      */
-    loadAttestationSchema() {
+    getLLM() {
+        if (!this.llm) {
+            this.llm = createProviderFromEnv()
+        }
+        return this.llm
+    }
+
+    /**
+     * Run a chat completion with the settings of a call site (planning, analysis, sampling, reduction, metadata).
+     * Throws BudgetExceededError, before anything is sent, when the call does not fit in the run budget.
+     */
+    async complete(callSite, messages, outputSchema = null) {
+        const settings = this.llmSettings[callSite]
+        const estimate = this.budget.estimate(settings, messages)
         try {
-            const schemaData = fs.readFileSync('./attestation-schema.json', 'utf8')
-            return JSON.parse(schemaData)
+            this.budget.check(callSite, estimate)
         } catch (error) {
-            return null
+            this.degradeForBudget(callSite, 'skipped_call', { estimated_tokens: estimate.total_tokens })
+            throw error
+        }
+
+        let completion
+        try {
+            completion = await this.getLLM().complete({
+                ...settings,
+                messages: messages,
+                responseSchema: outputSchema
+            })
+        } catch (error) {
+            throw toLLMError(error)
+        }
+        this.budget.record(callSite, completion.model || settings.model, completion.usage, estimate, completion.content)
+        return completion
+    }
+
+    /**
+     * Usage of the run for accounting: LLM tokens and the pages and documents fetched
+     * from the network (fresh cache hits cost nothing and are not counted)
+     */
+    describeUsage() {
+        const fetched = this.diagnostics.urls.filter(entry => entry.method === 'GET' && entry.http_status !== null && entry.cache !== 'fresh')
+        return {
+            pages_fetched: fetched.filter(entry => entry.kind === 'page').length,
+            documents_fetched: fetched.filter(entry => entry.kind === 'document').length,
+            llm: this.budget.usage()
+        }
+    }
+
+    /**
+     * Run a chat completion whose answer must be a JSON object matching an output schema
+     * from llm-output-schemas.js. An invalid answer is sent back with the validation
+     * errors, at most maxRepairs times; after that an LLMOutputError is thrown.
+     */
+    async completeStructured(callSite, messages, outputSchema, repairHint = null) {
+        const conversation = [...messages]
+        let errors = []
+
+        for (let attempt = 1; attempt <= this.maxRepairs + 1; attempt++) {
+            const completion = await this.complete(callSite, conversation, outputSchema)
+
+            try {
+                const value = parseJsonOutput(completion.content)
+                errors = validateAgainstSchema(value, outputSchema.schema)
+                if (errors.length === 0) {
+                    if (attempt > 1) this.emitProgress('llm_output_repaired', { call_site: callSite, schema: outputSchema.name, attempts: attempt })
+                    return value
+                }
+            } catch (error) {
+                errors = [`the response is not valid JSON: ${error.message}`]
+            }
+
+            this.emitProgress('llm_output_invalid', { call_site: callSite, schema: outputSchema.name, attempt: attempt, errors: errors.slice(0, 5) })
+            conversation.push(
+                { role: 'assistant', content: completion.content },
+                { role: 'user', content: createRepairPrompt(errors, repairHint) }
+            )
+        }
+
+        throw new LLMOutputError(outputSchema.name, errors, this.maxRepairs + 1)
+    }
+
+    /**
+     * Record that the run was scaled down to stay within its budget
+     */
+    degradeForBudget(phase, action, details = {}) {
+        this.budget.degrade(phase, action, details)
+        this.emitProgress('budget_degraded', { budget_phase: phase, action: action, ...details })
+    }
+
+    /**
+     * Why a fallback was used: { reason, error_class, message } with reason invalid_output, budget_exceeded or llm_error
+     */
+    describeFallback(error) {
+        const errorClass = classifyError(error).error_class
+        if (error instanceof BudgetExceededError) {
+            return { reason: 'budget_exceeded', error_class: errorClass, message: error.message }
+        }
+        if (error instanceof LLMOutputError) {
+            return { reason: 'invalid_output', error_class: errorClass, message: error.message, errors: error.errors.slice(0, 10) }
         }
+        return { reason: 'llm_error', error_class: errorClass, message: error.message }
+    }
+
+    /**
+     * Load attestation schema from JSON file, validated against the schema format
+     */
+    loadAttestationSchema() {
+        return loadAttestationSchema()
+    }
+
+    /**
+     * Emit a progress event so callers (job API, CLI) can follow a run
+     */
+    emitProgress(phase, data = {}) {
+        this.emit('progress', {
+            phase: phase,
+            ...data,
+            timestamp: new Date().toISOString()
+        })
     }
 
     /**
      * Main function - AI decides what to scrape and analyze
      */
     async analyzeSubsidy(url) {
+        this.visitedUrls = new Set()
+        this.diagnostics = new RunDiagnostics()
+        this.budget = new RunBudget(this.budgetOptions)
+        this.activeCorrections = []
+
         try {
+            // The input URL decides which site the crawl stays on
+            this.activeAdapter = this.siteAdapter || adapterForUrl(url, this.siteAdapters)
+            this.emitProgress('site_adapter', { url: url, adapter: this.activeAdapter.name, hosts: this.activeAdapter.hosts })
+
             // Step 1: AI analyzes the main page and decides what to scrape
             const scrapingPlan = await this.aiCreateScrapingPlan(url)
 
             // Step 2: AI executes the scraping plan
             const scrapedData = await this.aiExecuteScrapingPlan(scrapingPlan)
 
-            // Step 3: AI analyzes all collected data and extracts requirements
+            // Step 3: AI analyzes all collected data and extracts requirements, told about earlier reviewer corrections
+            this.activeCorrections = await this.loadReviewCorrections(url, scrapedData.mainPage?.title)
             const requirements = await this.aiAnalyzeAllData(scrapedData, url)
 
+            // Step 4: AI extracts the facts about the regulation (dates, budget, target groups)
+            const metadata = await this.aiExtractMetadata(scrapedData)
+
             return {
                 url: url,
                 title: scrapedData.mainPage?.title || 'Unknown',
                 requirements: requirements,
+                metadata: metadata,
+                fallbacks: [
+                    scrapingPlan.fallback ? { phase: 'planning', ...scrapingPlan.fallback } : null,
+                    requirements.fallback ? { phase: 'analysis', ...requirements.fallback } : null
+                ].filter(Boolean),
+                autofill: buildAutofillMap(scrapedData.allDocuments, this.attestationSchema),
                 analyzed_at: new Date().toISOString(),
                 pages_analyzed: scrapedData.allPages.length,
-                ai_scraping_plan: scrapingPlan
+                ai_scraping_plan: scrapingPlan,
+                coverage: requirements.coverage,
+                sources: this.describeSources(scrapedData),
+                crawl_tree: scrapedData.crawlTree,
+                diagnostics: this.diagnostics.toJSON(),
+                usage: this.describeUsage(),
+                budget: this.budget.toJSON(),
+                review_corrections: {
+                    used: this.activeCorrections.length,
+                    same_regulation: this.activeCorrections.filter(correction => correction.same_regulation).length,
+                    ids: this.activeCorrections.map(correction => correction.id)
+                }
             }
 
         } catch (error) {
-            console.error(`Error in AI-autonomous analysis:`, error.message)
+            const classified = classifyError(error)
+            console.error(`Error in AI-autonomous analysis (${classified.error_class}):`, error.message)
             return {
                 url: url,
                 error: error.message,
-                analyzed_at: new Date().toISOString()
+                error_class: classified.error_class,
+                analyzed_at: new Date().toISOString(),
+                diagnostics: this.diagnostics.toJSON(),
+                usage: this.describeUsage(),
+                budget: this.budget.toJSON()
             }
         }
     }
 
+    /**
+     * Corrections from reviews of this and similar regulations for the analysis prompt.
+     * A corrections file that cannot be read only means an analysis without them.
+     */
+    async loadReviewCorrections(url, title) {
+        if (!this.reviewCorrections) return []
+
+        try {
+            const corrections = await this.reviewCorrections.forRegulation(subsidyIdForUrl(url), title)
+            this.emitProgress('corrections_loaded', {
+                corrections: corrections.length,
+                same_regulation: corrections.filter(correction => correction.same_regulation).length
+            })
+            return corrections
+        } catch (error) {
+            this.diagnostics.recordError('corrections', error)
+            return []
+        }
+    }
+
+    /**
+     * Summarize scraped pages and documents with a content hash, so runs can be compared
+     */
+    describeSources(scrapedData) {
+        const pages = scrapedData.allPages.map(page => ({
+            url: page.url,
+            title: page.title,
+            document_type: 'page',
+            content_hash: hashContent(page.textContent),
+            characters: page.textContent.length,
+            sections: (page.sections || []).map(section => ({ id: section.id, heading: section.heading, level: section.level }))
+        }))
+
+        const documents = scrapedData.allDocuments.map(doc => ({
+            url: doc.url,
+            title: doc.title,
+            document_type: doc.type,
+            content_hash: hashContent(doc.textContent),
+            characters: doc.textContent.length
+        }))
+
+        return [...pages, ...documents]
+    }
+
     /**
      * AI creates a scraping plan based on the main page
      */
     async aiCreateScrapingPlan(mainUrl) {
-        if (!openai) {
-            console.error('❌ OPENAI_API_KEY environment variable is required for autonomous analysis')
-            process.exit(1)
-        }
+        // Fail early on a missing provider configuration instead of falling back
+        this.getLLM()
 
+        this.emitProgress('plan_started', { url: mainUrl })
 
-        try {
-            // First, get the main page content
-            const mainPageData = await this.scrapePage(mainUrl)
+        // First, get the main page content; without it there is nothing to analyze
+        const mainPageData = await this.scrapePage(mainUrl)
 
+        try {
             // Extract all actual links from the page
             const actualLinks = this.extractActualLinks(mainPageData.html, mainUrl)
 
@@ -94,7 +358,7 @@ You are an expert web scraper for Dutch government subsidy websites. Analyze the
 MAIN PAGE CONTENT:
 URL: ${mainUrl}
 Title: ${mainPageData.title}
-Content: ${mainPageData.textContent.substring(0, 3000)}
+Content: ${truncateToTokens(mainPageData.textContent, this.chunking.planningContentTokens)}
 
 ACTUAL LINKS FOUND ON THE PAGE:
 ${actualLinks.map(link => `- ${link.url} (${link.text})`).join('\n')}
@@ -139,235 +403,691 @@ Return ONLY a JSON object with this exact format:
 CRITICAL: Only use URLs from the actual links list provided above. Do not create or guess any URLs.
 `
 
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an expert web scraper for Dutch government websites. Create detailed scraping plans to find subsidy requirements. You MUST only use actual URLs found on the page. Return only valid JSON."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 1500
-            })
-
-            const response = completion.choices[0].message.content.trim()
-
-            try {
-                const plan = JSON.parse(response)
-
-                // Validate that all URLs in the plan are from the actual links
-                const validPlan = this.validateScrapingPlan(plan, actualLinks)
+            const plan = await this.completeStructured('planning', [
+                {
+                    role: "system",
+                    content: "You are an expert web scraper for Dutch government websites. Create detailed scraping plans to find subsidy requirements. You MUST only use actual URLs found on the page. Return only valid JSON."
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ], SCRAPING_PLAN_SCHEMA)
 
-                return validPlan
-            } catch (parseError) {
-                return this.createFallbackScrapingPlan(mainUrl, mainPageData)
-            }
+            // Validate that all URLs in the plan are from the actual links
+            return this.emitPlanCreated(this.validateScrapingPlan(plan, actualLinks))
 
         } catch (error) {
-            const mainPageData = await this.scrapePage(mainUrl)
-            return this.createFallbackScrapingPlan(mainUrl, mainPageData)
+            if (isFatalError(error)) throw error
+            return this.emitPlanCreated(this.createFallbackScrapingPlan(mainUrl, mainPageData, this.describeFallback(error)))
         }
     }
 
     /**
-     * AI executes the scraping plan
+     * Report a finished scraping plan and pass it through
      */
-    async aiExecuteScrapingPlan(plan) {
+    emitPlanCreated(plan) {
+        this.emitProgress('plan_created', {
+            url: plan.main_page.url,
+            sub_pages: plan.sub_pages.length,
+            documents: (plan.documents || []).length,
+            fallback: Boolean(plan.fallback),
+            ...(plan.fallback ? { fallback_reason: plan.fallback.reason } : {})
+        })
+        return plan
+    }
 
+    /**
+     * AI executes the scraping plan as an iterative crawl. After every level the
+     * AI may expand the scraped pages into a plan for the next level, bounded by
+     * the depth, page and document budgets.
+     */
+    async aiExecuteScrapingPlan(plan) {
         const allPages = []
         const allDocuments = []
+        const crawlNodes = []
+        const maxPages = this.crawlBudget.maxPages
+        const maxDocuments = this.crawlBudget.maxDocuments
 
         // Scrape main page
+        const mainNode = this.addCrawlNode(crawlNodes, {
+            url: plan.main_page.url,
+            kind: 'page',
+            depth: 0,
+            parent_url: null,
+            reason: 'Main subsidy page',
+            priority: plan.main_page.priority
+        })
+        this.visitedUrls.add(mainNode.url)
         try {
-            const mainPage = await this.scrapePage(plan.main_page.url)
-            allPages.push({
-                ...mainPage,
-                priority: plan.main_page.priority,
-                reason: 'Main subsidy page'
-            })
+            const mainPage = await this.scrapePage(mainNode.url)
+            allPages.push({ ...mainPage, priority: mainNode.priority, reason: mainNode.reason, depth: 0, parent_url: null })
+            mainNode.status = 'scraped'
+            this.emitProgress('page_scraped', { url: mainPage.url, depth: 0, page: allPages.length, total: maxPages })
         } catch (error) {
+            this.markNodeFailed(mainNode, error)
         }
 
-        // Scrape sub-pages
-        for (const subPage of plan.sub_pages.slice(0, plan.max_pages || 8)) {
-            try {
-                if (!this.visitedUrls.has(subPage.url)) {
+        // Level 1 comes from the scraping plan, deeper levels from AI expansion
+        let level = {
+            pages: plan.sub_pages.slice(0, plan.max_pages || maxPages),
+            documents: (plan.documents || []).slice(0, plan.max_documents || maxDocuments)
+        }
+
+        for (let depth = 1; depth <= this.crawlBudget.maxDepth; depth++) {
+            const levelPages = []
+
+            for (const subPage of level.pages) {
+                const node = this.addCrawlNode(crawlNodes, {
+                    ...subPage,
+                    kind: 'page',
+                    depth: depth,
+                    parent_url: subPage.parent_url || plan.main_page.url
+                })
+
+                if (this.visitedUrls.has(node.url)) {
+                    node.status = 'already_visited'
+                    continue
+                }
+                if (allPages.length >= maxPages) {
+                    node.status = 'skipped_budget'
+                    continue
+                }
+                this.visitedUrls.add(node.url)
+
+                try {
                     // First check if URL exists before scraping
-                    const urlExists = await this.checkUrlExists(subPage.url)
-                    if (urlExists) {
-                        const pageData = await this.scrapePage(subPage.url)
-                        allPages.push({
-                            ...pageData,
-                            priority: subPage.priority,
-                            reason: subPage.reason
-                        })
-                        this.visitedUrls.add(subPage.url)
-
-                        // Add delay to be respectful
-                        await new Promise(resolve => setTimeout(resolve, 1000))
-                    } else {
+                    const urlExists = await this.checkUrlExists(node.url)
+                    if (!urlExists) {
+                        node.status = 'not_found'
+                        continue
                     }
+
+                    const pageData = await this.scrapePage(node.url)
+                    const page = { ...pageData, priority: node.priority, reason: node.reason, depth: depth, parent_url: node.parent_url }
+                    allPages.push(page)
+                    levelPages.push(page)
+                    node.status = 'scraped'
+                    this.emitProgress('page_scraped', { url: node.url, depth: depth, page: allPages.length, total: maxPages })
+                } catch (error) {
+                    this.markNodeFailed(node, error)
+                    this.emitProgress('page_failed', { url: node.url, error_class: node.error_class, error: node.error })
                 }
-            } catch (error) {
             }
-        }
 
-        // Process documents
-        for (const document of plan.documents.slice(0, plan.max_documents || 5)) {
-            try {
-                if (!this.visitedUrls.has(document.url)) {
-                    const documentType = this.getDocumentType(document.url)
-                    const documentText = await this.extractDocumentText(document.url, documentType)
-
-                    if (documentText) {
-                        allDocuments.push({
-                            url: document.url,
-                            title: document.url.split('/').pop() || 'Document',
-                            textContent: documentText,
-                            priority: document.priority,
-                            reason: document.reason,
-                            type: documentType
-                        })
-                        this.visitedUrls.add(document.url)
-
-                        // Add delay to be respectful
-                        await new Promise(resolve => setTimeout(resolve, 1000))
+            for (const document of level.documents) {
+                const node = this.addCrawlNode(crawlNodes, {
+                    ...document,
+                    kind: 'document',
+                    depth: depth,
+                    parent_url: document.parent_url || plan.main_page.url
+                })
+
+                if (this.visitedUrls.has(node.url)) {
+                    node.status = 'already_visited'
+                    continue
+                }
+                if (allDocuments.length >= maxDocuments) {
+                    node.status = 'skipped_budget'
+                    continue
+                }
+                this.visitedUrls.add(node.url)
+
+                try {
+                    const extracted = await this.extractDocumentText(node.url)
+                    node.document_type = extracted.type
+
+                    allDocuments.push({
+                        url: node.url,
+                        title: extracted.title,
+                        textContent: extracted.text,
+                        priority: node.priority,
+                        reason: node.reason,
+                        type: extracted.type,
+                        depth: depth,
+                        parent_url: node.parent_url,
+                        form_fields: extracted.form_fields
+                    })
+                    node.status = 'parsed'
+                    if (extracted.form_fields.length > 0) {
+                        node.form_fields = extracted.form_fields.length
+                        this.emitProgress('form_detected', { url: node.url, fields: extracted.form_fields.length })
                     }
+                    this.emitProgress('document_parsed', {
+                        url: node.url,
+                        type: extracted.type,
+                        depth: depth,
+                        document: allDocuments.length,
+                        total: maxDocuments
+                    })
+                } catch (error) {
+                    // A document without text is recorded with the reason, not silently dropped
+                    this.markNodeFailed(node, error)
+                    if (error.reason === 'no_text') node.status = 'empty'
+                    node.failure_reason = error.reason || (node.error_class === 'fetch_failed' ? 'http_error' : 'parse_failed')
+                    this.emitProgress('document_failed', { url: node.url, reason: node.failure_reason, error_class: node.error_class, error: error.message })
                 }
-            } catch (error) {
+            }
+
+            const budgetLeft = allPages.length < maxPages || allDocuments.length < maxDocuments
+            if (depth === this.crawlBudget.maxDepth || levelPages.length === 0 || !budgetLeft) {
+                break
+            }
+
+            level = await this.aiExpandCrawl(levelPages, depth, plan)
+            if (level.pages.length === 0 && level.documents.length === 0) {
+                break
             }
         }
 
         return {
             mainPage: allPages[0],
             allPages: allPages,
-            allDocuments: allDocuments
+            allDocuments: allDocuments,
+            crawlTree: this.buildCrawlTree(crawlNodes)
         }
     }
 
     /**
-     * AI analyzes all scraped data and extracts requirements
+     * Register a URL in the crawl, so the tree shows why it was (not) visited
      */
-    async aiAnalyzeAllData(scrapedData, originalUrl) {
-        if (!openai) {
-            console.error('❌ OPENAI_API_KEY environment variable is required for analysis')
-            process.exit(1)
+    addCrawlNode(crawlNodes, entry) {
+        const node = {
+            url: entry.url,
+            kind: entry.kind,
+            depth: entry.depth,
+            parent_url: entry.parent_url,
+            reason: entry.reason || '',
+            priority: entry.priority || 'medium',
+            status: 'pending'
         }
+        crawlNodes.push(node)
+        return node
+    }
 
+    /**
+     * Mark a crawl node as failed with the error and its class
+     */
+    markNodeFailed(node, error) {
+        node.status = 'failed'
+        node.error_class = classifyError(error).error_class
+        node.error = error.message
+    }
 
-        // Combine all content from pages and documents
-        const pageContent = scrapedData.allPages.map(page =>
-            `=== ${page.title} (${page.reason}) ===\n${page.textContent}`
-        ).join('\n\n')
+    /**
+     * Nest crawl nodes under the page they were found on
+     */
+    buildCrawlTree(crawlNodes) {
+        const toTreeNode = node => ({
+            url: node.url,
+            kind: node.kind,
+            depth: node.depth,
+            reason: node.reason,
+            priority: node.priority,
+            status: node.status,
+            ...(node.document_type ? { document_type: node.document_type } : {}),
+            ...(node.failure_reason ? { failure_reason: node.failure_reason } : {}),
+            ...(node.error ? { error_class: node.error_class, error: node.error } : {}),
+            ...(node.form_fields ? { form_fields: node.form_fields } : {}),
+            // Only a page that was actually scraped can have led to further URLs
+            children: node.kind === 'page' && node.status === 'scraped'
+                ? crawlNodes.filter(child => child.parent_url === node.url && child.depth === node.depth + 1).map(toTreeNode)
+                : []
+        })
 
-        const documentContent = scrapedData.allDocuments.map(doc =>
-            `=== ${doc.title} (${doc.reason}) [${doc.type.toUpperCase()}] ===\n${doc.textContent}`
-        ).join('\n\n')
+        const root = crawlNodes.find(node => node.depth === 0)
+        return root ? toTreeNode(root) : null
+    }
+
+    /**
+     * AI decides which links on the pages of one level are worth following.
+     * Only links that were actually found on those pages are accepted.
+     */
+    async aiExpandCrawl(levelPages, depth, plan) {
+        const candidates = new Map()
+        const sections = levelPages.map(page => {
+            const links = this.extractActualLinks(page.html, page.url)
+                .filter(link => !this.visitedUrls.has(link.url))
+                .slice(0, 40)
+            const documents = this.extractDocumentLinks(page.html, page.url)
+                .filter(doc => !this.visitedUrls.has(doc.url))
+                .slice(0, 20)
+
+            links.forEach(link => candidates.has(link.url) || candidates.set(link.url, { kind: 'page', parent_url: page.url }))
+            documents.forEach(doc => candidates.has(doc.url) || candidates.set(doc.url, { kind: 'document', parent_url: page.url }))
+
+            return `
+PAGE: ${page.url}
+Title: ${page.title}
+Why it was visited: ${page.reason}
+Content excerpt: ${truncateToTokens(page.textContent, 300)}
+Links:
+${links.map(link => `- ${link.url} (${link.text})`).join('\n') || '- none'}
+Documents:
+${documents.map(doc => `- ${doc.url} (${doc.text}) [${doc.type.toUpperCase()}]`).join('\n') || '- none'}`
+        })
 
-        const allContent = pageContent + (documentContent ? '\n\n' + documentContent : '')
+        if (candidates.size === 0) {
+            return { pages: [], documents: [] }
+        }
 
-        // Debug: Show content being analyzed
+        const prompt = `
+You are crawling the Dutch government subsidy "${plan.main_page.title}" (${plan.main_page.url}) to find ALL requirements for applicants.
+The following pages were scraped at crawl depth ${depth}. Decide which of their links are worth following to find conditions ("Voorwaarden"), application details ("Aanvragen"), checklists, forms or module-specific requirements.
+${sections.join('\n')}
 
-        // Create schema-based prompt
-        const schemaPrompt = this.attestationSchema ? this.createSchemaBasedPrompt(allContent) : this.createBasicPrompt(allContent)
+Only pick links that are likely to add NEW requirement information. Skip navigation, news, contact and general pages.
+You MUST ONLY use URLs listed above. Do NOT create or guess any URLs.
 
-        const prompt = schemaPrompt
+Return ONLY a JSON object with this exact format:
+{
+  "sub_pages": [
+    { "url": "url_from_links_above", "parent_url": "PAGE url it was found on", "reason": "why this page is important for requirements", "priority": "high|medium|low" }
+  ],
+  "documents": [
+    { "url": "url_from_documents_above", "parent_url": "PAGE url it was found on", "reason": "why this document is important for requirements", "priority": "high|medium|low" }
+  ]
+}
+`
 
         try {
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [
+            const expansion = await this.completeStructured('planning', [
+                {
+                    role: "system",
+                    content: "You are an expert web scraper for Dutch government websites. You decide which links to follow to find subsidy requirements. You MUST only use actual URLs found on the pages. Return only valid JSON."
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ], CRAWL_EXPANSION_SCHEMA)
+
+            // Keep only real candidates of the right kind, and record where they were found
+            const accept = (entries, kind) => (entries || [])
+                .filter(entry => candidates.has(entry.url) && candidates.get(entry.url).kind === kind)
+                .map(entry => ({ ...entry, parent_url: candidates.get(entry.url).parent_url }))
+
+            const level = {
+                pages: accept(expansion.sub_pages, 'page'),
+                documents: accept(expansion.documents, 'document')
+            }
+
+            this.emitProgress('crawl_expanded', {
+                depth: depth + 1,
+                sub_pages: level.pages.length,
+                documents: level.documents.length
+            })
+
+            return level
+        } catch (error) {
+            if (isFatalError(error)) throw error
+            // The crawl stops at this depth, what was scraped so far is still analyzed
+            this.diagnostics.recordError('crawl_expansion', error, { depth: depth })
+            return { pages: [], documents: [] }
+        }
+    }
+
+    /**
+     * AI analyzes all scraped data and extracts requirements.
+     * Map: every chunk of pages and documents is analyzed on its own.
+     * Reduce: the partial results are merged and de-duplicated.
+     * Failed chunks are listed in failed_chunks; when every chunk failed the error of the last one is thrown.
+     * In self-consistency mode the map step runs once per sample and the merged result
+     * is reconciled into a confidence per requirement, see self-consistency.js.
+     */
+    async aiAnalyzeAllData(scrapedData, originalUrl) {
+        // Fail early on a missing provider configuration instead of falling back
+        this.getLLM()
+
+        const sources = collectAnalysisSources(scrapedData)
+        const planned = this.planAnalysisChunks(sources)
+        const samples = this.planSamples(planned)
+        const sampling = this.selfConsistency.samples > 1
+
+        this.emitProgress('analysis_started', {
+            pages: scrapedData.allPages.length,
+            documents: scrapedData.allDocuments.length,
+            chunks: planned.chunks.length,
+            ...(sampling ? { samples: samples.length } : {})
+        })
+
+        const partials = []
+        const analyzedChunkIndexes = []
+        const failedChunks = []
+        const completedSamples = new Set()
+        let lastError = null
+
+        for (const { sample, chunks } of samples) {
+            for (const chunk of chunks) {
+                let partial = null
+
+                try {
+                    // Extra samples go through their own call site, at a higher temperature
+                    partial = await this.aiAnalyzeChunk(chunk, sample === 0 ? 'analysis' : 'sampling')
+                    // Link every requirement to its source and check the quote
+                    partial = attachProvenance(partial, scrapedData)
+                    partials.push(sampling ? tagSample(partial, sample) : partial)
+                    if (sample === 0) analyzedChunkIndexes.push(chunk.index)
+                    completedSamples.add(sample)
+                } catch (error) {
+                    if (isFatalError(error)) throw error
+                    failedChunks.push({ chunk: chunk.index + 1, ...(sampling ? { sample: sample + 1 } : {}), ...this.describeFallback(error) })
+                    this.diagnostics.recordError('analysis', error, { chunk: chunk.index + 1, ...(sampling ? { sample: sample + 1 } : {}) })
+                    lastError = error
+                }
+
+                this.emitProgress('chunk_analyzed', {
+                    chunk: chunk.index + 1,
+                    total: chunks.length,
+                    ...(sampling ? { sample: sample + 1, samples: samples.length } : {}),
+                    success: Boolean(partial),
+                    ...(partial ? {} : { reason: failedChunks[failedChunks.length - 1].reason })
+                })
+            }
+        }
+
+        const coverage = computeCoverage(sources, planned.allChunks, analyzedChunkIndexes)
+
+        // Without a single analyzed chunk an empty result would look like a regulation without requirements
+        if (lastError && partials.length === 0) {
+            throw lastError
+        }
+        if (partials.length === 0) {
+            return this.emitAnalysisDone({ ...this.fallbackAnalysis(scrapedData), coverage: coverage })
+        }
+
+        let requirements = await this.aiReduceRequirements(partials)
+        if (sampling) {
+            requirements = this.reconcileRequirements(requirements, completedSamples.size)
+        }
+
+        return this.emitAnalysisDone({ ...requirements, failed_chunks: failedChunks, coverage: coverage })
+    }
+
+    /**
+     * Confidence per requirement from the agreement between the samples that produced
+     * a result; low-agreement requirements move to needs_review
+     */
+    reconcileRequirements(requirements, sampleCount) {
+        const reconciled = reconcileSamples(requirements, sampleCount, this.selfConsistency.reviewThreshold, this.attestationSchema)
+        const all = [...reconciled.attestations, ...reconciled.non_attestations, ...reconciled.needs_review]
+
+        return {
+            ...requirements,
+            ...reconciled,
+            unverified_count: all.filter(requirement => !requirement.verified).length,
+            self_consistency: {
+                samples: this.selfConsistency.samples,
+                completed_samples: sampleCount,
+                review_threshold: this.selfConsistency.reviewThreshold,
+                needs_review: reconciled.needs_review.length
+            }
+        }
+    }
+
+    /**
+     * Estimated tokens and euros of the map step over a list of chunks
+     */
+    estimateChunks(callSite, chunks) {
+        return chunks.reduce((total, chunk) => {
+            const call = this.budget.estimate(this.llmSettings[callSite], this.createAnalysisMessages(chunk.content))
+            return { total_tokens: total.total_tokens + call.total_tokens, cost_eur: total.cost_eur + call.cost_eur }
+        }, { total_tokens: 0, cost_eur: 0 })
+    }
+
+    /**
+     * Samples of the map step as [{ sample, chunks }]: the planned analysis first, then
+     * in self-consistency mode the extra samples, each a different arrangement of the
+     * same sources. Extra samples that do not fit in the run budget next to the
+     * ones before them are left out.
+     */
+    planSamples(planned) {
+        const samples = [{ sample: 0, chunks: planned.chunks }]
+        let estimate = this.estimateChunks('analysis', planned.chunks)
+
+        for (let sample = 1; sample < this.selfConsistency.samples; sample++) {
+            const variant = sampleVariant(planned.sources, planned.chunkTokens, sample, this.chunking.minChunkTokens)
+            const chunks = chunkSources(variant.sources, { maxChunkTokens: variant.chunkTokens }).slice(0, this.chunking.maxChunks)
+            const call = this.estimateChunks('sampling', chunks)
+            const total = { total_tokens: estimate.total_tokens + call.total_tokens, cost_eur: estimate.cost_eur + call.cost_eur }
+
+            if (!this.budget.fits(total)) {
+                this.degradeForBudget('analysis', 'fewer_samples', { samples: sample, of: this.selfConsistency.samples })
+                break
+            }
+            estimate = total
+            samples.push({ sample: sample, chunks: chunks })
+        }
+
+        return samples
+    }
+
+    /**
+     * Chunks for the map step within the run budget. When the estimate of all
+     * chunks does not fit, the analysis is scaled down step by step: documents
+     * are left out (last found first), then every source is cut shorter into
+     * smaller chunks, and finally only the first chunks that fit are kept.
+     * Returns { allChunks, chunks, sources, chunkTokens } with the sources and chunk size used.
+     * Throws BudgetExceededError when not even one chunk fits.
+     */
+    planAnalysisChunks(sources) {
+        const plan = (planSources, chunkTokens) => {
+            const allChunks = chunkSources(planSources, { maxChunkTokens: chunkTokens })
+            return { allChunks: allChunks, chunks: allChunks.slice(0, this.chunking.maxChunks), sources: planSources, chunkTokens: chunkTokens }
+        }
+        const estimate = (chunks) => this.estimateChunks('analysis', chunks)
+        const fits = (chunks) => this.budget.fits(estimate(chunks))
+
+        let chunkTokens = this.chunking.chunkTokens
+        let kept = sources
+        let planned = plan(kept, chunkTokens)
+        if (fits(planned.chunks)) return planned
+
+        // Fewer documents, the pages usually state the conditions
+        const droppedDocuments = []
+        while (!fits(planned.chunks) && kept.some(source => source.document_type !== 'page')) {
+            const last = kept.map(source => source.document_type !== 'page').lastIndexOf(true)
+            droppedDocuments.unshift(kept[last].url)
+            kept = kept.filter((source, index) => index !== last)
+            planned = plan(kept, chunkTokens)
+        }
+        if (droppedDocuments.length > 0) {
+            this.degradeForBudget('analysis', 'dropped_documents', { documents: droppedDocuments })
+        }
+
+        // Smaller chunks, every source cut to its first part
+        if (!fits(planned.chunks) && chunkTokens > this.chunking.minChunkTokens) {
+            while (!fits(planned.chunks) && chunkTokens > this.chunking.minChunkTokens) {
+                chunkTokens = Math.max(this.chunking.minChunkTokens, Math.floor(chunkTokens / 2))
+                kept = kept.map(source => ({ ...source, text: truncateToTokens(source.text, chunkTokens) }))
+                planned = plan(kept, chunkTokens)
+            }
+            this.degradeForBudget('analysis', 'smaller_chunks', { chunk_tokens: chunkTokens })
+        }
+
+        // Fewer chunks, sources are ordered main page first
+        if (!fits(planned.chunks)) {
+            let count = planned.chunks.length
+            while (count > 0 && !fits(planned.chunks.slice(0, count))) count--
+            if (count === 0) {
+                this.budget.check('analysis', estimate(planned.chunks.slice(0, 1)))
+            }
+            this.degradeForBudget('analysis', 'fewer_chunks', { chunks: count, of: planned.chunks.length })
+            planned = { ...planned, chunks: planned.chunks.slice(0, count) }
+        }
+
+        return planned
+    }
+
+    /**
+     * Map step: extract requirements from a single chunk. Attestations whose name is
+     * not a key in the attestation schema are moved to rejected, the rest of the chunk is kept.
+     * Throws LLMOutputError when the answer stays invalid after the repair attempts,
+     * a typed error from analysis-errors.js when the provider call fails.
+     */
+    async aiAnalyzeChunk(chunk, callSite = 'analysis') {
+        const partial = await this.completeStructured(callSite, this.createAnalysisMessages(chunk.content), ANALYSIS_SCHEMA,
+            'Attestation names must be field keys from the list in the first message. A requirement that is not one of those fields belongs in non_attestations.')
+        if (!this.attestationSchema) return { ...partial, rejected: [] }
+
+        const known = (requirement) => Object.hasOwn(this.attestationSchema.attestation_schema, requirement.name)
+        return {
+            ...partial,
+            attestations: partial.attestations.filter(known),
+            rejected: partial.attestations
+                .filter(requirement => !known(requirement))
+                .map(requirement => ({ ...requirement, list: 'attestations', reason: 'not a key in the attestation schema' }))
+        }
+    }
+
+    /**
+     * Messages of the map step for the content of one chunk
+     */
+    createAnalysisMessages(content) {
+        const prompt = this.attestationSchema ? this.createSchemaBasedPrompt(content) : this.createBasicPrompt(content)
+
+        return [
+            {
+                role: "system",
+                content: "You are an expert in Dutch government subsidies and business requirements. You have been provided with website content data to analyze. Your task is to extract ALL requirements from this data and classify them as attestations or non-attestations. Return only valid JSON format."
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ]
+    }
+
+    /**
+     * Reduce step: merge partial results and let the AI group duplicate non-attestations
+     */
+    async aiReduceRequirements(partials) {
+        // Attestations are schema keys, so merging on the key is exact
+        const attestations = mergeRequirementLists(partials.map(partial => partial.attestations))
+        let nonAttestations = mergeRequirementLists(partials.map(partial => partial.non_attestations))
+
+        const rejected = mergeRequirementLists(partials.map(partial => partial.rejected || []))
+
+        const notes = [...new Set(partials.map(partial => partial.analysis_notes).filter(Boolean))]
+        let analysisNotes = notes.join(' ') || 'AI analysis completed'
+
+        // Free-text names need the AI to spot synonyms across chunks
+        if (partials.length > 1 && nonAttestations.length > 1) {
+            try {
+                const parsed = await this.completeStructured('reduction', [
                     {
                         role: "system",
-                        content: "You are an expert in Dutch government subsidies and business requirements. You have been provided with website content data to analyze. Your task is to extract ALL requirements from this data and classify them as attestations or non-attestations. Return only valid JSON format."
+                        content: "You are an expert in Dutch government subsidies. You merge duplicate requirements found in different parts of the same regulation. Return only valid JSON format."
                     },
                     {
                         role: "user",
-                        content: prompt
+                        content: this.createReductionPrompt(nonAttestations, notes)
                     }
-                ],
-                temperature: 0.1,
-                max_tokens: 2500
-            })
+                ], REDUCTION_SCHEMA)
+
+                nonAttestations = applyReductionGroups(nonAttestations, parsed.groups)
+                analysisNotes = parsed.analysis_notes || analysisNotes
+            } catch (error) {
+                if (isFatalError(error)) throw error
+                // Keep the name-based merge
+                this.diagnostics.recordError('reduction', error)
+            }
+        }
+
+        return {
+            attestations: attestations,
+            non_attestations: nonAttestations,
+            rejected: rejected,
+            analysis_notes: analysisNotes,
+            unverified_count: [...attestations, ...nonAttestations].filter(requirement => !requirement.verified).length
+        }
+    }
 
-            const response = completion.choices[0].message.content.trim()
+    /**
+     * AI extracts structured metadata from the first chunks. Sources are ordered
+     * main page first, which is where RVO states dates, budget and amounts.
+     */
+    async aiExtractMetadata(scrapedData) {
+        const chunks = chunkSources(collectAnalysisSources(scrapedData), { maxChunkTokens: this.chunking.chunkTokens })
+            .slice(0, this.chunking.metadataChunks)
+        const partials = []
 
+        for (const chunk of chunks) {
             try {
-                // Clean the response to extract JSON
-                let jsonResponse = response.trim()
-
-                // Try to extract JSON from the response if it's wrapped in markdown
-                if (jsonResponse.includes('```json')) {
-                    const jsonMatch = jsonResponse.match(/```json\s*([\s\S]*?)\s*```/)
-                    if (jsonMatch) {
-                        jsonResponse = jsonMatch[1].trim()
+                const raw = await this.completeStructured('metadata', [
+                    {
+                        role: "system",
+                        content: "You are an expert in Dutch government subsidies. You extract facts about a subsidy regulation exactly as they are written in the provided content. Return only valid JSON format."
+                    },
+                    {
+                        role: "user",
+                        content: this.createMetadataPrompt(chunk.content)
                     }
-                }
+                ], METADATA_SCHEMA)
 
-                // Try to extract JSON if it's wrapped in other text
-                if (jsonResponse.includes('{') && jsonResponse.includes('}')) {
-                    const startIndex = jsonResponse.indexOf('{')
-                    const lastIndex = jsonResponse.lastIndexOf('}')
-                    if (startIndex !== -1 && lastIndex !== -1 && lastIndex > startIndex) {
-                        jsonResponse = jsonResponse.substring(startIndex, lastIndex + 1)
-                    }
-                }
+                partials.push(normalizeMetadata(raw, scrapedData))
+            } catch (error) {
+                if (isFatalError(error)) throw error
+                // A failed chunk only means fewer facts
+                this.diagnostics.recordError('metadata', error, { chunk: chunk.index + 1 })
+            }
+        }
 
-                const parsed = JSON.parse(jsonResponse)
+        const metadata = partials.length > 0 ? mergeMetadata(partials) : emptyMetadata()
 
-                return {
-                    attestations: parsed.attestations || [],
-                    non_attestations: parsed.non_attestations || [],
-                    analysis_notes: parsed.analysis_notes || 'AI analysis completed'
-                }
-            } catch (parseError) {
-                return this.fallbackAnalysis(scrapedData)
-            }
+        this.emitProgress('metadata_extracted', {
+            chunks: chunks.length,
+            succeeded: partials.length,
+            application_windows: metadata.application_windows.length
+        })
 
-        } catch (error) {
-            return this.fallbackAnalysis(scrapedData)
-        }
+        return metadata
+    }
+
+    /**
+     * Report finished requirement analysis and pass it through
+     */
+    emitAnalysisDone(requirements) {
+        this.emitProgress('analysis_done', {
+            attestations: requirements.attestations.length,
+            non_attestations: requirements.non_attestations.length,
+            ...(requirements.needs_review ? { needs_review: requirements.needs_review.length } : {}),
+            fallback: Boolean(requirements.fallback),
+            ...(requirements.fallback ? { fallback_reason: requirements.fallback.reason } : {})
+        })
+        return requirements
     }
 
     /**
-     * Extract actual links from HTML content
+     * Site adapter for a page: the adapter of the running analysis, otherwise picked from the page URL
      */
-    extractActualLinks(html, baseUrl) {
+    getSiteAdapter(pageUrl) {
+        return this.activeAdapter || this.siteAdapter || adapterForUrl(pageUrl, this.siteAdapters)
+    }
+
+    /**
+     * Extract links to pages the site adapter allows, resolved against the page URL
+     */
+    extractActualLinks(html, pageUrl) {
         const $ = cheerio.load(html)
+        const adapter = this.getSiteAdapter(pageUrl)
         const links = []
 
         $('a[href]').each((i, element) => {
             const href = $(element).attr('href')
             const text = $(element).text().trim()
-
-            if (href && text) {
-                let fullUrl = href
-                if (href.startsWith('/')) {
-                    fullUrl = this.baseUrl + href
-                } else if (href.startsWith('http')) {
-                    fullUrl = href
-                } else if (href.startsWith('#')) {
-                    // Skip anchor links
-                    return
-                }
-
-                // Only include RVO.nl links
-                if (fullUrl.includes('rvo.nl') && !this.visitedUrls.has(fullUrl)) {
-                    links.push({
-                        url: fullUrl,
-                        text: text.substring(0, 100), // Limit text length
-                        href: href
-                    })
-                }
+            const fullUrl = resolveLink(href, pageUrl)
+
+            if (fullUrl && text && adapter.shouldFollowLink(fullUrl) && !this.visitedUrls.has(fullUrl)) {
+                links.push({
+                    url: fullUrl,
+                    text: text.substring(0, 100), // Limit text length
+                    href: href
+                })
             }
         })
 
-        // Remove duplicates and sort by relevance
+        // Remove duplicates
         const uniqueLinks = links.filter((link, index, self) =>
             index === self.findIndex(l => l.url === link.url)
         )
@@ -376,133 +1096,102 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
     }
 
     /**
-     * Extract document links (PDFs, DOCX, etc.) from HTML content
+     * Extract document links (PDFs, DOCX, etc.) matching the site adapter's document patterns
      */
-    extractDocumentLinks(html, baseUrl) {
+    extractDocumentLinks(html, pageUrl) {
         const $ = cheerio.load(html)
+        const adapter = this.getSiteAdapter(pageUrl)
         const documentLinks = []
 
         $('a[href]').each((i, element) => {
             const href = $(element).attr('href')
             const text = $(element).text().trim()
-
-            if (href) {
-                let fullUrl = href
-                if (href.startsWith('/')) {
-                    fullUrl = this.baseUrl + href
-                } else if (href.startsWith('http')) {
-                    fullUrl = href
-                }
-
-                // Check if it's a document file
-                const documentExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx']
-                const isDocument = documentExtensions.some(ext => fullUrl.toLowerCase().includes(ext))
-
-                if (isDocument && !this.visitedUrls.has(fullUrl)) {
-                    documentLinks.push({
-                        url: fullUrl,
-                        text: text.substring(0, 100),
-                        href: href,
-                        type: this.getDocumentType(fullUrl)
-                    })
-                }
+            const fullUrl = resolveLink(href, pageUrl)
+
+            if (fullUrl && adapter.isAllowedUrl(fullUrl) && adapter.isDocumentUrl(fullUrl) && !this.visitedUrls.has(fullUrl)) {
+                documentLinks.push({
+                    url: fullUrl,
+                    text: text.substring(0, 100),
+                    href: href,
+                    type: this.getDocumentType(fullUrl)
+                })
             }
         })
 
-        return documentLinks
+        return documentLinks.filter((doc, index, self) =>
+            index === self.findIndex(d => d.url === doc.url)
+        )
     }
 
     /**
-     * Get document type from URL
+     * Document type guessed from the URL, for link listings before anything is downloaded
      */
     getDocumentType(url) {
-        const urlLower = url.toLowerCase()
-        if (urlLower.includes('.pdf')) return 'pdf'
-        if (urlLower.includes('.docx') || urlLower.includes('.doc')) return 'docx'
-        if (urlLower.includes('.xlsx') || urlLower.includes('.xls')) return 'xlsx'
-        if (urlLower.includes('.pptx') || urlLower.includes('.ppt')) return 'pptx'
-        return 'unknown'
+        return typeFromUrl(url)
     }
 
     /**
-     * Extract text from a document
+     * Download a document, detect its type from the contents and Content-Type and extract the text.
+     * Resolves to { type, title, text, form_fields }; throws DocumentExtractionError with the reason when there is no text.
      */
-    async extractDocumentText(url, documentType) {
-        try {
-
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            })
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`)
-            }
+    async extractDocumentText(url) {
+        const attempt = this.diagnostics.begin(url, 'document')
+        let response
 
-            const buffer = await response.buffer()
-
-            switch (documentType) {
-                case 'pdf':
-                    return await this.extractPdfText(buffer)
-                case 'docx':
-                    return await this.extractDocxText(buffer)
-                case 'xlsx':
-                    return await this.extractXlsxText(buffer)
-                default:
-                    return ''
-            }
+        try {
+            response = await this.httpCache.fetch(url, { kind: 'document' })
         } catch (error) {
-            return ''
+            const reason = errorClassOf(error) === 'url_blocked' ? 'blocked' : 'http_error'
+            const failure = new DocumentExtractionError(reason, error.message)
+            attempt.finish('not_fetched', failure)
+            throw failure
         }
-    }
+        attempt.response(response)
 
-    /**
-     * Extract text from PDF
-     */
-    async extractPdfText(buffer) {
-        try {
-            const data = await pdf(buffer)
-            return data.text
-        } catch (error) {
-            return ''
+        if (!response.ok) {
+            const failure = new DocumentExtractionError('http_error', `HTTP error! status: ${response.status}`)
+            attempt.finish('not_fetched', failure)
+            throw failure
         }
-    }
 
-    /**
-     * Extract text from DOCX
-     */
-    async extractDocxText(buffer) {
         try {
-            const result = await mammoth.extractRawText({ buffer })
-            return result.value
+            const buffer = await response.buffer()
+            const type = detectDocumentType(buffer, response.headers.get('content-type'), url)
+            const title = documentTitle(url, response.headers.get('content-disposition'))
+
+            // Unchanged documents are never parsed twice
+            const contentHash = hashContent(buffer)
+            const cachedText = await this.httpCache.getDocumentText(contentHash, type)
+            const text = cachedText !== null ? cachedText : await extractText(buffer, type)
+            if (cachedText === null) {
+                await this.httpCache.setDocumentText(contentHash, type, text)
+            }
+
+            const formFields = await this.extractFormFields(url, buffer, type, text)
+            attempt.finish('ok')
+            return { type: type, title: title, text: text, form_fields: formFields }
         } catch (error) {
-            return ''
+            attempt.finish(error.reason === 'no_text' ? 'empty' : 'failed', error)
+            throw error
         }
     }
 
     /**
-     * Extract text from XLSX
+     * Fillable fields of an application form, empty for documents that are not forms.
+     * A broken form layer never costs the text of the document.
      */
-    async extractXlsxText(buffer) {
+    async extractFormFields(url, buffer, type, text) {
         try {
-            const workbook = XLSX.read(buffer, { type: 'buffer' })
-            let text = ''
-
-            workbook.SheetNames.forEach(sheetName => {
-                const worksheet = workbook.Sheets[sheetName]
-                const sheetText = XLSX.utils.sheet_to_txt(worksheet)
-                text += `\n=== Sheet: ${sheetName} ===\n${sheetText}\n`
-            })
-
-            return text
+            return await extractFormFields(buffer, type, text)
         } catch (error) {
-            return ''
+            this.diagnostics.recordError('form_fields', error, { url: url })
+            return []
         }
     }
 
     /**
-     * Validate scraping plan to ensure all URLs are from actual links
+     * Validate scraping plan to ensure all URLs are from actual links. Sub-pages the
+     * model made up are dropped and recorded in the diagnostics.
      */
     validateScrapingPlan(plan, actualLinks) {
         const actualUrls = new Set(actualLinks.map(link => link.url))
@@ -510,6 +1199,7 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
         const validSubPages = plan.sub_pages.filter(subPage => {
             const isValid = actualUrls.has(subPage.url)
             if (!isValid) {
+                this.diagnostics.recordError('planning', new AnalysisError('llm_format', 'Planned sub-page is not a link on the main page'), { url: subPage.url })
             }
             return isValid
         })
@@ -521,9 +1211,9 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
     }
 
     /**
-     * Fallback scraping plan
+     * Fallback scraping plan with only the main page, marked with why the AI plan failed
      */
-    createFallbackScrapingPlan(mainUrl, mainPageData) {
+    createFallbackScrapingPlan(mainUrl, mainPageData, fallback) {
         // Simple fallback that just returns the main page
         // Let the AI do all the intelligent link selection
         return {
@@ -533,13 +1223,15 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
                 priority: 'high'
             },
             sub_pages: [],
+            documents: [],
             max_pages: 1,
-            focus_keywords: []
+            focus_keywords: [],
+            fallback: fallback
         }
     }
 
     /**
-     * Fallback analysis
+     * Empty analysis for when there was no text to analyze, marked as a fallback
      */
     fallbackAnalysis(scrapedData) {
         // Simple fallback that returns empty results
@@ -547,7 +1239,11 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
         return {
             attestations: [],
             non_attestations: [],
-            analysis_notes: 'Fallback analysis - no hardcoded patterns used'
+            rejected: [],
+            analysis_notes: 'Fallback analysis - no hardcoded patterns used',
+            unverified_count: 0,
+            failed_chunks: [],
+            fallback: { reason: 'no_content', message: 'No page or document text to analyze' }
         }
     }
 
@@ -555,55 +1251,70 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
      * Check if a URL exists without downloading the full content
      */
     async checkUrlExists(url) {
+        const attempt = this.diagnostics.begin(url, 'page', 'HEAD')
+
         try {
-            const response = await fetch(url, {
-                method: 'HEAD',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            })
-            return response.ok
+            const head = await this.httpCache.head(url)
+            attempt.response(head)
+            attempt.finish(head.ok ? 'skipped' : 'not_fetched', head.ok ? null : new FetchError(url, `HTTP error! status: ${head.status}`, head.status))
+            return head.ok
         } catch (error) {
+            attempt.finish('not_fetched', error)
             return false
         }
     }
 
     /**
-     * Scrape a single page
+     * Scrape a single page. Throws FetchError when the page cannot be fetched
+     * and ParseError when the response is not an HTML page.
      */
     async scrapePage(url) {
+        const attempt = this.diagnostics.begin(url, 'page')
+        const fail = (parse, error) => {
+            attempt.finish(parse, error)
+            throw error
+        }
+        let response
+
         try {
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            })
+            response = await this.httpCache.fetch(url)
+        } catch (error) {
+            // A URL refused by the policy stays url_blocked instead of looking like a network failure
+            fail('not_fetched', errorClassOf(error) === 'url_blocked' ? error : new FetchError(url, `Failed to scrape ${url}: ${error.message}`))
+        }
+        attempt.response(response)
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`)
-            }
+        if (!response.ok) {
+            fail('not_fetched', new FetchError(url, `Failed to scrape ${url}: HTTP error! status: ${response.status}`, response.status))
+        }
+
+        const contentType = response.headers.get('content-type') || ''
+        if (contentType && !/html|xml|text\/plain/i.test(contentType)) {
+            fail('failed', new ParseError(url, `Failed to scrape ${url}: expected an HTML page, got ${contentType}`))
+        }
 
+        try {
             const html = await response.text()
             const $ = cheerio.load(html)
 
             // Extract title
             const title = $('h1').first().text().trim() || $('title').text().trim()
 
-            // Remove navigation, footer, etc.
-            $('nav, header, footer, .navigation, .menu, .sidebar').remove()
-
-            // Get text content
-            const textContent = $('body').text().replace(/\s+/g, ' ').trim()
+            // Only the content root counts, menus and footers are left out.
+            // The text keeps the page structure as Markdown: headings, list items and tables.
+            const sections = extractSections($, this.getSiteAdapter(url).contentRoot($))
+            attempt.finish(sections.length > 0 ? 'ok' : 'empty')
 
             return {
                 url: url,
                 title: title,
                 html: html,
-                textContent: textContent
+                textContent: sectionsToMarkdown(sections),
+                sections: sections
             }
 
         } catch (error) {
-            throw new Error(`Failed to scrape ${url}: ${error.message}`)
+            fail('failed', new ParseError(url, `Failed to parse ${url}: ${error.message}`))
         }
     }
 
@@ -614,16 +1325,16 @@ CRITICAL: Only use URLs from the actual links list provided above. Do not create
         const schema = this.attestationSchema.attestation_schema
 
         // Build field list with descriptions
-        const fieldList = Object.keys(schema).map(fieldKey => {
-            const displayName = schema[fieldKey]
-            return `${fieldKey} (${displayName})`
-        }).join(', ')
+        const fieldList = Object.entries(schema).map(([fieldKey, field]) =>
+            `- ${fieldKey} (${field.labels.nl}): ${field.description}`
+        ).join('\n')
+        const corrections = createCorrectionsPrompt(this.activeCorrections)
 
         return `
 Analyze the following website content data and extract ALL requirements, then classify each one as either an "attestation" or "non-attestation".
 
 WEBSITE CONTENT DATA:
-${allContent.substring(0, 12000)}
+${allContent}
 
 POSSIBLE ATTESTATION FIELDS (only include if mentioned or required):
 ${fieldList}
@@ -648,18 +1359,30 @@ IMPORTANT ANALYSIS GUIDELINES:
 3. Only include attestation fields that are actually relevant to this subsidy
 4. Be intelligent about detecting requirements even if not explicitly stated
 5. Look for application forms, checklists, and procedural requirements
-
+${corrections ? `\n${corrections}\n` : ''}
 INSTRUCTIONS:
 1. Carefully analyze the content to find all requirements
 2. For attestations, only include field keys from the list that are mentioned or clearly required
 3. For non-attestations, include all forms, documents, procedures, and other requirements
 4. Be comprehensive but accurate - don't guess
 
+SOURCE EVIDENCE (required for every requirement):
+- "source_url": the SOURCE_URL of the section (page or document) where the requirement is stated
+- "quote": a short VERBATIM quote (max 200 characters) copied exactly from that section that supports the requirement
+- "document_type": the type shown in the section header (PAGE, PDF, DOCX, XLSX), lowercase
+- "section": for pages, the Markdown heading (# ...) the quote appears under, e.g. "Voorwaarden"; null for documents
+- Never paraphrase the quote and never cite a URL that is not a SOURCE_URL above
+- Pages are Markdown: headings mark sections, "- " lines are list items and "|" lines are table rows
+
 CRITICAL: Return ONLY a valid JSON object in this exact format. Do not include any other text, explanations, or markdown formatting:
 
 {
-  "attestations": ["chamber_of_commerce_kvk_nummer", "bank_iban"],
-  "non_attestations": ["quickscan", "projectplan"],
+  "attestations": [
+    { "name": "chamber_of_commerce_kvk_nummer", "source_url": "https://...", "quote": "exact text from the source", "document_type": "page", "section": "Voorwaarden" }
+  ],
+  "non_attestations": [
+    { "name": "projectplan", "source_url": "https://...", "quote": "exact text from the source", "document_type": "pdf", "section": null }
+  ],
   "analysis_notes": "Brief summary of what was found"
 }
 `
@@ -673,7 +1396,7 @@ CRITICAL: Return ONLY a valid JSON object in this exact format. Do not include a
 Analyze the following website content data and extract ALL requirements, then classify each one as either an "attestation" or "non-attestation".
 
 WEBSITE CONTENT DATA:
-${allContent.substring(0, 12000)}
+${allContent}
 
 CRITICAL CLASSIFICATION RULES:
 
@@ -701,16 +1424,102 @@ INSTRUCTIONS:
 4. Be comprehensive - don't miss any requirements
 5. Focus on what applicants actually need to provide
 
+SOURCE EVIDENCE (required for every requirement):
+- "source_url": the SOURCE_URL of the section (page or document) where the requirement is stated
+- "quote": a short VERBATIM quote (max 200 characters) copied exactly from that section that supports the requirement
+- "document_type": the type shown in the section header (PAGE, PDF, DOCX, XLSX), lowercase
+- "section": for pages, the Markdown heading (# ...) the quote appears under, e.g. "Voorwaarden"; null for documents
+- Never paraphrase the quote and never cite a URL that is not a SOURCE_URL above
+- Pages are Markdown: headings mark sections, "- " lines are list items and "|" lines are table rows
+
 CRITICAL: Return ONLY a valid JSON object in this exact format. Do not include any other text, explanations, or markdown formatting:
 
 {
-  "attestations": ["requirement1", "requirement2"],
-  "non_attestations": ["requirement1", "requirement2"],
+  "attestations": [
+    { "name": "requirement1", "source_url": "https://...", "quote": "exact text from the source", "document_type": "page", "section": "Voorwaarden" }
+  ],
+  "non_attestations": [
+    { "name": "requirement1", "source_url": "https://...", "quote": "exact text from the source", "document_type": "pdf", "section": null }
+  ],
   "analysis_notes": "Brief summary of what was found and why"
 }
 `
     }
 
+    /**
+     * Create prompt for the metadata extraction of one chunk
+     */
+    createMetadataPrompt(content) {
+        return `
+Extract the facts about the subsidy regulation from the following website content data.
+
+WEBSITE CONTENT DATA:
+${content}
+
+FACTS TO EXTRACT (leave out what is not stated in the content, never guess):
+- application_windows: every period in which applications can be submitted, with the opening and closing date and, if stated, the closing time
+- total_budget: the total budget available for the regulation or this application round
+- max_amount_per_applicant: the maximum subsidy amount per applicant or per project
+- subsidy_percentage: the percentage of the eligible costs that is subsidized (the highest base percentage if there are several)
+- target_groups: who can apply, e.g. "mkb", "startups", "agrarische ondernemers", "kennisinstellingen"
+- sectors: the sectors or themes the regulation is meant for
+- legal_basis: the regulation or law the subsidy is based on, e.g. "Regeling nationale EZK- en LNV-subsidies"
+
+INSTRUCTIONS:
+1. Copy dates and amounts exactly as written (e.g. "1 april 2025", "€ 1,5 miljoen"), they are normalized afterwards
+2. Add the SOURCE_URL of the section and a short VERBATIM quote (max 200 characters) as evidence
+3. For a fact that is not in the content, return an empty list or null value, source_url and quote, e.g. "total_budget": { "value": null, "source_url": null, "quote": null }
+
+CRITICAL: Return ONLY a valid JSON object in this exact format. Do not include any other text, explanations, or markdown formatting:
+
+{
+  "application_windows": [
+    { "opens_on": "1 april 2025", "closes_on": "30 juni 2025", "closes_at_time": "17:00", "description": "Eerste aanvraagronde", "source_url": "https://...", "quote": "exact text from the source" }
+  ],
+  "total_budget": { "value": "€ 10 miljoen", "source_url": "https://...", "quote": "exact text from the source" },
+  "max_amount_per_applicant": { "value": "€ 350.000", "source_url": "https://...", "quote": "exact text from the source" },
+  "subsidy_percentage": { "value": "50%", "source_url": "https://...", "quote": "exact text from the source" },
+  "target_groups": { "values": ["mkb"], "source_url": "https://...", "quote": "exact text from the source" },
+  "sectors": { "values": ["energie"], "source_url": "https://...", "quote": "exact text from the source" },
+  "legal_basis": { "values": ["Regeling nationale EZK- en LNV-subsidies"], "source_url": "https://...", "quote": "exact text from the source" }
+}
+`
+    }
+
+    /**
+     * Create prompt for the reduction step that groups duplicate non-attestations
+     */
+    createReductionPrompt(nonAttestations, notes) {
+        const itemList = nonAttestations.map((requirement, index) =>
+            `${index}. ${requirement.name}${requirement.quote ? ` - "${requirement.quote}"` : ''}`
+        ).join('\n')
+
+        return `
+The following requirements were extracted from different parts (pages, PDFs, sub-pages) of ONE Dutch subsidy regulation. Some of them describe the same document or requirement with different wording.
+
+REQUIREMENTS:
+${itemList}
+
+NOTES FROM THE PARTIAL ANALYSES:
+${notes.join('\n')}
+
+INSTRUCTIONS:
+1. Group requirements that refer to the same document or requirement
+2. Give each group one clear name, use Dutch terms where appropriate
+3. Every index must appear in exactly one group, keep distinct requirements in their own group
+4. Write a short summary of all findings in analysis_notes
+
+CRITICAL: Return ONLY a valid JSON object in this exact format. Do not include any other text, explanations, or markdown formatting:
+
+{
+  "groups": [
+    { "name": "projectplan", "items": [0, 3] },
+    { "name": "begroting", "items": [1] }
+  ],
+  "analysis_notes": "Brief summary of what was found"
+}
+`
+    }
 
 }
 
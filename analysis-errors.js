@@ -0,0 +1,149 @@
+import { LLMConfigurationError } from './llm-providers.js'
+import { LLMOutputError } from './llm-output-schemas.js'
+import { DocumentExtractionError } from './document-extractors.js'
+import { RobotsDisallowedError, FetchTimeoutError } from './polite-fetcher.js'
+import { UrlPolicyError } from './url-policy.js'
+
+/**
+ * Error taxonomy of an analysis run. Every failure falls in one class, which
+ * decides the HTTP status of the API and the exit code of the CLI.
+ */
+const ERROR_CLASSES = {
+    // The subsidy site did not answer, answered with an error status or refused (robots.txt)
+    fetch_failed: { http_status: 502, exit_code: 3 },
+    // The content was fetched but could not be read (wrong content type, broken document)
+    parse_failed: { http_status: 422, exit_code: 4 },
+    // The LLM provider refused because of rate limits or an exhausted quota
+    llm_quota: { http_status: 503, exit_code: 5 },
+    // The model kept answering with output that does not match the schema
+    llm_format: { http_status: 502, exit_code: 6 },
+    // The URL policy refused the URL, a redirect target or the response (host, private address, size, content type)
+    url_blocked: { http_status: 403, exit_code: 8 },
+    // The run's token or euro budget does not cover even the reduced analysis
+    budget_exceeded: { http_status: 402, exit_code: 9 },
+    // Any other failure of the LLM call (connection, server error)
+    llm_unavailable: { http_status: 502, exit_code: 7 },
+    // Missing or rejected provider credentials
+    llm_not_configured: { http_status: 503, exit_code: 2 },
+    internal: { http_status: 500, exit_code: 1 }
+}
+
+// Failing again on the next call is certain, so these end the run instead of falling back
+const FATAL_ERROR_CLASSES = ['llm_quota', 'llm_not_configured']
+
+/**
+ * Base class of the typed errors, errorClass is a key of ERROR_CLASSES
+ */
+class AnalysisError extends Error {
+    constructor(errorClass, message) {
+        super(message)
+        this.name = 'AnalysisError'
+        this.errorClass = errorClass
+    }
+}
+
+/**
+ * Raised when a page could not be fetched; status is the HTTP status when there was a response
+ */
+class FetchError extends AnalysisError {
+    constructor(url, message, status = null) {
+        super('fetch_failed', message)
+        this.name = 'FetchError'
+        this.url = url
+        this.status = status
+    }
+}
+
+/**
+ * Raised when a fetched page cannot be read as a subsidy page
+ */
+class ParseError extends AnalysisError {
+    constructor(url, message) {
+        super('parse_failed', message)
+        this.name = 'ParseError'
+        this.url = url
+    }
+}
+
+/**
+ * Raised when the LLM provider rejects a call because of rate limits or quota
+ */
+class LLMQuotaError extends AnalysisError {
+    constructor(message) {
+        super('llm_quota', message)
+        this.name = 'LLMQuotaError'
+    }
+}
+
+/**
+ * Raised when an LLM call fails for another reason; status is the provider's HTTP status if any
+ */
+class LLMUnavailableError extends AnalysisError {
+    constructor(message, status = null) {
+        super('llm_unavailable', message)
+        this.name = 'LLMUnavailableError'
+        this.status = status
+    }
+}
+
+/**
+ * Typed error for a failed provider call, from the HTTP status the OpenAI client attaches
+ */
+function toLLMError(error) {
+    if (error instanceof AnalysisError || error instanceof LLMConfigurationError) return error
+
+    if (error.status === 429 || error.code === 'insufficient_quota') {
+        return new LLMQuotaError(`LLM quota or rate limit exceeded: ${error.message}`)
+    }
+    if (error.status === 401 || error.status === 403) {
+        return new LLMConfigurationError(`LLM provider rejected the credentials: ${error.message}`)
+    }
+    return new LLMUnavailableError(`LLM call failed: ${error.message}`, error.status || null)
+}
+
+/**
+ * Error class of any error, internal when it is not part of the taxonomy
+ */
+function errorClassOf(error) {
+    if (error instanceof AnalysisError) return error.errorClass
+    if (error instanceof LLMOutputError) return 'llm_format'
+    if (error instanceof LLMConfigurationError) return 'llm_not_configured'
+    if (error instanceof RobotsDisallowedError || error instanceof FetchTimeoutError) return 'fetch_failed'
+    if (error instanceof UrlPolicyError) return 'url_blocked'
+    if (error instanceof DocumentExtractionError) {
+        if (error.reason === 'blocked') return 'url_blocked'
+        return error.reason === 'http_error' ? 'fetch_failed' : 'parse_failed'
+    }
+    // node-fetch errors: body over the size limit, a connection refused by the guarded DNS lookup, network errors
+    if (error.type === 'max-size' || error.code === 'private_address') return 'url_blocked'
+    if (error.name === 'FetchError' || error.type === 'system') return 'fetch_failed'
+    return 'internal'
+}
+
+/**
+ * { error_class, message, http_status, exit_code } for an error
+ */
+function classifyError(error) {
+    const errorClass = errorClassOf(error)
+    return { error_class: errorClass, message: error.message, ...ERROR_CLASSES[errorClass] }
+}
+
+/**
+ * Whether an error should end the run rather than lead to a fallback
+ */
+function isFatalError(error) {
+    return FATAL_ERROR_CLASSES.includes(errorClassOf(error))
+}
+
+export {
+    ERROR_CLASSES,
+    AnalysisError,
+    FetchError,
+    ParseError,
+    LLMQuotaError,
+    LLMUnavailableError,
+    toLLMError,
+    errorClassOf,
+    classifyError,
+    isFatalError
+}
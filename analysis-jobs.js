@@ -0,0 +1,246 @@
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+import { runWithConcurrency, createBatchReport, normalizeConcurrency } from './batch-runner.js'
+import { classifyError } from './analysis-errors.js'
+
+// Finished jobs are kept around this long so clients can still fetch the result
+const DEFAULT_JOB_TTL_MS = 60 * 60 * 1000
+
+class AnalysisJobManager extends EventEmitter {
+    constructor(options = {}) {
+        super()
+        this.createAgent = options.createAgent
+        this.store = options.store || null
+        this.jobTtlMs = options.jobTtlMs || DEFAULT_JOB_TTL_MS
+        this.jobs = new Map()
+        this.batches = new Map()
+    }
+
+    /**
+     * Create a job for a subsidy URL and start it in the background.
+     * Options are passed on to createAgent (e.g. { cache: false }); options.client
+     * is the API client the job is run and accounted for.
+     */
+    createJob(url, options = {}) {
+        this.pruneFinishedJobs()
+
+        const job = this.addJob(url, options, null)
+
+        // Run on the next tick so the caller can respond with the job id first
+        setImmediate(() => this.runJob(job))
+
+        return job
+    }
+
+    /**
+     * Register a queued job without starting it
+     */
+    addJob(url, options, batchId) {
+        const job = {
+            id: randomUUID(),
+            url: url,
+            options: options,
+            batch_id: batchId,
+            client: options.client || null,
+            status: 'queued',
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            events: [],
+            result: null,
+            error: null,
+            error_class: null,
+            // Diagnostics of a failed run; a completed run has them in its result
+            diagnostics: null,
+            // Pages fetched and LLM tokens of the run, failed or not, for usage accounting
+            usage: null,
+            subsidy_id: null,
+            run_id: null
+        }
+        this.jobs.set(job.id, job)
+
+        return job
+    }
+
+    /**
+     * Create a batch of jobs that run with at most `concurrency` at a time.
+     * batch.finished resolves when every job has completed or failed.
+     */
+    createBatch(urls, options = {}) {
+        this.pruneFinishedJobs()
+
+        const batch = {
+            id: randomUUID(),
+            status: 'running',
+            concurrency: normalizeConcurrency(options.concurrency),
+            client: (options.jobOptions || {}).client || null,
+            created_at: new Date().toISOString(),
+            finished_at: null,
+            job_ids: []
+        }
+        const jobs = urls.map(url => this.addJob(url, options.jobOptions || {}, batch.id))
+        batch.job_ids = jobs.map(job => job.id)
+        this.batches.set(batch.id, batch)
+
+        // runJob records failures on the job, so one failed regulation never stops the batch
+        batch.finished = new Promise(resolve => setImmediate(resolve))
+            .then(() => runWithConcurrency(jobs, batch.concurrency, job => this.runJob(job)))
+            .then(() => {
+                batch.status = 'completed'
+                batch.finished_at = new Date().toISOString()
+                this.emit('batch_finished', batch)
+                return batch
+            })
+
+        return batch
+    }
+
+    /**
+     * Analyses a client has running at most at the same time: its unfinished
+     * jobs plus, for each running batch, the concurrency of that batch
+     */
+    activeSlots(client) {
+        const jobs = [...this.jobs.values()].filter(job => job.client === client && !job.batch_id && !this.isFinished(job))
+        const batches = [...this.batches.values()].filter(batch => batch.client === client && batch.status === 'running')
+        return jobs.length + batches.reduce((sum, batch) => sum + batch.concurrency, 0)
+    }
+
+    /**
+     * Number of queued or running jobs of a client, batch jobs included
+     */
+    pendingJobs(client) {
+        return [...this.jobs.values()].filter(job => job.client === client && !this.isFinished(job)).length
+    }
+
+    /**
+     * Get a batch by id
+     */
+    getBatch(id) {
+        return this.batches.get(id) || null
+    }
+
+    /**
+     * Per-URL outcome of a batch job
+     */
+    describeBatchJob(job) {
+        const requirements = job.result ? job.result.requirements : null
+        return {
+            url: job.url,
+            job_id: job.id,
+            status: job.status,
+            error: job.error,
+            error_class: job.error_class,
+            title: job.result ? job.result.title : null,
+            subsidy_id: job.subsidy_id,
+            run_id: job.run_id,
+            attestations: requirements ? requirements.attestations.length : null,
+            non_attestations: requirements ? requirements.non_attestations.length : null,
+            duration_ms: job.finished_at ? new Date(job.finished_at).getTime() - new Date(job.started_at).getTime() : null
+        }
+    }
+
+    /**
+     * Per-URL results and the aggregate report of a batch
+     */
+    describeBatch(batch) {
+        const results = batch.job_ids.map(id => this.jobs.get(id)).filter(Boolean).map(job => this.describeBatchJob(job))
+        return {
+            batch_id: batch.id,
+            status: batch.status,
+            concurrency: batch.concurrency,
+            results: results,
+            report: createBatchReport(results, batch.created_at, batch.finished_at)
+        }
+    }
+
+    /**
+     * Get a job by id
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null
+    }
+
+    /**
+     * Whether a job has reached a final state
+     */
+    isFinished(job) {
+        return job.status === 'completed' || job.status === 'failed'
+    }
+
+    /**
+     * Run the agent for a job and record every progress event
+     */
+    async runJob(job) {
+        job.status = 'running'
+        job.started_at = new Date().toISOString()
+        this.recordEvent(job, 'status', { status: job.status })
+
+        try {
+            const agent = this.createAgent(job.options)
+            agent.on('progress', event => this.recordEvent(job, 'progress', event))
+
+            const result = await agent.analyzeSubsidy(job.url)
+            job.usage = result.usage || null
+
+            if (result.error) {
+                job.status = 'failed'
+                job.error = result.error
+                job.error_class = result.error_class || 'internal'
+                job.diagnostics = result.diagnostics || null
+            } else {
+                if (this.store) {
+                    const run = await this.store.saveAnalysis(result)
+                    job.subsidy_id = run.subsidy_id
+                    job.run_id = run.run_id
+                }
+                job.status = 'completed'
+                job.result = result
+            }
+        } catch (error) {
+            job.status = 'failed'
+            job.error = error.message
+            job.error_class = classifyError(error).error_class
+        }
+
+        job.finished_at = new Date().toISOString()
+        this.recordEvent(job, 'status', { status: job.status, error: job.error, error_class: job.error_class })
+        this.emit('job_finished', job)
+    }
+
+    /**
+     * Store an event on the job and notify live subscribers
+     */
+    recordEvent(job, type, data) {
+        const event = { id: job.events.length + 1, type: type, data: data }
+        job.events.push(event)
+        this.emit(job.id, event)
+    }
+
+    /**
+     * Subscribe to events of a job, returns an unsubscribe function
+     */
+    subscribe(jobId, listener) {
+        this.on(jobId, listener)
+        return () => this.off(jobId, listener)
+    }
+
+    /**
+     * Drop finished jobs and batches older than the TTL
+     */
+    pruneFinishedJobs() {
+        const cutoff = Date.now() - this.jobTtlMs
+        for (const [id, batch] of this.batches) {
+            if (batch.finished_at && new Date(batch.finished_at).getTime() < cutoff) {
+                this.batches.delete(id)
+            }
+        }
+        for (const [id, job] of this.jobs) {
+            // Jobs of a batch stay as long as their batch
+            if (this.isFinished(job) && new Date(job.finished_at).getTime() < cutoff && !this.batches.has(job.batch_id)) {
+                this.jobs.delete(id)
+            }
+        }
+    }
+}
+
+export { AnalysisJobManager }
@@ -0,0 +1,278 @@
+import fs from 'fs'
+import path from 'path'
+import { createHash, randomBytes } from 'crypto'
+import { normalizeRequirementName } from './requirement-merger.js'
+
+// Query parameters that never change the page content
+const TRACKING_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid']
+
+/**
+ * Normalize a subsidy URL so the same regulation always gets the same key
+ */
+function normalizeSubsidyUrl(url) {
+    const parsed = new URL(url)
+    parsed.hash = ''
+    parsed.hostname = parsed.hostname.toLowerCase()
+    TRACKING_PARAMS.forEach(param => parsed.searchParams.delete(param))
+    parsed.searchParams.sort()
+
+    let normalized = parsed.toString()
+    if (parsed.pathname !== '/' && normalized.endsWith('/') && !parsed.search) {
+        normalized = normalized.slice(0, -1)
+    }
+    return normalized
+}
+
+/**
+ * Stable id for a subsidy, derived from its normalized URL
+ */
+function subsidyIdForUrl(url) {
+    return createHash('sha256').update(normalizeSubsidyUrl(url)).digest('hex').substring(0, 16)
+}
+
+/**
+ * Hash of page or document text, used to detect changed content between runs
+ */
+function hashContent(text) {
+    return createHash('sha256').update(text || '').digest('hex')
+}
+
+/**
+ * File-based store of analysis runs, one directory per subsidy:
+ *   <dir>/<subsidy id>/subsidy.json
+ *   <dir>/<subsidy id>/runs/<run id>.json
+ */
+class AnalysisStore {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.ANALYSIS_STORE_DIR || './data/analyses'
+        // Pending read-modify-writes per file, so concurrent saves and reviews are applied one after the other
+        this.pendingWrites = new Map()
+    }
+
+    subsidyDir(subsidyId) {
+        return path.join(this.directory, subsidyId)
+    }
+
+    /**
+     * Write JSON atomically so a crash never leaves a half-written file
+     */
+    async writeJson(filePath, data) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+        // Every write gets its own temporary file, concurrent writes never rename each other's
+        const tmpPath = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2))
+        await fs.promises.rename(tmpPath, filePath)
+    }
+
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+        } catch (error) {
+            if (error.code === 'ENOENT') return null
+            throw error
+        }
+    }
+
+    /**
+     * Run task after the pending tasks with the same key, resolves to its result
+     */
+    async serialize(key, task) {
+        const previous = this.pendingWrites.get(key) || Promise.resolve()
+        const pending = previous.catch(() => {}).then(task)
+
+        this.pendingWrites.set(key, pending)
+        try {
+            return await pending
+        } finally {
+            if (this.pendingWrites.get(key) === pending) this.pendingWrites.delete(key)
+        }
+    }
+
+    /**
+     * Save the result of analyzeSubsidy as a new run, returns the stored run
+     */
+    async saveAnalysis(result) {
+        const normalizedUrl = normalizeSubsidyUrl(result.url)
+        const subsidyId = subsidyIdForUrl(result.url)
+        // Run ids sort chronologically
+        const runId = `${result.analyzed_at.replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}`
+
+        const run = {
+            run_id: runId,
+            subsidy_id: subsidyId,
+            url: result.url,
+            normalized_url: normalizedUrl,
+            title: result.title,
+            analyzed_at: result.analyzed_at,
+            pages_analyzed: result.pages_analyzed,
+            scraping_plan: result.ai_scraping_plan,
+            crawl_tree: result.crawl_tree || null,
+            sources: result.sources || [],
+            requirements: result.requirements,
+            metadata: result.metadata || null,
+            autofill: result.autofill || null,
+            fallbacks: result.fallbacks || [],
+            diagnostics: result.diagnostics || null,
+            usage: result.usage || null,
+            budget: result.budget || null,
+            review_corrections: result.review_corrections || null,
+            coverage: result.coverage || null
+        }
+        await this.writeJson(path.join(this.subsidyDir(subsidyId), 'runs', `${runId}.json`), run)
+
+        // Runs of one subsidy saved at the same time (batch jobs) each count, the newest stays the latest
+        const subsidyPath = path.join(this.subsidyDir(subsidyId), 'subsidy.json')
+        await this.serialize(`subsidy/${subsidyId}`, async () => {
+            const existing = await this.readJson(subsidyPath)
+            const latest = !existing || result.analyzed_at >= existing.last_analyzed_at
+            await this.writeJson(subsidyPath, {
+                id: subsidyId,
+                url: normalizedUrl,
+                title: latest ? result.title : existing.title,
+                first_analyzed_at: existing && existing.first_analyzed_at < result.analyzed_at ? existing.first_analyzed_at : result.analyzed_at,
+                last_analyzed_at: latest ? result.analyzed_at : existing.last_analyzed_at,
+                latest_run_id: latest ? runId : existing.latest_run_id,
+                run_count: (existing ? existing.run_count : 0) + 1
+            })
+        })
+
+        return run
+    }
+
+    /**
+     * List all known subsidies, most recently analyzed first
+     */
+    async listSubsidies() {
+        let entries = []
+        try {
+            entries = await fs.promises.readdir(this.directory)
+        } catch (error) {
+            if (error.code === 'ENOENT') return []
+            throw error
+        }
+
+        const subsidies = []
+        for (const entry of entries) {
+            const subsidy = await this.readJson(path.join(this.directory, entry, 'subsidy.json'))
+            if (subsidy) subsidies.push(subsidy)
+        }
+
+        return subsidies.sort((a, b) => b.last_analyzed_at.localeCompare(a.last_analyzed_at))
+    }
+
+    async getSubsidy(subsidyId) {
+        if (!/^[a-f0-9]{16}$/.test(subsidyId)) return null
+        return this.readJson(path.join(this.subsidyDir(subsidyId), 'subsidy.json'))
+    }
+
+    /**
+     * List run ids of a subsidy, oldest first
+     */
+    async listRunIds(subsidyId) {
+        try {
+            const files = await fs.promises.readdir(path.join(this.subsidyDir(subsidyId), 'runs'))
+            return files.filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, '')).sort()
+        } catch (error) {
+            if (error.code === 'ENOENT') return []
+            throw error
+        }
+    }
+
+    /**
+     * Summaries of all runs of a subsidy, newest first
+     */
+    async listRuns(subsidyId) {
+        const runIds = await this.listRunIds(subsidyId)
+        const runs = []
+
+        for (const runId of runIds.reverse()) {
+            const run = await this.getRun(subsidyId, runId)
+            runs.push({
+                run_id: run.run_id,
+                analyzed_at: run.analyzed_at,
+                pages_analyzed: run.pages_analyzed,
+                attestations: run.requirements.attestations.length,
+                non_attestations: run.requirements.non_attestations.length,
+                reviewed_at: run.review ? run.review.reviewed_at : null
+            })
+        }
+
+        return runs
+    }
+
+    async getRun(subsidyId, runId) {
+        if (!/^[a-f0-9]{16}$/.test(subsidyId) || !/^[\w-]+$/.test(runId)) return null
+        return this.readJson(path.join(this.subsidyDir(subsidyId), 'runs', `${runId}.json`))
+    }
+
+    /**
+     * Read, change and write a stored run. update gets the run and returns the new one
+     * (it may throw to leave the run as it was). Resolves to the new run, null when there is no such run.
+     */
+    async updateRun(subsidyId, runId, update) {
+        return this.serialize(`run/${subsidyId}/${runId}`, async () => {
+            const run = await this.getRun(subsidyId, runId)
+            if (!run) return null
+            const updated = await update(run)
+            await this.writeJson(path.join(this.subsidyDir(subsidyId), 'runs', `${runId}.json`), updated)
+            return updated
+        })
+    }
+
+    async getLatestRun(subsidyId) {
+        const subsidy = await this.getSubsidy(subsidyId)
+        return subsidy ? this.getRun(subsidyId, subsidy.latest_run_id) : null
+    }
+
+    async getLatestRunForUrl(url) {
+        return this.getLatestRun(subsidyIdForUrl(url))
+    }
+}
+
+/**
+ * Compare two requirement lists on the normalized name
+ */
+function diffRequirementList(fromList, toList) {
+    const fromNames = new Map(fromList.map(requirement => [normalizeRequirementName(requirement.name), requirement]))
+    const toNames = new Map(toList.map(requirement => [normalizeRequirementName(requirement.name), requirement]))
+
+    return {
+        added: [...toNames.entries()].filter(([key]) => !fromNames.has(key)).map(([, requirement]) => requirement),
+        removed: [...fromNames.entries()].filter(([key]) => !toNames.has(key)).map(([, requirement]) => requirement)
+    }
+}
+
+/**
+ * Structured diff between two runs: requirements added or removed, sources changed
+ */
+function diffAnalysisRuns(fromRun, toRun) {
+    const fromSources = new Map(fromRun.sources.map(source => [source.url, source]))
+    const toSources = new Map(toRun.sources.map(source => [source.url, source]))
+
+    const attestations = diffRequirementList(fromRun.requirements.attestations, toRun.requirements.attestations)
+    const nonAttestations = diffRequirementList(fromRun.requirements.non_attestations, toRun.requirements.non_attestations)
+
+    const sources = {
+        added: [...toSources.keys()].filter(url => !fromSources.has(url)),
+        removed: [...fromSources.keys()].filter(url => !toSources.has(url)),
+        changed: [...toSources.keys()].filter(url =>
+            fromSources.has(url) && fromSources.get(url).content_hash !== toSources.get(url).content_hash
+        )
+    }
+
+    const requirementsChanged = [attestations, nonAttestations].some(diff => diff.added.length > 0 || diff.removed.length > 0)
+
+    return {
+        subsidy_id: toRun.subsidy_id,
+        from_run_id: fromRun.run_id,
+        to_run_id: toRun.run_id,
+        from_analyzed_at: fromRun.analyzed_at,
+        to_analyzed_at: toRun.analyzed_at,
+        requirements_changed: requirementsChanged,
+        attestations: attestations,
+        non_attestations: nonAttestations,
+        sources: sources
+    }
+}
+
+export { AnalysisStore, normalizeSubsidyUrl, subsidyIdForUrl, hashContent, diffAnalysisRuns }
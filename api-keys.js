@@ -0,0 +1,137 @@
+import fs from 'fs'
+import { createHash, timingSafeEqual } from 'crypto'
+
+// Limits of a key that does not set its own
+const DEFAULT_LIMITS = {
+    requests_per_minute: 60,
+    max_concurrent_jobs: 2,
+    // null means no daily limit
+    analyses_per_day: null
+}
+
+const RATE_WINDOW_MS = 60 * 1000
+
+function sha256(value) {
+    return createHash('sha256').update(value).digest('hex')
+}
+
+/**
+ * Parse API_KEYS: comma separated client:key pairs, e.g. "frontend:abc123,ops:def456"
+ */
+function parseKeyList(value) {
+    return (value || '').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const separator = pair.indexOf(':')
+        if (separator <= 0) throw new Error(`API_KEYS entries must be client:key, got "${pair}"`)
+        return { client: pair.slice(0, separator), key: pair.slice(separator + 1) }
+    })
+}
+
+/**
+ * API keys of the server's clients with their limits. Keys come from a JSON
+ * file (API_KEYS_FILE) and/or API_KEYS; only the SHA-256 of a key is kept.
+ *
+ * File format:
+ *   {
+ *     "defaults": { "requests_per_minute": 60, "max_concurrent_jobs": 2, "analyses_per_day": null },
+ *     "keys": [
+ *       { "client": "frontend", "key_sha256": "<hex>", "analyses_per_day": 200 },
+ *       { "client": "ops", "key": "<secret>", "admin": true },
+ *       { "client": "experts", "key": "<secret>", "reviewer": true }
+ *     ]
+ *   }
+ */
+class ApiKeyRegistry {
+    /**
+     * Options: keys (entries as in the file), defaults, file (default API_KEYS_FILE)
+     */
+    constructor(options = {}, env = process.env) {
+        const file = options.file || env.API_KEYS_FILE
+        const config = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+        const adminClients = (env.ADMIN_CLIENTS || '').split(',').map(client => client.trim()).filter(Boolean)
+        const reviewerClients = (env.REVIEWER_CLIENTS || '').split(',').map(client => client.trim()).filter(Boolean)
+
+        this.defaults = { ...DEFAULT_LIMITS, ...(config.defaults || {}), ...(options.defaults || {}) }
+        this.clients = new Map()
+        const entries = [...(config.keys || []), ...(options.keys || parseKeyList(env.API_KEYS))]
+        for (const entry of entries) {
+            this.addKey(entry.client, entry.key_sha256 || sha256(entry.key || ''), {
+                admin: entry.admin === true || adminClients.includes(entry.client),
+                reviewer: entry.reviewer === true || reviewerClients.includes(entry.client),
+                requests_per_minute: entry.requests_per_minute,
+                max_concurrent_jobs: entry.max_concurrent_jobs,
+                analyses_per_day: entry.analyses_per_day
+            })
+        }
+
+        // Request timestamps per client within the last rate window
+        this.requestTimes = new Map()
+    }
+
+    addKey(client, keyHash, settings = {}) {
+        if (!client || !/^[0-9a-f]{64}$/i.test(keyHash)) {
+            throw new Error(`Invalid API key entry for client "${client}"`)
+        }
+        const limits = Object.fromEntries(Object.keys(DEFAULT_LIMITS).map(name => [
+            name,
+            settings[name] !== undefined ? settings[name] : this.defaults[name]
+        ]))
+        this.clients.set(keyHash.toLowerCase(), {
+            client: client,
+            admin: settings.admin === true,
+            // Reviewers (and admins) may change stored analyses through the review endpoints
+            reviewer: settings.reviewer === true || settings.admin === true,
+            ...limits
+        })
+    }
+
+    /**
+     * Whether any key is configured
+     */
+    get size() {
+        return this.clients.size
+    }
+
+    /**
+     * Client of an API key, null when the key is unknown
+     */
+    authenticate(key) {
+        if (!key) return null
+        const hash = sha256(key)
+        for (const [keyHash, client] of this.clients) {
+            if (timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(keyHash, 'hex'))) return client
+        }
+        return null
+    }
+
+    /**
+     * Count a request against the client's rate limit. Resolves to { allowed, retry_after_seconds }.
+     */
+    takeRequest(client, now = Date.now()) {
+        const times = (this.requestTimes.get(client.client) || []).filter(time => time > now - RATE_WINDOW_MS)
+        this.requestTimes.set(client.client, times)
+
+        if (client.requests_per_minute && times.length >= client.requests_per_minute) {
+            return { allowed: false, retry_after_seconds: Math.ceil((times[0] + RATE_WINDOW_MS - now) / 1000) }
+        }
+        times.push(now)
+        return { allowed: true, retry_after_seconds: 0 }
+    }
+
+    /**
+     * Clients with their limits, without the key hashes
+     */
+    describeClients() {
+        return [...this.clients.values()]
+    }
+}
+
+/**
+ * API key of a request: Authorization: Bearer <key> or X-API-Key
+ */
+function apiKeyFromRequest(req) {
+    const authorization = req.get('authorization') || ''
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i)
+    return bearer ? bearer[1].trim() : req.get('x-api-key') || null
+}
+
+export { ApiKeyRegistry, DEFAULT_LIMITS, apiKeyFromRequest }
@@ -0,0 +1,269 @@
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+
+const DEFAULT_SCHEMA_PATH = fileURLToPath(new URL('./attestation-schema.json', import.meta.url))
+
+const FIELD_TYPES = ['string', 'date', 'document']
+
+/**
+ * Raised when attestation-schema.json does not follow the schema format
+ */
+class AttestationSchemaError extends Error {
+    constructor(problems) {
+        super(`Invalid attestation schema: ${problems.join('; ')}`)
+        this.name = 'AttestationSchemaError'
+        this.problems = problems
+    }
+}
+
+/**
+ * IBAN check: country code, check digits and the mod-97 checksum
+ */
+function isValidIban(value) {
+    const iban = value.replace(/\s+/g, '').toUpperCase()
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false
+
+    // Move the first four characters to the end and turn letters into numbers (A=10 ... Z=35)
+    const numeric = (iban.substring(4) + iban.substring(0, 4))
+        .split('')
+        .map(char => (/[A-Z]/.test(char) ? (char.charCodeAt(0) - 55).toString() : char))
+        .join('')
+
+    // Compute the remainder piecewise, the number is too large for a double
+    let remainder = 0
+    for (let i = 0; i < numeric.length; i += 7) {
+        remainder = Number(`${remainder}${numeric.substring(i, i + 7)}`) % 97
+    }
+    return remainder === 1
+}
+
+/**
+ * ISO 8601 calendar date (YYYY-MM-DD) that actually exists
+ */
+function isValidIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+    const date = new Date(`${value}T00:00:00Z`)
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+/**
+ * Format validators, each with a JSON Schema pattern or format for export.
+ * A value is trimmed and, per format, freed of separators and upper cased before
+ * it is checked; the exported pattern accepts the same whitespace, separators and
+ * case, so a value is valid in both places or in neither (the IBAN checksum aside).
+ */
+const FORMATS = {
+    kvk_nummer: {
+        description: '8 digits',
+        pattern: '^\\s*[0-9]{8}\\s*$',
+        validate: value => /^\d{8}$/.test(value)
+    },
+    vestigingsnummer: {
+        description: '12 digits',
+        pattern: '^\\s*[0-9]{12}\\s*$',
+        validate: value => /^\d{12}$/.test(value)
+    },
+    iban: {
+        description: 'IBAN with a valid mod-97 check',
+        // Whitespace anywhere, e.g. "NL91 ABNA 0417 1643 00"
+        pattern: '^\\s*[A-Za-z]\\s*[A-Za-z](\\s*[0-9]){2}(\\s*[A-Za-z0-9]){11,30}\\s*$',
+        validate: value => isValidIban(value)
+    },
+    btw_nummer: {
+        description: 'NL + 9 digits + B + 2 digits',
+        // Spaces and dots anywhere, e.g. "NL 8200.94.985 B01"
+        pattern: '^[\\s.]*[Nn][\\s.]*[Ll]([\\s.]*[0-9]){9}[\\s.]*[Bb]([\\s.]*[0-9]){2}[\\s.]*$',
+        validate: value => /^NL\d{9}B\d{2}$/.test(value.replace(/[\s.]/g, '').toUpperCase())
+    },
+    email: {
+        description: 'email address',
+        jsonSchemaFormat: 'email',
+        validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    },
+    telefoonnummer: {
+        description: 'Dutch or international phone number',
+        // Spaces, dashes and parentheses anywhere, e.g. "(020) 123-4567" or "+31 6 12345678"
+        pattern: '^[\\s\\-()]*(\\+|00)?([\\s\\-()]*[0-9]){9,15}[\\s\\-()]*$',
+        validate: value => /^(\+|00)?\d{9,15}$/.test(value.replace(/[\s\-()]/g, ''))
+    },
+    date: {
+        description: 'ISO 8601 date (YYYY-MM-DD)',
+        jsonSchemaFormat: 'date',
+        validate: value => isValidIsoDate(value)
+    }
+}
+
+/**
+ * Collect problems in a parsed schema file, an empty list means it is valid
+ */
+function findSchemaProblems(schema) {
+    const problems = []
+
+    if (!schema || typeof schema !== 'object') {
+        return ['schema must be a JSON object']
+    }
+    if (typeof schema.schema_version !== 'string' || !/^\d+\.\d+\.\d+$/.test(schema.schema_version)) {
+        problems.push('schema_version must be a semantic version like "2.0.0"')
+    }
+    if (!schema.attestation_schema || typeof schema.attestation_schema !== 'object') {
+        problems.push('attestation_schema must be an object of fields')
+        return problems
+    }
+
+    const credentials = schema.credentials || {}
+    for (const [id, credential] of Object.entries(credentials)) {
+        if (!credential || typeof credential.format !== 'string' || typeof credential.vct !== 'string') {
+            problems.push(`credentials.${id}: format and vct are required`)
+        }
+    }
+
+    for (const [key, field] of Object.entries(schema.attestation_schema)) {
+        if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+            problems.push(`${key}: key must be snake_case`)
+        }
+        if (!field || typeof field !== 'object') {
+            problems.push(`${key}: field definition must be an object`)
+            continue
+        }
+        if (!FIELD_TYPES.includes(field.type)) {
+            problems.push(`${key}: type must be one of ${FIELD_TYPES.join(', ')}`)
+        }
+        if (field.format !== undefined && !FORMATS[field.format]) {
+            problems.push(`${key}: unknown format "${field.format}"`)
+        }
+        if (typeof field.issuer !== 'string' || !field.issuer) {
+            problems.push(`${key}: issuer is required`)
+        }
+        if (!field.labels || typeof field.labels.nl !== 'string' || typeof field.labels.en !== 'string') {
+            problems.push(`${key}: labels.nl and labels.en are required`)
+        }
+        if (typeof field.description !== 'string' || !field.description) {
+            problems.push(`${key}: description is required`)
+        }
+        if (field.form_labels !== undefined &&
+            (!Array.isArray(field.form_labels) || !field.form_labels.every(label => typeof label === 'string' && label.trim()))) {
+            problems.push(`${key}: form_labels must be an array of non-empty strings`)
+        }
+        if (field.credential !== undefined) {
+            if (!field.credential || !credentials[field.credential.id]) {
+                problems.push(`${key}: credential.id must refer to an entry in credentials`)
+            } else if (field.credential.claim_path !== undefined &&
+                (!Array.isArray(field.credential.claim_path) || field.credential.claim_path.length === 0 ||
+                    !field.credential.claim_path.every(part => typeof part === 'string'))) {
+                problems.push(`${key}: credential.claim_path must be a non-empty array of strings`)
+            }
+        }
+    }
+
+    return problems
+}
+
+/**
+ * Load and validate the attestation schema. Returns null when the file does
+ * not exist, throws AttestationSchemaError when it is invalid.
+ */
+function loadAttestationSchema(filePath = DEFAULT_SCHEMA_PATH) {
+    let schemaData
+    try {
+        schemaData = fs.readFileSync(filePath, 'utf8')
+    } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+    }
+
+    let schema
+    try {
+        schema = JSON.parse(schemaData)
+    } catch (error) {
+        throw new AttestationSchemaError([`invalid JSON: ${error.message}`])
+    }
+
+    const problems = findSchemaProblems(schema)
+    if (problems.length > 0) {
+        throw new AttestationSchemaError(problems)
+    }
+
+    return schema
+}
+
+/**
+ * Validate a value for an attestation field, returns { valid, errors }
+ */
+function validateAttestationValue(schema, key, value) {
+    const field = schema.attestation_schema[key]
+    if (!field) {
+        return { valid: false, errors: [`unknown attestation "${key}"`] }
+    }
+
+    if (field.type === 'document') {
+        // A document is held (true) or referenced by id, URL or credential
+        const held = value === true || (typeof value === 'string' && value.trim() !== '') || (value && typeof value === 'object')
+        return held ? { valid: true, errors: [] } : { valid: false, errors: ['expected true, a document reference or a credential'] }
+    }
+
+    if (typeof value !== 'string' || value.trim() === '') {
+        return { valid: false, errors: ['expected a non-empty string'] }
+    }
+
+    if (field.format && !FORMATS[field.format].validate(value.trim())) {
+        return { valid: false, errors: [`expected ${FORMATS[field.format].description}`] }
+    }
+
+    return { valid: true, errors: [] }
+}
+
+/**
+ * Emit a standard JSON Schema (draft 2020-12) describing an attestation set.
+ * Checks JSON Schema cannot express (like the IBAN checksum) are named in x-validator.
+ */
+function toJsonSchema(schema) {
+    const properties = {}
+
+    for (const [key, field] of Object.entries(schema.attestation_schema)) {
+        const format = field.format ? FORMATS[field.format] : null
+        const property = {
+            title: field.labels.nl,
+            description: field.description,
+            'x-labels': field.labels,
+            'x-issuer': field.issuer,
+            'x-attestation-type': field.type
+        }
+
+        if (field.type === 'document') {
+            property.oneOf = [
+                { type: 'boolean', const: true },
+                { type: 'string', minLength: 1 },
+                { type: 'object' }
+            ]
+        } else {
+            property.type = 'string'
+            property.minLength = 1
+        }
+
+        if (format && format.pattern) property.pattern = format.pattern
+        if (format && format.jsonSchemaFormat) property.format = format.jsonSchemaFormat
+        if (field.format === 'iban') property['x-validator'] = 'iban-mod97'
+
+        properties[key] = property
+    }
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `urn:rvo-subsidie-analyser:attestation-schema:${schema.schema_version}`,
+        title: 'RVO subsidy attestations',
+        description: 'Attestations that an applicant can present for an RVO subsidy application',
+        type: 'object',
+        properties: properties,
+        additionalProperties: false
+    }
+}
+
+export {
+    AttestationSchemaError,
+    FORMATS,
+    isValidIban,
+    findSchemaProblems,
+    loadAttestationSchema,
+    validateAttestationValue,
+    toJsonSchema
+}
@@ -0,0 +1,105 @@
+/**
+ * Batch analysis helpers shared by the API and the CLI: reading URL lists,
+ * running work with bounded concurrency and summarizing the outcome.
+ */
+
+const DEFAULT_BATCH_CONCURRENCY = 2
+const MAX_BATCH_CONCURRENCY = 8
+
+/**
+ * Parse a list of URLs, one per line. Blank lines and # comments are skipped,
+ * duplicates are dropped and lines that are not http(s) URLs are reported.
+ */
+function parseUrlList(text) {
+    const urls = []
+    const invalid = []
+
+    for (const line of text.split(/\r?\n/)) {
+        const value = line.trim()
+        if (!value || value.startsWith('#')) continue
+
+        if (!isHttpUrl(value)) {
+            invalid.push(value)
+        } else if (!urls.includes(value)) {
+            urls.push(value)
+        }
+    }
+
+    return { urls: urls, invalid: invalid }
+}
+
+/**
+ * Whether a value is an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value)
+        return url.protocol === 'http:' || url.protocol === 'https:'
+    } catch (error) {
+        return false
+    }
+}
+
+/**
+ * Clamp a requested concurrency to 1..MAX_BATCH_CONCURRENCY
+ */
+function normalizeConcurrency(value) {
+    const concurrency = Number.parseInt(value, 10)
+    if (!Number.isFinite(concurrency) || concurrency < 1) return DEFAULT_BATCH_CONCURRENCY
+    return Math.min(concurrency, MAX_BATCH_CONCURRENCY)
+}
+
+/**
+ * Run worker(item, index) for every item with at most `concurrency` running at once.
+ * A rejected worker is recorded for its item and never stops the others.
+ * Resolves to [{ item, value }] or [{ item, error }] in input order.
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+    const outcomes = new Array(items.length)
+    let next = 0
+
+    const lane = async () => {
+        while (next < items.length) {
+            const index = next++
+            try {
+                outcomes[index] = { item: items[index], value: await worker(items[index], index) }
+            } catch (error) {
+                outcomes[index] = { item: items[index], error: error }
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane))
+    return outcomes
+}
+
+/**
+ * Aggregate report over per-URL entries ({ url, status, error, duration_ms, ... })
+ */
+function createBatchReport(entries, startedAt, finishedAt) {
+    const completed = entries.filter(entry => entry.status === 'completed')
+    const failed = entries.filter(entry => entry.status === 'failed')
+
+    return {
+        total: entries.length,
+        completed: completed.length,
+        failed: failed.length,
+        pending: entries.length - completed.length - failed.length,
+        started_at: startedAt,
+        finished_at: finishedAt || null,
+        duration_ms: finishedAt ? new Date(finishedAt).getTime() - new Date(startedAt).getTime() : null,
+        attestations_total: completed.reduce((sum, entry) => sum + (entry.attestations || 0), 0),
+        non_attestations_total: completed.reduce((sum, entry) => sum + (entry.non_attestations || 0), 0),
+        failures: failed.map(entry => ({ url: entry.url, error: entry.error, error_class: entry.error_class || null }))
+    }
+}
+
+export {
+    DEFAULT_BATCH_CONCURRENCY,
+    MAX_BATCH_CONCURRENCY,
+    parseUrlList,
+    isHttpUrl,
+    normalizeConcurrency,
+    runWithConcurrency,
+    createBatchReport
+}
@@ -0,0 +1,282 @@
+import { EventEmitter } from 'events'
+import * as cheerio from 'cheerio'
+import { normalizeSubsidyUrl } from './analysis-store.js'
+import { adapterByName } from './site-adapters.js'
+
+const DEFAULT_SITE = 'rvo'
+
+// Checked in this order: "nog niet open" is upcoming, not open
+const STATUS_PATTERNS = [
+    ['upcoming', /\b(binnenkort open|opent (?:op|in|vanaf)|gaat (?:binnenkort )?open|nog niet open|verwacht)\b/i],
+    ['closed', /\b(gesloten|niet meer open|niet meer aanvragen|aanvragen is niet meer mogelijk|sluitingsdatum is verstreken)\b/i],
+    ['open', /\b(open|opengesteld|nu aanvragen|u kunt (?:nu )?aanvragen)\b/i]
+]
+
+/**
+ * Classify a status label or teaser text as open, closed or upcoming
+ */
+function classifyStatus(text) {
+    for (const [status, pattern] of STATUS_PATTERNS) {
+        const match = (text || '').match(pattern)
+        if (match) return { status: status, status_text: match[0] }
+    }
+    return { status: 'unknown', status_text: null }
+}
+
+/**
+ * URLs and lastmod dates from a sitemap, plus nested sitemaps of a sitemap index
+ */
+function parseSitemap(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true })
+    return {
+        sitemaps: $('sitemap > loc').map((i, element) => $(element).text().trim()).get(),
+        urls: $('url').map((i, element) => ({
+            url: $(element).find('loc').first().text().trim(),
+            lastmod: $(element).find('lastmod').first().text().trim() || null
+        })).get().filter(entry => entry.url)
+    }
+}
+
+/**
+ * Merge two findings of the same regulation. The first known status wins,
+ * because the overview label is more specific than anything found later.
+ */
+function mergeDiscovered(existing, item) {
+    if (!existing) {
+        return {
+            title: null,
+            status: 'unknown',
+            status_text: null,
+            lastmod: null,
+            ...item,
+            aliases: new Set(item.aliases),
+            sources: new Set(item.sources)
+        }
+    }
+
+    const keepStatus = existing.status !== 'unknown' || !item.status
+    return {
+        ...existing,
+        title: existing.title || item.title || null,
+        status: keepStatus ? existing.status : item.status,
+        status_text: keepStatus ? existing.status_text : item.status_text,
+        lastmod: existing.lastmod || item.lastmod || null,
+        aliases: new Set([...existing.aliases, ...item.aliases]),
+        sources: new Set([...existing.sources, ...item.sources])
+    }
+}
+
+/**
+ * Finds all regulation pages of a site from its overview pages and sitemap.
+ * Fetching and link harvesting go through the agent, so the crawler politeness
+ * and the HTTP cache apply to discovery as well.
+ *
+ * Options:
+ * - siteAdapter: SiteAdapter with an overviewUrl and regulationPath (default the RVO adapter)
+ * - overviewUrl: first overview page (default the adapter's overview)
+ * - regulationPath: RegExp for the path of a single regulation page (default the adapter's)
+ * - maxOverviewPages: pagination limit (default 50)
+ * - maxSitemaps: limit for nested sitemaps of a sitemap index (default 20)
+ * - inspect: visit every regulation page for its title, status and canonical URL (default true)
+ */
+class CatalogueDiscovery extends EventEmitter {
+    constructor(agent, options = {}) {
+        super()
+        this.agent = agent
+        this.siteAdapter = options.siteAdapter || adapterByName(DEFAULT_SITE)
+        this.overviewUrl = options.overviewUrl || this.siteAdapter.overviewUrl
+        this.regulationPath = options.regulationPath || this.siteAdapter.regulationPath
+        if (!this.overviewUrl || !this.regulationPath) {
+            throw new Error(`Site adapter ${this.siteAdapter.name} has no overview to discover regulations from`)
+        }
+        this.maxOverviewPages = options.maxOverviewPages || 50
+        this.maxSitemaps = options.maxSitemaps || 20
+        this.inspect = options.inspect !== false
+    }
+
+    /**
+     * Whether a URL is a single regulation page on the overview's site
+     */
+    isRegulationUrl(url) {
+        try {
+            const parsed = new URL(url)
+            const site = new URL(this.overviewUrl)
+            return parsed.hostname.replace(/^www\./, '') === site.hostname.replace(/^www\./, '') &&
+                this.regulationPath.test(parsed.pathname.replace(/\/$/, ''))
+        } catch (error) {
+            return false
+        }
+    }
+
+    /**
+     * Same URL on the overview's scheme and host, so http://rvo.nl/x and https://www.rvo.nl/x match
+     */
+    canonicalUrl(url) {
+        const parsed = new URL(url)
+        const site = new URL(this.overviewUrl)
+        parsed.protocol = site.protocol
+        parsed.hostname = site.hostname
+        parsed.search = ''
+        return normalizeSubsidyUrl(parsed.toString())
+    }
+
+    /**
+     * Discover regulations. sources: ['overview', 'sitemap'] or one of them.
+     * Resolves to a de-duplicated list of { url, aliases, title, status, status_text, sources, lastmod }.
+     */
+    async discover(sources = ['overview', 'sitemap']) {
+        const found = new Map()
+        const add = (item) => {
+            const url = this.canonicalUrl(item.url)
+            found.set(url, mergeDiscovered(found.get(url), { ...item, url: url, aliases: [item.url] }))
+        }
+
+        if (sources.includes('overview')) {
+            for (const item of await this.discoverFromOverview()) add(item)
+        }
+        if (sources.includes('sitemap')) {
+            for (const item of await this.discoverFromSitemap()) add(item)
+        }
+
+        let regulations = [...found.values()]
+        if (this.inspect) {
+            regulations = await this.inspectRegulations(regulations)
+        }
+
+        return regulations.map(item => ({
+            ...item,
+            aliases: [...item.aliases].filter(alias => normalizeSubsidyUrl(alias) !== item.url),
+            sources: [...item.sources]
+        }))
+    }
+
+    /**
+     * Walk the overview and its pagination, harvesting regulation links with their teaser status
+     */
+    async discoverFromOverview() {
+        const results = []
+        const visitedPages = new Set()
+        let pageUrl = this.overviewUrl
+
+        while (pageUrl && !visitedPages.has(pageUrl) && visitedPages.size < this.maxOverviewPages) {
+            visitedPages.add(pageUrl)
+            const page = await this.agent.scrapePage(pageUrl)
+            const $ = cheerio.load(page.html)
+
+            const regulationLinks = this.agent.extractActualLinks(page.html, pageUrl)
+                .filter(link => this.isRegulationUrl(link.url))
+
+            for (const link of regulationLinks) {
+                // The teaser around the link usually carries an open/closed label
+                const anchor = $('a[href]').filter((i, element) => $(element).attr('href') === link.href).first()
+                const teaser = anchor.closest('li, article, [class*="card"], [class*="teaser"]').text().replace(/\s+/g, ' ')
+
+                results.push({
+                    url: link.url,
+                    title: link.text,
+                    sources: ['overview'],
+                    ...classifyStatus(teaser.replace(link.text, ''))
+                })
+            }
+
+            this.emit('progress', { phase: 'overview_page', url: pageUrl, page: visitedPages.size, regulations: regulationLinks.length })
+            pageUrl = this.findNextPageUrl($, pageUrl)
+        }
+
+        return results
+    }
+
+    /**
+     * URL of the next overview page: rel="next", a pager "next" link, or ?page=n+1
+     */
+    findNextPageUrl($, pageUrl) {
+        const resolve = href => new URL(href, pageUrl).toString()
+
+        const relNext = $('a[rel="next"], link[rel="next"], .pager__item--next a, li.next a').first().attr('href')
+        if (relNext) return resolve(relNext)
+
+        const textNext = $('a[href]').filter((i, element) => /^(volgende|next|›|»)/i.test($(element).text().trim())).first().attr('href')
+        if (textNext) return resolve(textNext)
+
+        const currentPage = Number(new URL(pageUrl).searchParams.get('page') || 0)
+        const numbered = $('a[href*="page="]').map((i, element) => resolve($(element).attr('href'))).get()
+            .find(url => Number(new URL(url).searchParams.get('page')) === currentPage + 1)
+        return numbered || null
+    }
+
+    /**
+     * Regulation pages listed in the site's sitemap (following sitemap indexes)
+     */
+    async discoverFromSitemap() {
+        const results = []
+        const queue = [new URL('/sitemap.xml', this.overviewUrl).toString()]
+        const visited = new Set()
+
+        while (queue.length > 0 && visited.size < this.maxSitemaps) {
+            const sitemapUrl = queue.shift()
+            if (visited.has(sitemapUrl)) continue
+            visited.add(sitemapUrl)
+
+            let sitemap
+            try {
+                const response = await this.agent.httpCache.fetch(sitemapUrl)
+                if (!response.ok) {
+                    this.emit('progress', { phase: 'sitemap_failed', url: sitemapUrl, status: response.status })
+                    continue
+                }
+                sitemap = parseSitemap(await response.text())
+            } catch (error) {
+                // Timeouts, robots.txt and URL policy refusals skip this sitemap only
+                this.emit('progress', { phase: 'sitemap_failed', url: sitemapUrl, error: error.message })
+                continue
+            }
+
+            queue.push(...sitemap.sitemaps)
+
+            const regulations = sitemap.urls.filter(entry => this.isRegulationUrl(entry.url))
+            results.push(...regulations.map(entry => ({ url: entry.url, lastmod: entry.lastmod, sources: ['sitemap'] })))
+
+            this.emit('progress', { phase: 'sitemap', url: sitemapUrl, regulations: regulations.length })
+        }
+
+        return results
+    }
+
+    /**
+     * Visit every regulation page for its title and status label. A rel=canonical
+     * pointing elsewhere makes the page an alias of that URL.
+     */
+    async inspectRegulations(regulations) {
+        const byUrl = new Map()
+
+        for (const item of regulations) {
+            let inspected = item
+            try {
+                const page = await this.agent.scrapePage(item.url)
+                const $ = cheerio.load(page.html)
+                const canonical = $('link[rel="canonical"]').attr('href')
+                const statusLabel = $('[class*="status"], [class*="label"], [class*="badge"], [class*="tag"]').text()
+                const fromPage = classifyStatus(`${statusLabel} ${page.textContent.substring(0, 600)}`)
+
+                inspected = {
+                    ...item,
+                    url: canonical && this.isRegulationUrl(new URL(canonical, item.url).toString())
+                        ? this.canonicalUrl(new URL(canonical, item.url).toString())
+                        : item.url,
+                    aliases: new Set([...item.aliases, item.url]),
+                    title: page.title || item.title,
+                    ...(item.status === 'unknown' ? fromPage : {})
+                }
+            } catch (error) {
+                this.emit('progress', { phase: 'inspect_failed', url: item.url, error: error.message })
+            }
+
+            byUrl.set(inspected.url, mergeDiscovered(byUrl.get(inspected.url), inspected))
+            this.emit('progress', { phase: 'regulation_inspected', url: inspected.url, status: inspected.status })
+        }
+
+        return [...byUrl.values()]
+    }
+}
+
+export { CatalogueDiscovery, classifyStatus, parseSitemap }
@@ -0,0 +1,164 @@
+/**
+ * Token-aware chunking of scraped pages and documents for map-reduce analysis
+ */
+
+// Rough average for Dutch and English text with the GPT tokenizers
+const CHARS_PER_TOKEN = 4
+
+// Characters repeated at the start of the next part so quotes are not cut in half
+const CHUNK_OVERLAP_CHARS = 200
+
+/**
+ * Estimate the number of tokens in a text
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Cut a text to roughly the given number of tokens
+ */
+function truncateToTokens(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN
+    return text.length > maxChars ? text.substring(0, maxChars) : text
+}
+
+/**
+ * List scraped pages and documents as analysis sources
+ */
+function collectAnalysisSources(scrapedData) {
+    const pages = (scrapedData.allPages || []).map(page => ({
+        url: page.url,
+        title: page.title,
+        reason: page.reason,
+        document_type: 'page',
+        text: page.textContent || ''
+    }))
+
+    const documents = (scrapedData.allDocuments || []).map(doc => ({
+        url: doc.url,
+        title: doc.title,
+        reason: doc.reason,
+        document_type: doc.type,
+        text: doc.textContent || ''
+    }))
+
+    return [...pages, ...documents].filter(source => source.text.trim().length > 0)
+}
+
+/**
+ * Split a text into parts of at most maxChars, preferring paragraph and sentence breaks
+ */
+function splitText(text, maxChars) {
+    const parts = []
+    let start = 0
+
+    while (start < text.length) {
+        let end = Math.min(start + maxChars, text.length)
+
+        if (end < text.length) {
+            const window = text.substring(start, end)
+            const minBreak = Math.floor(maxChars / 2)
+            const breakAt = Math.max(
+                window.lastIndexOf('\n'),
+                window.lastIndexOf('. '),
+                window.lastIndexOf('? '),
+                window.lastIndexOf('! ')
+            )
+            if (breakAt > minBreak) {
+                end = start + breakAt + 1
+            }
+        }
+
+        parts.push({ start: start, end: end })
+        if (end >= text.length) break
+        start = Math.max(end - CHUNK_OVERLAP_CHARS, start + 1)
+    }
+
+    return parts.map((part, index) => ({
+        text: text.substring(part.start, part.end),
+        // Only count characters not already covered by the previous part
+        newCharacters: part.end - (index === 0 ? part.start : Math.max(part.start, parts[index - 1].end)),
+        part: index + 1,
+        parts: parts.length
+    }))
+}
+
+/**
+ * Header line for a source section in a prompt
+ */
+function sourceHeader(source, part, parts) {
+    const partLabel = parts > 1 ? ` PART ${part}/${parts}` : ''
+    return `=== ${source.title} (${source.reason}) [${source.document_type.toUpperCase()}]${partLabel} SOURCE_URL: ${source.url} ===`
+}
+
+/**
+ * Split sources into chunks of at most maxChunkTokens. Long sources are split
+ * into parts, small sources are packed together into one chunk.
+ */
+function chunkSources(sources, options = {}) {
+    const maxChunkTokens = options.maxChunkTokens || 3000
+    const maxChars = maxChunkTokens * CHARS_PER_TOKEN
+    const chunks = []
+    let current = null
+
+    const flush = () => {
+        if (current) chunks.push(current)
+        current = null
+    }
+
+    for (const source of sources) {
+        const pieces = splitText(source.text, maxChars)
+
+        for (const piece of pieces) {
+            const section = `${sourceHeader(source, piece.part, piece.parts)}\n${piece.text}`
+
+            if (current && estimateTokens(current.content + '\n\n' + section) > maxChunkTokens) {
+                flush()
+            }
+            if (!current) {
+                current = { index: chunks.length, content: '', sources: [], characters: 0 }
+            }
+
+            current.content += (current.content ? '\n\n' : '') + section
+            current.characters += piece.newCharacters
+            if (!current.sources.includes(source.url)) {
+                current.sources.push(source.url)
+            }
+        }
+    }
+    flush()
+
+    return chunks.map(chunk => ({ ...chunk, tokens: estimateTokens(chunk.content) }))
+}
+
+/**
+ * Describe how much of the corpus made it into successfully analyzed chunks
+ */
+function computeCoverage(sources, chunks, analyzedChunkIndexes) {
+    const analyzed = chunks.filter(chunk => analyzedChunkIndexes.includes(chunk.index))
+    const charactersTotal = sources.reduce((sum, source) => sum + source.text.length, 0)
+    const charactersAnalyzed = analyzed.reduce((sum, chunk) => sum + chunk.characters, 0)
+    const coveredSources = new Set(analyzed.flatMap(chunk => chunk.sources))
+
+    return {
+        sources_total: sources.length,
+        sources_analyzed: coveredSources.size,
+        chunks_total: chunks.length,
+        chunks_analyzed: analyzed.length,
+        characters_total: charactersTotal,
+        characters_analyzed: charactersAnalyzed,
+        coverage_ratio: charactersTotal > 0 ? Math.round((charactersAnalyzed / charactersTotal) * 1000) / 1000 : 1,
+        skipped_sources: sources.filter(source => !coveredSources.has(source.url)).map(source => source.url)
+    }
+}
+
+export {
+    CHARS_PER_TOKEN,
+    estimateTokens,
+    truncateToTokens,
+    collectAnalysisSources,
+    splitText,
+    chunkSources,
+    computeCoverage
+}
@@ -0,0 +1,417 @@
+import * as cheerio from 'cheerio'
+import CFB from 'cfb'
+import pdf from 'pdf-parse/lib/pdf-parse.js'
+import mammoth from 'mammoth'
+import * as XLSX from 'xlsx'
+
+/**
+ * Document type detection and text extraction. The type comes from the file
+ * itself (magic bytes and container contents), then the Content-Type header,
+ * and only then the URL. Extraction either returns text or throws a
+ * DocumentExtractionError with a reason, never a silent empty string.
+ */
+
+// Reasons recorded on a document that yielded no text
+const EXTRACTION_FAILURE_REASONS = ['http_error', 'blocked', 'unsupported_type', 'encrypted', 'parse_failed', 'no_text']
+
+const EXTENSION_TYPES = {
+    pdf: 'pdf', docx: 'docx', doc: 'doc', xlsx: 'xlsx', xls: 'xls', ods: 'ods',
+    pptx: 'pptx', ppt: 'ppt', odt: 'odt', odp: 'odp', rtf: 'rtf', txt: 'txt', csv: 'txt'
+}
+
+const CONTENT_TYPES = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/msword': 'doc',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.ms-excel': 'xls',
+    'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'application/vnd.ms-powerpoint': 'ppt',
+    'application/vnd.oasis.opendocument.text': 'odt',
+    'application/vnd.oasis.opendocument.presentation': 'odp',
+    'application/rtf': 'rtf',
+    'text/rtf': 'rtf',
+    'text/plain': 'txt',
+    'text/csv': 'txt'
+}
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+
+class DocumentExtractionError extends Error {
+    constructor(reason, message) {
+        super(message)
+        this.name = 'DocumentExtractionError'
+        this.reason = reason
+    }
+}
+
+/**
+ * Type from the extension of the URL path, 'unknown' without a known extension
+ */
+function typeFromUrl(url) {
+    try {
+        const match = new URL(url).pathname.toLowerCase().match(/\.([a-z0-9]+)$/)
+        return (match && EXTENSION_TYPES[match[1]]) || 'unknown'
+    } catch (error) {
+        return 'unknown'
+    }
+}
+
+/**
+ * Type from a Content-Type header, null for generic types like application/octet-stream
+ */
+function typeFromContentType(contentType) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase()
+    return CONTENT_TYPES[mimeType] || null
+}
+
+/**
+ * Open a ZIP or OLE container, null when the buffer is neither
+ */
+function readContainer(buffer) {
+    try {
+        return CFB.read(buffer, { type: 'buffer' })
+    } catch (error) {
+        return null
+    }
+}
+
+/**
+ * Content of an entry in a container as a Buffer, null when missing
+ */
+function entryContent(container, name) {
+    // Full paths start with the root entry name, e.g. "Root Entry/word/document.xml"
+    const index = container.FullPaths.findIndex(fullPath => fullPath.substring(fullPath.indexOf('/') + 1) === name)
+    const entry = index >= 0 ? container.FileIndex[index] : null
+    return entry && entry.content && entry.content.length > 0 ? Buffer.from(entry.content) : null
+}
+
+/**
+ * Type from the magic bytes and, for ZIP and OLE files, the entries inside them
+ */
+function typeFromContent(buffer) {
+    if (!buffer || buffer.length < 4) return null
+
+    const head = buffer.subarray(0, 8)
+    if (head.subarray(0, 4).toString('latin1') === '%PDF') return 'pdf'
+    if (head.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf'
+
+    if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+        const container = readContainer(buffer)
+        if (!container) return null
+
+        const mimetype = entryContent(container, 'mimetype')
+        if (mimetype) {
+            const odfType = typeFromContentType(mimetype.toString('latin1'))
+            if (odfType) return odfType
+        }
+        if (entryContent(container, 'word/document.xml')) return 'docx'
+        if (entryContent(container, 'xl/workbook.xml')) return 'xlsx'
+        if (entryContent(container, 'ppt/presentation.xml')) return 'pptx'
+        return null
+    }
+
+    if (head.equals(OLE_SIGNATURE)) {
+        const container = readContainer(buffer)
+        if (!container) return null
+
+        if (entryContent(container, 'WordDocument')) return 'doc'
+        if (entryContent(container, 'Workbook') || entryContent(container, 'Book')) return 'xls'
+        if (entryContent(container, 'PowerPoint Document')) return 'ppt'
+        // Password protected OOXML files are OLE containers with an EncryptionInfo stream
+        if (entryContent(container, 'EncryptionInfo')) return 'encrypted'
+        return null
+    }
+
+    return null
+}
+
+/**
+ * Detect the document type: file contents first, then Content-Type, then the URL
+ */
+function detectDocumentType(buffer, contentType, url) {
+    return typeFromContent(buffer) || typeFromContentType(contentType) || typeFromUrl(url)
+}
+
+/**
+ * Decode text: BOM first, then strict UTF-8, falling back to Windows-1252
+ */
+function decodeText(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return buffer.subarray(3).toString('utf8')
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2))
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2))
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(buffer)
+    }
+}
+
+async function extractPdfText(buffer) {
+    const data = await pdf(buffer)
+    return data.text
+}
+
+async function extractDocxText(buffer) {
+    const result = await mammoth.extractRawText({ buffer })
+    return result.value
+}
+
+/**
+ * Text of every sheet of an XLSX, XLS or ODS workbook
+ */
+function extractSpreadsheetText(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer' })
+    return workbook.SheetNames.map(sheetName => {
+        const sheetText = XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName], { FS: '\t', blankrows: false })
+        return `\n=== Sheet: ${sheetName} ===\n${sheetText}\n`
+    }).join('')
+}
+
+/**
+ * Text of the slides of a PPTX, one paragraph per line, in slide order
+ */
+function extractPptxText(buffer) {
+    const container = readContainer(buffer)
+    const slides = container.FullPaths
+        .map(fullPath => fullPath.match(/\/(ppt\/slides\/slide(\d+)\.xml)$/))
+        .filter(Boolean)
+        .sort((a, b) => Number(a[2]) - Number(b[2]))
+
+    return slides.map(match => {
+        const $ = cheerio.load(entryContent(container, match[1]).toString('utf8'), { xmlMode: true })
+        const paragraphs = $('a\\:p').map((i, paragraph) => $(paragraph).find('a\\:t').map((j, run) => $(run).text()).get().join('')).get()
+        return `\n=== Slide ${match[2]} ===\n${paragraphs.filter(text => text.trim()).join('\n')}\n`
+    }).join('')
+}
+
+/**
+ * Text of an ODT or ODP document, headings as Markdown headings
+ */
+function extractOdfText(buffer) {
+    const content = entryContent(readContainer(buffer), 'content.xml')
+    if (!content) throw new DocumentExtractionError('parse_failed', 'OpenDocument file has no content.xml')
+
+    const $ = cheerio.load(content.toString('utf8'), { xmlMode: true })
+    $('text\\:s').replaceWith(' ')
+    $('text\\:tab').replaceWith('\t')
+    $('text\\:line-break').replaceWith('\n')
+
+    return $('text\\:h, text\\:p').map((i, element) => {
+        const text = $(element).text().trim()
+        if (!text || $(element).parents('text\\:p, text\\:h').length > 0) return null
+        if (element.tagName === 'text:h') {
+            const level = Number($(element).attr('text:outline-level')) || 1
+            return `${'#'.repeat(Math.min(level, 6))} ${text}`
+        }
+        return text
+    }).get().filter(Boolean).join('\n')
+}
+
+/**
+ * Text of a Word 97-2003 (.doc) file, read through the piece table in the table stream
+ */
+function extractDocText(buffer) {
+    const container = readContainer(buffer)
+    const word = entryContent(container, 'WordDocument')
+    if (!word || word.readUInt16LE(0) !== 0xa5ec) {
+        throw new DocumentExtractionError('parse_failed', 'Not a Word 97-2003 document')
+    }
+
+    const flags = word.readUInt16LE(0x0a)
+    if (flags & 0x0100) throw new DocumentExtractionError('encrypted', 'Word document is password protected')
+
+    const table = entryContent(container, flags & 0x0200 ? '1Table' : '0Table')
+    if (!table) throw new DocumentExtractionError('parse_failed', 'Word document has no table stream')
+
+    // The Clx starts with optional property blocks (0x01) followed by the piece table (0x02)
+    let position = word.readUInt32LE(0x01a2)
+    while (table[position] === 0x01) {
+        position += 3 + table.readUInt16LE(position + 1)
+    }
+    if (table[position] !== 0x02) throw new DocumentExtractionError('parse_failed', 'Word document has no piece table')
+
+    const pieceTableSize = table.readUInt32LE(position + 1)
+    const start = position + 5
+    const pieces = (pieceTableSize - 4) / 12
+    const ansi = new TextDecoder('windows-1252')
+    let text = ''
+
+    for (let i = 0; i < pieces; i++) {
+        const characters = table.readUInt32LE(start + (i + 1) * 4) - table.readUInt32LE(start + i * 4)
+        const fc = table.readUInt32LE(start + (pieces + 1) * 4 + i * 8 + 2)
+
+        // Compressed pieces are 8-bit Windows-1252, the others UTF-16LE
+        if (fc & 0x40000000) {
+            const offset = (fc & 0x3fffffff) / 2
+            text += ansi.decode(word.subarray(offset, offset + characters))
+        } else {
+            text += word.subarray(fc, fc + characters * 2).toString('utf16le')
+        }
+    }
+
+    // Keep field results, drop field instructions (0x13 instruction 0x14 result 0x15)
+    let previous
+    do {
+        previous = text
+        text = text.replace(/\x13[^\x13\x14\x15]*\x14([^\x13\x15]*)\x15/g, '$1').replace(/\x13[^\x13\x14\x15]*\x15/g, '')
+    } while (text !== previous)
+
+    return text
+        .replace(/\r/g, '\n')
+        .replace(/\x07/g, '\t')
+        .replace(/[\x0b\x0c]/g, '\n')
+        .replace(/[\x00-\x08\x0e-\x1f]/g, '')
+}
+
+// RTF groups that hold no document text
+const RTF_SKIPPED_GROUPS = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'datastore', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'latentstyles', 'xmlnstbl', 'header', 'footer']
+
+/**
+ * Plain text of an RTF document
+ */
+function extractRtfText(buffer) {
+    const rtf = buffer.toString('latin1')
+    const ansi = new TextDecoder('windows-1252')
+    const stack = []
+    let skip = false
+    let unicodeSkip = 1
+    let pendingSkip = 0
+    let text = ''
+
+    const pattern = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi
+    let match
+    while ((match = pattern.exec(rtf)) !== null) {
+        const [, word, param, hex, symbol, brace, plain] = match
+
+        if (brace === '{') {
+            stack.push({ skip, unicodeSkip })
+            continue
+        }
+        if (brace === '}') {
+            ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 })
+            continue
+        }
+
+        // Characters that replace a \u escape for readers without Unicode
+        if (pendingSkip > 0 && (hex || plain)) {
+            if (hex) {
+                pendingSkip--
+                continue
+            }
+            const skipped = plain.substring(0, pendingSkip)
+            pendingSkip -= skipped.length
+            if (!skip) text += plain.substring(skipped.length)
+            continue
+        }
+
+        if (symbol === '*') {
+            skip = true
+        } else if (word) {
+            if (RTF_SKIPPED_GROUPS.includes(word)) skip = true
+            if (skip) continue
+
+            if (word === 'par' || word === 'line' || word === 'row' || word === 'sect' || word === 'page') text += '\n'
+            else if (word === 'tab' || word === 'cell') text += '\t'
+            else if (word === 'uc') unicodeSkip = Number(param)
+            else if (word === 'u') {
+                text += String.fromCharCode(Number(param) < 0 ? Number(param) + 65536 : Number(param))
+                pendingSkip = unicodeSkip
+            }
+        } else if (skip) {
+            continue
+        } else if (hex) {
+            text += ansi.decode(Buffer.from([parseInt(hex, 16)]))
+        } else if (symbol) {
+            if (symbol === '~') text += ' '
+            else if (symbol === '\\' || symbol === '{' || symbol === '}') text += symbol
+            else if (symbol === '\n' || symbol === '\r') text += '\n'
+        } else if (plain) {
+            text += plain
+        }
+    }
+
+    return text
+}
+
+const EXTRACTORS = {
+    pdf: extractPdfText,
+    docx: extractDocxText,
+    doc: extractDocText,
+    xlsx: extractSpreadsheetText,
+    xls: extractSpreadsheetText,
+    ods: extractSpreadsheetText,
+    pptx: extractPptxText,
+    odt: extractOdfText,
+    odp: extractOdfText,
+    rtf: extractRtfText,
+    txt: decodeText
+}
+
+// Types with text extraction; ppt and others are detected but reported as unsupported
+const DOCUMENT_TYPES = Object.keys(EXTRACTORS)
+
+/**
+ * Extract the text of a document of a detected type.
+ * Throws DocumentExtractionError with reason unsupported_type, encrypted, parse_failed or no_text.
+ */
+async function extractText(buffer, type) {
+    if (!buffer || buffer.length === 0) {
+        throw new DocumentExtractionError('no_text', 'The document is empty')
+    }
+    if (type === 'encrypted') {
+        throw new DocumentExtractionError('encrypted', 'Document is password protected')
+    }
+    if (!EXTRACTORS[type]) {
+        throw new DocumentExtractionError('unsupported_type', `No text extraction for document type ${type}`)
+    }
+
+    let text
+    try {
+        text = await EXTRACTORS[type](buffer)
+    } catch (error) {
+        if (error instanceof DocumentExtractionError) throw error
+        throw new DocumentExtractionError('parse_failed', `Could not parse ${type}: ${error.message}`)
+    }
+
+    if (!text || !text.trim()) {
+        const hint = type === 'pdf' ? ' (scanned PDF without a text layer?)' : ''
+        throw new DocumentExtractionError('no_text', `The ${type} document contains no text${hint}`)
+    }
+    return text
+}
+
+/**
+ * Title of a downloaded document: the Content-Disposition file name, else the last path segment
+ */
+function documentTitle(url, disposition) {
+    const decode = value => {
+        try {
+            return decodeURIComponent(value)
+        } catch (error) {
+            return value
+        }
+    }
+
+    const match = (disposition || '').match(/filename\*=(?:UTF-8'')?([^;]+)|filename="?([^";]+)"?/i)
+    if (match) return decode((match[1] || match[2]).trim())
+
+    return decode(new URL(url).pathname.split('/').filter(Boolean).pop() || '') || 'Document'
+}
+
+export {
+    DOCUMENT_TYPES,
+    EXTRACTION_FAILURE_REASONS,
+    DocumentExtractionError,
+    typeFromUrl,
+    typeFromContentType,
+    typeFromContent,
+    detectDocumentType,
+    decodeText,
+    readContainer,
+    entryContent,
+    extractText,
+    documentTitle
+}
@@ -0,0 +1,91 @@
+import { validateAttestationValue } from './attestation-schema.js'
+
+/**
+ * Compact reference to where a requirement was found
+ */
+function evidenceOf(requirement) {
+    return {
+        source_url: requirement.source_url || null,
+        quote: requirement.quote || null,
+        verified: Boolean(requirement.verified)
+    }
+}
+
+/**
+ * Match an applicant's attestations against the requirements of an analysis.
+ *
+ * analysis: a stored run or analyzeSubsidy result ({ url, title, requirements })
+ * attestations: { attestation_key: value } as held in the applicant's wallet
+ *
+ * Returns a personal checklist: which required attestations are satisfied,
+ * missing or invalid, and which non-attestation documents are still to prepare.
+ */
+function checkEligibility(schema, analysis, attestations = {}) {
+    const fields = schema ? schema.attestation_schema : {}
+    const required = analysis.requirements.attestations || []
+    const requiredKeys = new Set(required.map(requirement => requirement.name))
+
+    const satisfied = []
+    const missing = []
+    const invalid = []
+    const unrecognized = []
+
+    for (const requirement of required) {
+        const key = requirement.name
+        const field = fields[key]
+
+        // The analysis can name requirements outside the schema (e.g. without a schema file)
+        if (!field) {
+            unrecognized.push({ key: key, ...evidenceOf(requirement) })
+            continue
+        }
+
+        const entry = {
+            key: key,
+            label: field.labels.nl,
+            issuer: field.issuer,
+            ...evidenceOf(requirement)
+        }
+        const value = attestations[key]
+
+        if (value === undefined || value === null || value === '') {
+            missing.push({ ...entry, description: field.description })
+            continue
+        }
+
+        const validation = validateAttestationValue(schema, key, value)
+        if (validation.valid) {
+            satisfied.push(entry)
+        } else {
+            invalid.push({ ...entry, errors: validation.errors })
+        }
+    }
+
+    const provided = Object.keys(attestations)
+
+    return {
+        subsidy: {
+            url: analysis.url,
+            title: analysis.title,
+            analyzed_at: analysis.analyzed_at,
+            subsidy_id: analysis.subsidy_id || null,
+            run_id: analysis.run_id || null
+        },
+        ready: missing.length === 0 && invalid.length === 0 && unrecognized.length === 0,
+        attestations: {
+            satisfied: satisfied,
+            missing: missing,
+            invalid: invalid,
+            unrecognized: unrecognized
+        },
+        documents_to_prepare: (analysis.requirements.non_attestations || []).map(requirement => ({
+            name: requirement.name,
+            ...evidenceOf(requirement)
+        })),
+        // Provided but not asked for by this subsidy, or not in the schema at all
+        not_required: provided.filter(key => fields[key] && !requiredKeys.has(key)),
+        unknown_attestations: provided.filter(key => !fields[key])
+    }
+}
+
+export { checkEligibility }
@@ -0,0 +1,360 @@
+import * as cheerio from 'cheerio'
+import pdf from 'pdf-parse/lib/pdf-parse.js'
+import { readContainer, entryContent } from './document-extractors.js'
+import { slugify } from './page-structure.js'
+
+/**
+ * Form-field extraction from application forms (aanvraagformulieren) and the
+ * autofill map that links each field to an attestation key where possible.
+ *
+ * Field sources:
+ * - acroform: fillable PDF fields
+ * - content_control: DOCX content controls and legacy form fields
+ * - table_label: a table cell with a label next to an empty cell
+ * - blank_line: a line like "KvK-nummer: ____________"
+ */
+
+const FIELD_KINDS = ['text', 'date', 'checkbox', 'choice', 'signature']
+
+// Labelled blanks alone are common in ordinary documents, a form has at least this many
+const MIN_BLANK_FIELDS = 3
+
+const BLANK_LINE = /^\s*([^_.…:\n]{2,80}?)\s*:?\s*(?:_{3,}|[.…]{4,})\s*$/
+
+/**
+ * Clean a field label: no numbering, no trailing colon; a '*' or "(verplicht)" marks it required
+ */
+function cleanLabel(text) {
+    const label = (text || '').replace(/\s+/g, ' ').trim()
+    const required = /\*|\(verplicht\)/i.test(label)
+    const cleaned = label
+        .replace(/\(verplicht\)/ig, '')
+        .replace(/^(\d+(\.\d+)*\.?|[a-z]\))\s+/i, '')
+        .replace(/[\s*:]+$/, '')
+        .replace(/\*/g, '')
+        .trim()
+    return { label: cleaned, required: required }
+}
+
+/**
+ * Readable label from a technical field name, e.g. "form1.Aanvrager.kvkNummer_1" -> "kvk Nummer"
+ */
+function humanizeFieldName(name) {
+    return name.split('.').pop()
+        .replace(/([a-z])([A-Z][a-z])/g, '$1 $2')
+        .replace(/[_\-\d]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Whether a text is empty or only a placeholder line of underscores or dots
+ */
+function isBlank(text) {
+    return /^[\s_.…]*$/.test(text)
+}
+
+/**
+ * Build a field record
+ */
+function createField(name, rawLabel, kind, source, extra = {}) {
+    const { label, required } = cleanLabel(rawLabel)
+    return {
+        name: name || slugify(label),
+        label: label || humanizeFieldName(name || ''),
+        kind: kind,
+        source: source,
+        required: required,
+        ...extra
+    }
+}
+
+/**
+ * Labelled blanks in plain text, one per line
+ */
+function extractBlankLineFields(text) {
+    return (text || '').split('\n')
+        .map(line => line.match(BLANK_LINE))
+        .filter(Boolean)
+        .map(match => createField(null, match[1], 'text', 'blank_line'))
+}
+
+/**
+ * Kind of a pdf.js widget annotation, null for push buttons
+ */
+function pdfFieldKind(annotation) {
+    switch (annotation.fieldType) {
+        case 'Tx':
+            return 'text'
+        case 'Ch':
+            return 'choice'
+        case 'Sig':
+            return 'signature'
+        case 'Btn':
+            return annotation.checkBox || annotation.radioButton ? 'checkbox' : null
+        default:
+            return null
+    }
+}
+
+/**
+ * Text printed left of a field on the same line, else just above it
+ */
+function labelNearRect(items, rect) {
+    const [x1, y1, x2, y2] = rect
+    const middle = (y1 + y2) / 2
+    const position = item => ({ text: item.str.trim(), x: item.transform[4], y: item.transform[5], width: item.width || 0 })
+    const texts = items.map(position).filter(item => item.text)
+
+    const sameLine = texts
+        .filter(item => Math.abs(item.y - middle) <= Math.max(6, (y2 - y1) / 2 + 2) && item.x + item.width <= x1 + 2 && x1 - item.x < 300)
+        .sort((a, b) => a.x - b.x)
+    if (sameLine.length > 0) return sameLine.map(item => item.text).join(' ')
+
+    const above = texts
+        .filter(item => item.y > y2 && item.y - y2 <= 20 && item.x >= x1 - 10 && item.x <= x2)
+        .sort((a, b) => a.y - b.y)
+    return above.length > 0 ? above[0].text : null
+}
+
+/**
+ * AcroForm fields of a PDF with their labels
+ */
+async function extractPdfFormFields(buffer) {
+    const fields = new Map()
+
+    await pdf(buffer, {
+        pagerender: async page => {
+            const [annotations, textContent] = await Promise.all([page.getAnnotations(), page.getTextContent()])
+
+            for (const annotation of annotations) {
+                const kind = annotation.subtype === 'Widget' && annotation.fieldName ? pdfFieldKind(annotation) : null
+                // Radio buttons and repeated widgets share one field name
+                if (!kind || fields.has(annotation.fieldName)) continue
+
+                const label = annotation.alternativeText || labelNearRect(textContent.items, annotation.rect) || humanizeFieldName(annotation.fieldName)
+                fields.set(annotation.fieldName, createField(annotation.fieldName, label, kind, 'acroform', { page: page.pageNumber }))
+            }
+            return ''
+        }
+    })
+
+    return [...fields.values()]
+}
+
+/**
+ * Text of the cell left of the cell containing an element, the usual place of a form label
+ */
+function rowLabel($, element) {
+    const cell = $(element).closest('w\\:tc')
+    return cell.length > 0 ? cell.prevAll('w\\:tc').first().text().trim() : ''
+}
+
+/**
+ * Text of the runs before an element in its paragraph
+ */
+function precedingText($, element) {
+    const paragraph = $(element).closest('w\\:p')
+    const run = $(element).closest('w\\:r').get(0) || element
+    let text = ''
+    for (const candidate of paragraph.find('w\\:r').get()) {
+        if (candidate === run || $(candidate).find(element).length > 0) break
+        text += $(candidate).find('w\\:t').text()
+    }
+    return text.trim()
+}
+
+/**
+ * Kind of a DOCX content control from its properties
+ */
+function contentControlKind($, properties) {
+    if (properties.find('w\\:date').length > 0) return 'date'
+    if (properties.find('w14\\:checkbox').length > 0) return 'checkbox'
+    if (properties.find('w\\:dropDownList, w\\:comboBox').length > 0) return 'choice'
+    if (properties.find('w\\:picture, w\\:docPartObj, w\\:group, w\\:bibliography, w\\:citation').length > 0) return null
+    return 'text'
+}
+
+/**
+ * Content controls, legacy form fields and labelled table blanks of a DOCX
+ */
+function extractDocxFormFields(buffer) {
+    const xml = entryContent(readContainer(buffer), 'word/document.xml')
+    if (!xml) return { controls: [], blanks: [] }
+
+    const $ = cheerio.load(xml.toString('utf8'), { xmlMode: true })
+    const controls = []
+
+    $('w\\:sdt').each((i, element) => {
+        const properties = $(element).children('w\\:sdtPr')
+        const kind = contentControlKind($, properties)
+        // Block controls around whole sections are templates, not fields
+        if (!kind || $(element).find('w\\:tbl').length > 0) return
+
+        const title = properties.find('w\\:alias').attr('w:val') || properties.find('w\\:tag').attr('w:val')
+        const label = title || rowLabel($, element) || precedingText($, element)
+        controls.push(createField(properties.find('w\\:tag').attr('w:val') || null, label, kind, 'content_control'))
+    })
+
+    $('w\\:ffData').each((i, element) => {
+        const name = $(element).find('w\\:name').attr('w:val') || null
+        const textInput = $(element).find('w\\:textInput')
+        const kind = $(element).find('w\\:checkBox').length > 0 ? 'checkbox'
+            : $(element).find('w\\:ddList').length > 0 ? 'choice'
+                : textInput.find('w\\:type').attr('w:val') === 'date' ? 'date' : 'text'
+        const label = precedingText($, element) || rowLabel($, element) || humanizeFieldName(name || '')
+        controls.push(createField(name, label, kind, 'content_control'))
+    })
+
+    const blanks = []
+    $('w\\:tr').each((i, row) => {
+        const cells = $(row).children('w\\:tc').get()
+        cells.forEach((cell, index) => {
+            const next = cells[index + 1]
+            const label = $(cell).text().trim()
+            if (!next || !label || label.length > 80 || isBlank(label)) return
+            if ($(next).find('w\\:sdt, w\\:ffData').length > 0 || !isBlank($(next).text())) return
+            blanks.push(createField(null, label, 'text', 'table_label'))
+        })
+    })
+
+    const paragraphs = $('w\\:body > w\\:p').map((i, paragraph) => $(paragraph).find('w\\:t').text()).get()
+    blanks.push(...extractBlankLineFields(paragraphs.join('\n')))
+
+    return { controls: controls, blanks: blanks }
+}
+
+/**
+ * Form fields of a document, an empty list when the document is not a form.
+ * text is the extracted document text, used for labelled blanks in PDFs.
+ */
+async function extractFormFields(buffer, type, text) {
+    let controls = []
+    let blanks = []
+
+    if (type === 'pdf') {
+        controls = await extractPdfFormFields(buffer)
+        if (controls.length === 0) blanks = extractBlankLineFields(text)
+    } else if (type === 'docx') {
+        ({ controls, blanks } = extractDocxFormFields(buffer))
+    } else {
+        return []
+    }
+
+    if (controls.length === 0 && blanks.length < MIN_BLANK_FIELDS) return []
+
+    // A labelled blank next to a control is the same field
+    const sameLabel = (a, b) => a.label.toLowerCase() === b.label.toLowerCase()
+    const fields = [...controls]
+    for (const blank of blanks) {
+        if (blank.label && !fields.some(field => sameLabel(field, blank))) fields.push(blank)
+    }
+    return fields.filter(field => field.label)
+}
+
+/**
+ * Lowercase words without accents or punctuation, e.g. "KvK-nummer:" -> "kvk nummer"
+ */
+function normalizeLabel(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+}
+
+/**
+ * Attestation key for a form field, matched on the schema labels and form_labels.
+ * The phrase that occurs first in the label wins ("E-mailadres contactpersoon" is an
+ * e-mail address), the longest on a tie. Checkboxes only match documents (e.g.
+ * "Jaarrekening bijgevoegd"), other fields only data attestations.
+ * Returns { key, matched_label } or null.
+ */
+function mapFieldToAttestation(field, schema) {
+    if (!schema || field.kind === 'signature') return null
+
+    const label = ` ${normalizeLabel(field.label)} `
+    let best = null
+
+    for (const [key, definition] of Object.entries(schema.attestation_schema)) {
+        if ((field.kind === 'checkbox') !== (definition.type === 'document')) continue
+
+        for (const phrase of [definition.labels.nl, definition.labels.en, ...(definition.form_labels || [])]) {
+            const normalized = normalizeLabel(phrase)
+            const position = normalized ? label.indexOf(` ${normalized} `) : -1
+            if (position < 0) continue
+
+            if (!best || position < best.position || (position === best.position && normalized.length > best.length)) {
+                best = { key: key, matched_label: phrase, position: position, length: normalized.length }
+            }
+        }
+    }
+
+    return best ? { key: best.key, matched_label: best.matched_label } : null
+}
+
+/**
+ * Autofill map over all forms of a run: which fields a wallet could prefill
+ * from an attestation and which need manual input.
+ */
+function buildAutofillMap(documents, schema) {
+    const forms = (documents || []).filter(doc => doc.form_fields && doc.form_fields.length > 0)
+    const prefill = []
+    const manual = []
+
+    for (const doc of forms) {
+        for (const field of doc.form_fields) {
+            const entry = {
+                form_url: doc.url,
+                field: field.name,
+                label: field.label,
+                kind: field.kind,
+                source: field.source,
+                required: field.required
+            }
+            const match = mapFieldToAttestation(field, schema)
+
+            if (match) {
+                const credential = schema.attestation_schema[match.key].credential || null
+                prefill.push({
+                    ...entry,
+                    attestation: match.key,
+                    matched_label: match.matched_label,
+                    credential: credential ? credential.id : null,
+                    claim_path: credential && credential.claim_path ? credential.claim_path : null
+                })
+            } else {
+                manual.push({ ...entry, reason: field.kind === 'signature' ? 'signature' : 'no_matching_attestation' })
+            }
+        }
+    }
+
+    return {
+        forms: forms.map(doc => ({
+            url: doc.url,
+            title: doc.title,
+            type: doc.type,
+            fields: doc.form_fields.length,
+            sources: [...new Set(doc.form_fields.map(field => field.source))]
+        })),
+        prefill: prefill,
+        manual: manual,
+        summary: {
+            forms: forms.length,
+            fields_total: prefill.length + manual.length,
+            prefill: prefill.length,
+            manual: manual.length,
+            attestations: [...new Set(prefill.map(entry => entry.attestation))]
+        }
+    }
+}
+
+export {
+    FIELD_KINDS,
+    extractFormFields,
+    extractBlankLineFields,
+    mapFieldToAttestation,
+    buildAutofillMap,
+    normalizeLabel
+}
@@ -0,0 +1,220 @@
+import fs from 'fs'
+import path from 'path'
+import { createHash, randomBytes } from 'crypto'
+import fetch from 'node-fetch'
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60
+
+/**
+ * Response returned by HttpCache.fetch, a small subset of the fetch Response
+ * with the body already read. cache is one of: fresh, revalidated, miss, disabled.
+ */
+class CachedResponse {
+    constructor({ url, status, headers, body, cache }) {
+        this.url = url
+        this.status = status
+        this.ok = status >= 200 && status < 300
+        this.headers = headers
+        this.body = body
+        this.cache = cache
+    }
+
+    async buffer() {
+        return this.body
+    }
+
+    async text() {
+        return this.body.toString('utf8')
+    }
+}
+
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * On-disk HTTP cache with conditional requests (ETag / Last-Modified) and a TTL.
+ * Parsed document text is stored by content hash, so an unchanged PDF is
+ * never parsed twice, even when it moved to another URL.
+ *
+ *   <dir>/responses/<url hash>.json   metadata
+ *   <dir>/responses/<url hash>.body   raw body
+ *   <dir>/documents/<content hash>-<type>.txt
+ */
+class HttpCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false
+        this.directory = options.directory || process.env.HTTP_CACHE_DIR || './data/http-cache'
+        this.ttlMs = (options.ttlSeconds ?? Number(process.env.HTTP_CACHE_TTL_SECONDS || DEFAULT_TTL_SECONDS)) * 1000
+        this.fetchImpl = options.fetchImpl || fetch
+        // Pending write per URL, a write waits for the one before it
+        this.writing = new Map()
+    }
+
+    responsePath(url, extension) {
+        return path.join(this.directory, 'responses', `${sha256(url)}.${extension}`)
+    }
+
+    documentPath(contentHash, type) {
+        return path.join(this.directory, 'documents', `${contentHash}-${type}.txt`)
+    }
+
+    /**
+     * Cached meta and body of a URL, null when there is none. A body that does not
+     * match the content hash in the meta (written by another process in between)
+     * counts as no entry.
+     */
+    async readEntry(url) {
+        try {
+            const meta = JSON.parse(await fs.promises.readFile(this.responsePath(url, 'json'), 'utf8'))
+            const body = await fs.promises.readFile(this.responsePath(url, 'body'))
+            return sha256(body) === meta.content_hash ? { meta, body } : null
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null
+            throw error
+        }
+    }
+
+    /**
+     * Store the body and then the meta of a URL, each through a temporary file and a
+     * rename, so a reader never sees half a file. Writes for one URL run one at a time.
+     */
+    async writeEntry(url, meta, body) {
+        const previous = this.writing.get(url) || Promise.resolve()
+        const pending = previous.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.join(this.directory, 'responses'), { recursive: true })
+            await this.replaceFile(this.responsePath(url, 'body'), body)
+            await this.replaceFile(this.responsePath(url, 'json'), JSON.stringify(meta, null, 2))
+        })
+        this.writing.set(url, pending)
+
+        try {
+            await pending
+        } finally {
+            if (this.writing.get(url) === pending) this.writing.delete(url)
+        }
+    }
+
+    async replaceFile(filePath, data) {
+        const tmpPath = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+        await fs.promises.writeFile(tmpPath, data)
+        await fs.promises.rename(tmpPath, filePath)
+    }
+
+    isFresh(meta) {
+        return Date.now() - new Date(meta.fetched_at).getTime() < this.ttlMs
+    }
+
+    /**
+     * GET a URL through the cache
+     */
+    async fetch(url, options = {}) {
+        if (!this.enabled) {
+            const response = await this.fetchImpl(url, options)
+            return this.toCachedResponse(response, Buffer.from(await response.arrayBuffer()), 'disabled')
+        }
+
+        const entry = await this.readEntry(url)
+
+        if (entry && this.isFresh(entry.meta)) {
+            return this.fromEntry(url, entry, 'fresh')
+        }
+
+        // Stale entry: ask the server whether it changed
+        const headers = { ...(options.headers || {}) }
+        if (entry && entry.meta.etag) headers['If-None-Match'] = entry.meta.etag
+        if (entry && entry.meta.last_modified) headers['If-Modified-Since'] = entry.meta.last_modified
+
+        const response = await this.fetchImpl(url, { ...options, headers })
+
+        if (response.status === 304 && entry) {
+            // The body is written again so it stays paired with this meta
+            await this.writeEntry(url, { ...entry.meta, fetched_at: new Date().toISOString() }, entry.body)
+            return this.fromEntry(url, entry, 'revalidated')
+        }
+
+        const body = Buffer.from(await response.arrayBuffer())
+
+        // Only successful responses are worth keeping
+        if (response.ok) {
+            await this.writeEntry(url, {
+                url: url,
+                status: response.status,
+                content_type: response.headers.get('content-type'),
+                // Document titles come from the file name in Content-Disposition
+                content_disposition: response.headers.get('content-disposition'),
+                etag: response.headers.get('etag'),
+                last_modified: response.headers.get('last-modified'),
+                content_hash: sha256(body),
+                fetched_at: new Date().toISOString()
+            }, body)
+        }
+
+        return this.toCachedResponse(response, body, 'miss')
+    }
+
+    /**
+     * HEAD a URL, resolves to { status, ok, cache }. A fresh cache entry answers without a request.
+     */
+    async head(url, options = {}) {
+        if (this.enabled) {
+            const entry = await this.readEntry(url)
+            if (entry && this.isFresh(entry.meta)) return { status: entry.meta.status, ok: true, cache: 'fresh' }
+        }
+
+        const response = await this.fetchImpl(url, { ...options, method: 'HEAD' })
+        return { status: response.status, ok: response.ok, cache: this.enabled ? 'miss' : 'disabled' }
+    }
+
+    /**
+     * Whether a URL answers with 2xx, a fresh cache entry counts as yes
+     */
+    async exists(url, options = {}) {
+        return (await this.head(url, options)).ok
+    }
+
+    fromEntry(url, entry, cacheStatus) {
+        return new CachedResponse({
+            url: url,
+            status: entry.meta.status,
+            headers: new Map([
+                ['content-type', entry.meta.content_type],
+                ['content-disposition', entry.meta.content_disposition || null],
+                ['etag', entry.meta.etag],
+                ['last-modified', entry.meta.last_modified]
+            ]),
+            body: entry.body,
+            cache: cacheStatus
+        })
+    }
+
+    toCachedResponse(response, body, cacheStatus) {
+        return new CachedResponse({
+            url: response.url,
+            status: response.status,
+            headers: response.headers,
+            body: body,
+            cache: cacheStatus
+        })
+    }
+
+    /**
+     * Parsed text of a document with this content, or null
+     */
+    async getDocumentText(contentHash, type) {
+        if (!this.enabled) return null
+        try {
+            return await fs.promises.readFile(this.documentPath(contentHash, type), 'utf8')
+        } catch (error) {
+            return null
+        }
+    }
+
+    async setDocumentText(contentHash, type, text) {
+        if (!this.enabled) return
+        await fs.promises.mkdir(path.join(this.directory, 'documents'), { recursive: true })
+        await fs.promises.writeFile(this.documentPath(contentHash, type), text)
+    }
+}
+
+export { HttpCache, CachedResponse, sha256 }
@@ -0,0 +1,279 @@
+/**
+ * JSON Schemas for the structured output of the LLM call sites. The schemas are
+ * sent to the provider (structured output) and every response is validated
+ * against them, so a malformed answer is repaired or reported instead of
+ * silently turning into an empty result.
+ *
+ * The schemas stay within the subset that OpenAI strict mode accepts: every
+ * property is required, optional values are nullable and objects are closed.
+ */
+
+const PRIORITIES = ['high', 'medium', 'low']
+
+// The validator lists the allowed values in an error up to this many
+const MAX_LISTED_ENUM_VALUES = 10
+
+/**
+ * Raised when the model keeps answering with output that does not match the schema
+ */
+class LLMOutputError extends Error {
+    constructor(schemaName, errors, attempts) {
+        super(`Invalid ${schemaName} output after ${attempts} attempt(s): ${errors.slice(0, 3).join('; ')}`)
+        this.name = 'LLMOutputError'
+        this.schemaName = schemaName
+        this.errors = errors
+        this.attempts = attempts
+    }
+}
+
+const PLAN_LINK_SCHEMA = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        reason: { type: 'string' },
+        priority: { type: 'string', enum: PRIORITIES }
+    },
+    required: ['url', 'reason', 'priority'],
+    additionalProperties: false
+}
+
+const SCRAPING_PLAN_SCHEMA = {
+    name: 'scraping_plan',
+    schema: {
+        type: 'object',
+        properties: {
+            main_page: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string' },
+                    title: { type: 'string' },
+                    priority: { type: 'string', enum: PRIORITIES }
+                },
+                required: ['url', 'title', 'priority'],
+                additionalProperties: false
+            },
+            sub_pages: { type: 'array', items: PLAN_LINK_SCHEMA },
+            documents: { type: 'array', items: PLAN_LINK_SCHEMA },
+            max_pages: { type: 'integer' },
+            max_documents: { type: 'integer' },
+            focus_keywords: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['main_page', 'sub_pages', 'documents', 'max_pages', 'max_documents', 'focus_keywords'],
+        additionalProperties: false
+    }
+}
+
+const CRAWL_LINK_SCHEMA = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        parent_url: { type: 'string' },
+        reason: { type: 'string' },
+        priority: { type: 'string', enum: PRIORITIES }
+    },
+    required: ['url', 'parent_url', 'reason', 'priority'],
+    additionalProperties: false
+}
+
+const CRAWL_EXPANSION_SCHEMA = {
+    name: 'crawl_expansion',
+    schema: {
+        type: 'object',
+        properties: {
+            sub_pages: { type: 'array', items: CRAWL_LINK_SCHEMA },
+            documents: { type: 'array', items: CRAWL_LINK_SCHEMA }
+        },
+        required: ['sub_pages', 'documents'],
+        additionalProperties: false
+    }
+}
+
+/**
+ * Schema of one requirement with its evidence
+ */
+const REQUIREMENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        source_url: { type: ['string', 'null'] },
+        quote: { type: ['string', 'null'] },
+        document_type: { type: ['string', 'null'] },
+        section: { type: ['string', 'null'] }
+    },
+    required: ['name', 'source_url', 'quote', 'document_type', 'section'],
+    additionalProperties: false
+}
+
+/**
+ * Output schema of the analysis of one chunk. Attestation names are plain strings:
+ * one unknown key must not fail the whole chunk, the agent moves attestations
+ * that are not in the attestation schema to the rejected list instead.
+ */
+const ANALYSIS_SCHEMA = {
+    name: 'requirement_analysis',
+    schema: {
+        type: 'object',
+        properties: {
+            attestations: { type: 'array', items: REQUIREMENT_SCHEMA },
+            non_attestations: { type: 'array', items: REQUIREMENT_SCHEMA },
+            analysis_notes: { type: 'string' }
+        },
+        required: ['attestations', 'non_attestations', 'analysis_notes'],
+        additionalProperties: false
+    }
+}
+
+const REDUCTION_SCHEMA = {
+    name: 'requirement_groups',
+    schema: {
+        type: 'object',
+        properties: {
+            groups: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        items: { type: 'array', items: { type: 'integer' } }
+                    },
+                    required: ['name', 'items'],
+                    additionalProperties: false
+                }
+            },
+            analysis_notes: { type: 'string' }
+        },
+        required: ['groups', 'analysis_notes'],
+        additionalProperties: false
+    }
+}
+
+/**
+ * Metadata fact with its evidence, every property null when the fact is not stated
+ */
+function metadataFactSchema(valueSchema) {
+    return {
+        type: 'object',
+        properties: {
+            ...valueSchema,
+            source_url: { type: ['string', 'null'] },
+            quote: { type: ['string', 'null'] }
+        },
+        required: [...Object.keys(valueSchema), 'source_url', 'quote'],
+        additionalProperties: false
+    }
+}
+
+const METADATA_SCHEMA = {
+    name: 'subsidy_metadata',
+    schema: {
+        type: 'object',
+        properties: {
+            application_windows: {
+                type: 'array',
+                items: metadataFactSchema({
+                    opens_on: { type: ['string', 'null'] },
+                    closes_on: { type: ['string', 'null'] },
+                    closes_at_time: { type: ['string', 'null'] },
+                    description: { type: ['string', 'null'] }
+                })
+            },
+            total_budget: metadataFactSchema({ value: { type: ['string', 'null'] } }),
+            max_amount_per_applicant: metadataFactSchema({ value: { type: ['string', 'null'] } }),
+            subsidy_percentage: metadataFactSchema({ value: { type: ['string', 'null'] } }),
+            target_groups: metadataFactSchema({ values: { type: 'array', items: { type: 'string' } } }),
+            sectors: metadataFactSchema({ values: { type: 'array', items: { type: 'string' } } }),
+            legal_basis: metadataFactSchema({ values: { type: 'array', items: { type: 'string' } } })
+        },
+        required: ['application_windows', 'total_budget', 'max_amount_per_applicant', 'subsidy_percentage', 'target_groups', 'sectors', 'legal_basis'],
+        additionalProperties: false
+    }
+}
+
+/**
+ * JSON type name of a value as used by JSON Schema
+ */
+function jsonType(value) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+    return typeof value
+}
+
+/**
+ * Validate a value against the supported JSON Schema subset (type, enum,
+ * properties, required, additionalProperties, items).
+ * Returns a list of errors like '$.attestations[0].name: "x" is not an allowed value'.
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+    const types = [].concat(schema.type || [])
+    const actual = jsonType(value)
+
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${actual}`]
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const allowed = schema.enum.length <= MAX_LISTED_ENUM_VALUES ? `, use one of: ${schema.enum.join(', ')}` : ''
+        return [`${path}: ${JSON.stringify(value)} is not an allowed value${allowed}`]
+    }
+
+    const errors = []
+
+    if (actual === 'object') {
+        const properties = schema.properties || {}
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing property "${key}"`)
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(propertyValue, properties[key], `${path}.${key}`))
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${key}"`)
+            }
+        }
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)))
+    }
+
+    return errors
+}
+
+/**
+ * Parse a model response that should be exactly one JSON object. A surrounding
+ * Markdown code fence is tolerated, text around the object is not.
+ */
+function parseJsonOutput(content) {
+    const fenced = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/)
+    const value = JSON.parse(fenced ? fenced[1] : content.trim())
+
+    if (jsonType(value) !== 'object') {
+        throw new SyntaxError(`expected a JSON object, got ${jsonType(value)}`)
+    }
+    return value
+}
+
+/**
+ * Follow-up message asking the model to fix its previous answer
+ */
+function createRepairPrompt(errors, hint) {
+    return `
+Your previous response does not match the required JSON Schema:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+${hint ? `\n${hint}\n` : ''}
+Return the corrected JSON object only, with every required property and no other text.
+`
+}
+
+export {
+    LLMOutputError,
+    SCRAPING_PLAN_SCHEMA,
+    CRAWL_EXPANSION_SCHEMA,
+    ANALYSIS_SCHEMA,
+    REDUCTION_SCHEMA,
+    METADATA_SCHEMA,
+    validateAgainstSchema,
+    parseJsonOutput,
+    createRepairPrompt
+}
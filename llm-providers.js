@@ -0,0 +1,298 @@
+import OpenAI from 'openai'
+
+/**
+ * Default model settings per call site in the agent
+ */
+const DEFAULT_LLM_SETTINGS = {
+    planning: {
+        model: 'gpt-4',
+        temperature: 0.1,
+        max_tokens: 1500
+    },
+    analysis: {
+        model: 'gpt-4',
+        temperature: 0.1,
+        max_tokens: 2500
+    },
+    // Extra samples of the analysis in self-consistency mode, varied through the temperature
+    sampling: {
+        model: 'gpt-4',
+        temperature: 0.7,
+        max_tokens: 2500
+    },
+    reduction: {
+        model: 'gpt-4',
+        temperature: 0,
+        max_tokens: 1500
+    },
+    metadata: {
+        model: 'gpt-4',
+        temperature: 0,
+        max_tokens: 1000
+    }
+}
+
+// How a requested output schema is passed on: by what the model supports, strict JSON Schema, JSON mode or not at all
+const STRUCTURED_OUTPUT_MODES = ['auto', 'json_schema', 'json_object', 'off']
+
+// OpenAI models that accept a strict JSON Schema response_format, and those that only know JSON mode
+const JSON_SCHEMA_MODELS = [/^gpt-4o(?!-2024-05-13)/, /^gpt-4\.1/, /^gpt-5/, /^o1(-2024-12-17)?$/, /^o3/, /^o4-mini/]
+const JSON_OBJECT_MODELS = [/^gpt-4o-2024-05-13/, /^gpt-4-turbo/, /^gpt-4-(1106|0125)-preview/, /^gpt-3\.5-turbo(-1106|-0125)?$/]
+
+/**
+ * Structured output mode a model supports, 'off' for models like gpt-4 that
+ * reject any response_format and for models we do not know
+ */
+function structuredOutputModeFor(model) {
+    const name = String(model || '').toLowerCase()
+    if (JSON_SCHEMA_MODELS.some(pattern => pattern.test(name))) return 'json_schema'
+    if (JSON_OBJECT_MODELS.some(pattern => pattern.test(name))) return 'json_object'
+    return 'off'
+}
+
+/**
+ * Raised when a provider cannot be created from the given configuration
+ */
+class LLMConfigurationError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'LLMConfigurationError'
+    }
+}
+
+/**
+ * Provider for the OpenAI chat completions API.
+ * Every provider implements complete({ messages, model, temperature, max_tokens, responseSchema })
+ * and resolves to { content, usage, model }. responseSchema is { name, schema }
+ * from llm-output-schemas.js.
+ */
+class OpenAIProvider {
+    constructor(options = {}) {
+        if (!options.apiKey) {
+            throw new LLMConfigurationError('OPENAI_API_KEY is required for the OpenAI provider')
+        }
+        if (options.structuredOutput && !STRUCTURED_OUTPUT_MODES.includes(options.structuredOutput)) {
+            throw new LLMConfigurationError(`Unknown LLM_STRUCTURED_OUTPUT "${options.structuredOutput}", use ${STRUCTURED_OUTPUT_MODES.join(', ')}`)
+        }
+
+        this.name = 'openai'
+        this.structuredOutput = options.structuredOutput || 'auto'
+        this.client = new OpenAI({
+            apiKey: options.apiKey,
+            baseURL: options.baseURL,
+            organization: options.organization,
+            defaultQuery: options.defaultQuery,
+            defaultHeaders: options.defaultHeaders
+        })
+    }
+
+    async complete(request) {
+        const completion = await this.client.chat.completions.create({
+            model: request.model,
+            messages: request.messages,
+            temperature: request.temperature,
+            max_tokens: request.max_tokens,
+            ...this.responseFormat(request.responseSchema, request.model)
+        })
+
+        return {
+            content: (completion.choices[0].message.content || '').trim(),
+            usage: completion.usage || null,
+            model: completion.model || request.model
+        }
+    }
+
+    /**
+     * Structured output mode for a request, LLM_STRUCTURED_OUTPUT or else what the model supports
+     */
+    structuredOutputMode(model) {
+        return this.structuredOutput === 'auto' ? structuredOutputModeFor(model) : this.structuredOutput
+    }
+
+    /**
+     * response_format for a requested output schema, depending on what the endpoint supports
+     */
+    responseFormat(responseSchema, model) {
+        const mode = this.structuredOutputMode(model)
+        if (!responseSchema || mode === 'off') return {}
+        if (mode === 'json_object') return { response_format: { type: 'json_object' } }
+
+        return {
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true }
+            }
+        }
+    }
+}
+
+/**
+ * Provider for an Azure OpenAI deployment, the deployment decides the model
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        if (!options.apiKey) {
+            throw new LLMConfigurationError('AZURE_OPENAI_API_KEY is required for the Azure OpenAI provider')
+        }
+        if (!options.endpoint || !options.deployment) {
+            throw new LLMConfigurationError('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT are required for the Azure OpenAI provider')
+        }
+
+        super({
+            apiKey: options.apiKey,
+            baseURL: `${options.endpoint.replace(/\/+$/, '')}/openai/deployments/${options.deployment}`,
+            defaultQuery: { 'api-version': options.apiVersion || '2024-02-01' },
+            defaultHeaders: { 'api-key': options.apiKey },
+            structuredOutput: options.structuredOutput
+        })
+
+        this.name = 'azure'
+        this.deployment = options.deployment
+        this.apiVersion = options.apiVersion || '2024-02-01'
+    }
+
+    /**
+     * As for OpenAI, by the model name in LLM_MODEL; JSON Schema output also needs
+     * api-version 2024-08-01-preview or later, older versions get JSON mode
+     */
+    structuredOutputMode(model) {
+        const mode = super.structuredOutputMode(model)
+        if (this.structuredOutput === 'auto' && mode === 'json_schema' && this.apiVersion < '2024-08-01') return 'json_object'
+        return mode
+    }
+
+    async complete(request) {
+        return super.complete({ ...request, model: request.model || this.deployment })
+    }
+}
+
+/**
+ * Provider for any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        if (!options.baseURL) {
+            throw new LLMConfigurationError('LLM_BASE_URL is required for an OpenAI-compatible provider')
+        }
+
+        // Local servers usually ignore the key, but the client insists on one
+        super({
+            apiKey: options.apiKey || 'not-needed',
+            baseURL: options.baseURL,
+            structuredOutput: options.structuredOutput
+        })
+
+        this.name = 'openai-compatible'
+        this.defaultModel = options.model || null
+    }
+
+    async complete(request) {
+        return super.complete({ ...request, model: this.defaultModel || request.model })
+    }
+}
+
+/**
+ * Deterministic provider for tests, replays scripted responses in order.
+ * A response is a string, a { content, usage } object or a function
+ * receiving the request and returning one of those.
+ */
+class ScriptedProvider {
+    constructor(responses = []) {
+        this.name = 'scripted'
+        this.responses = [...responses]
+        this.calls = []
+    }
+
+    async complete(request) {
+        this.calls.push(request)
+
+        if (this.responses.length === 0) {
+            throw new Error(`ScriptedProvider has no response left for call ${this.calls.length}`)
+        }
+
+        let response = this.responses.shift()
+        if (typeof response === 'function') {
+            response = await response(request)
+        }
+        if (typeof response === 'string') {
+            response = { content: response }
+        }
+
+        return {
+            content: response.content.trim(),
+            usage: response.usage || null,
+            model: request.model
+        }
+    }
+}
+
+/**
+ * Create a provider from environment variables (LLM_PROVIDER selects the kind)
+ */
+function createProviderFromEnv(env = process.env) {
+    const kind = (env.LLM_PROVIDER || 'openai').toLowerCase()
+
+    switch (kind) {
+        case 'openai':
+            return new OpenAIProvider({
+                apiKey: env.OPENAI_API_KEY,
+                baseURL: env.OPENAI_BASE_URL,
+                organization: env.OPENAI_ORGANIZATION,
+                structuredOutput: env.LLM_STRUCTURED_OUTPUT
+            })
+        case 'azure':
+            return new AzureOpenAIProvider({
+                apiKey: env.AZURE_OPENAI_API_KEY,
+                endpoint: env.AZURE_OPENAI_ENDPOINT,
+                deployment: env.AZURE_OPENAI_DEPLOYMENT,
+                apiVersion: env.AZURE_OPENAI_API_VERSION,
+                structuredOutput: env.LLM_STRUCTURED_OUTPUT
+            })
+        case 'local':
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider({
+                apiKey: env.LLM_API_KEY,
+                baseURL: env.LLM_BASE_URL,
+                model: env.LLM_MODEL,
+                structuredOutput: env.LLM_STRUCTURED_OUTPUT
+            })
+        default:
+            throw new LLMConfigurationError(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}", use openai, azure or local`)
+    }
+}
+
+/**
+ * Resolve the per call site settings, from defaults, environment and overrides.
+ * Environment: LLM_MODEL for all call sites, LLM_PLANNING_MODEL,
+ * LLM_ANALYSIS_TEMPERATURE, LLM_ANALYSIS_MAX_TOKENS etc. per call site.
+ */
+function resolveLLMSettings(overrides = {}, env = process.env) {
+    const settings = {}
+
+    for (const [callSite, defaults] of Object.entries(DEFAULT_LLM_SETTINGS)) {
+        const prefix = `LLM_${callSite.toUpperCase()}_`
+        const fromEnv = {}
+
+        const model = env[`${prefix}MODEL`] || env.LLM_MODEL
+        if (model) fromEnv.model = model
+        if (env[`${prefix}TEMPERATURE`]) fromEnv.temperature = Number(env[`${prefix}TEMPERATURE`])
+        if (env[`${prefix}MAX_TOKENS`]) fromEnv.max_tokens = Number(env[`${prefix}MAX_TOKENS`])
+
+        settings[callSite] = { ...defaults, ...fromEnv, ...(overrides[callSite] || {}) }
+    }
+
+    return settings
+}
+
+export {
+    DEFAULT_LLM_SETTINGS,
+    STRUCTURED_OUTPUT_MODES,
+    LLMConfigurationError,
+    structuredOutputModeFor,
+    OpenAIProvider,
+    AzureOpenAIProvider,
+    OpenAICompatibleProvider,
+    ScriptedProvider,
+    createProviderFromEnv,
+    resolveLLMSettings
+}
@@ -0,0 +1,219 @@
+/**
+ * Section-aware extraction of HTML pages. Instead of one flattened string a
+ * page becomes a list of sections (heading hierarchy with their content), with
+ * lists kept as items, tables converted to Markdown and accordion panels
+ * expanded under their own heading.
+ */
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']
+
+// Elements that end the running paragraph
+const BLOCK_TAGS = [
+    'p', 'div', 'section', 'article', 'main', 'aside', 'header', 'blockquote', 'figure', 'figcaption',
+    'form', 'fieldset', 'details', 'address', 'pre', 'dl', 'dt', 'dd', 'hr', 'br', 'li', 'caption'
+]
+
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'img', 'iframe']
+
+/**
+ * Collapse whitespace
+ */
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Slug for a section id, e.g. "Wie kan aanvragen?" -> "wie-kan-aanvragen"
+ */
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60) || 'section'
+}
+
+/**
+ * Whether an element opens a collapsible panel: <summary> or an accordion button
+ */
+function isAccordionTrigger($, element) {
+    if (element.tagName === 'summary') return true
+    if (element.tagName !== 'button' && $(element).attr('role') !== 'button') return false
+    return ($(element).attr('aria-expanded') !== undefined || $(element).attr('aria-controls') !== undefined) &&
+        $(element).closest(HEADING_TAGS.join(', ')).length === 0
+}
+
+/**
+ * Whether an element is an accordion trigger or a heading wrapping one (<h3><button aria-expanded>)
+ */
+function opensAccordion($, element) {
+    if (isAccordionTrigger($, element)) return true
+    return HEADING_TAGS.includes(element.tagName) && $(element).find('button[aria-expanded], button[aria-controls]').length > 0
+}
+
+/**
+ * Convert an HTML table to a Markdown table. The first row is the header;
+ * colspans are padded with empty cells so every row has the same width.
+ */
+function tableToMarkdown($, table) {
+    const rows = $(table).find('tr')
+        .filter((i, row) => $(row).closest('table').get(0) === table)
+        .map((i, row) => {
+            const cells = []
+            $(row).children('th, td').each((j, cell) => {
+                const text = cleanText($(cell).text()).replace(/\|/g, '\\|')
+                const span = Math.max(1, Number.parseInt($(cell).attr('colspan'), 10) || 1)
+                cells.push(text, ...new Array(span - 1).fill(''))
+            })
+            return [cells]
+        })
+        .get()
+        .filter(cells => cells.some(cell => cell))
+
+    if (rows.length === 0) return ''
+
+    const width = Math.max(...rows.map(cells => cells.length))
+    const line = cells => `| ${[...cells, ...new Array(width - cells.length).fill('')].join(' | ')} |`
+    const lines = [line(rows[0]), `| ${new Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)]
+
+    const caption = cleanText($(table).children('caption').text())
+    return caption ? `${caption}\n\n${lines.join('\n')}` : lines.join('\n')
+}
+
+/**
+ * Convert a <ul>/<ol> to Markdown items, nested lists indented under their item
+ */
+function listToMarkdown($, list, depth = 0) {
+    const ordered = list.tagName === 'ol'
+    const indent = '  '.repeat(depth)
+
+    return $(list).children('li').map((index, item) => {
+        const nested = $(item).children('ul, ol')
+        const text = cleanText($(item).clone().children('ul, ol').remove().end().text())
+        const marker = ordered ? `${index + 1}.` : '-'
+        const lines = text ? [`${indent}${marker} ${text}`] : []
+        nested.each((i, child) => {
+            const rendered = listToMarkdown($, child, depth + 1)
+            if (rendered) lines.push(rendered)
+        })
+        return lines.join('\n')
+    }).get().filter(Boolean).join('\n')
+}
+
+/**
+ * Split the content root of a page into sections.
+ * Returns [{ id, heading, level, path, text }] in document order; content
+ * before the first heading goes into an 'intro' section with level 0.
+ */
+function extractSections($, root) {
+    const sections = []
+    const usedIds = new Map()
+    let current = null
+    let buffer = ''
+
+    const startSection = (heading, level) => {
+        // Parents are the nearest earlier sections with a lower level, e.g. h2 > h3 > h4
+        const parents = []
+        for (let i = sections.length - 1; i >= 0; i--) {
+            const candidate = sections[i]
+            const limit = parents.length > 0 ? parents[0].level : level
+            if (candidate.level > 0 && candidate.level < limit) parents.unshift(candidate)
+        }
+
+        const base = heading ? slugify(heading) : 'intro'
+        const count = (usedIds.get(base) || 0) + 1
+        usedIds.set(base, count)
+
+        const section = {
+            id: count > 1 ? `${base}-${count}` : base,
+            heading: heading,
+            level: level,
+            path: [...parents.map(parent => parent.heading), ...(heading ? [heading] : [])],
+            blocks: []
+        }
+        sections.push(section)
+        return section
+    }
+
+    const addBlock = (markdown) => {
+        if (!markdown) return
+        if (!current) current = startSection(null, 0)
+        current.blocks.push(markdown)
+    }
+
+    const flush = () => {
+        addBlock(cleanText(buffer))
+        buffer = ''
+    }
+
+    const walk = (node) => {
+        if (node.type === 'text') {
+            buffer += node.data
+            return
+        }
+        if (node.type !== 'tag' || SKIPPED_TAGS.includes(node.tagName)) return
+
+        const tag = node.tagName
+        if (HEADING_TAGS.includes(tag)) {
+            flush()
+            const heading = cleanText($(node).text())
+            if (heading) current = startSection(heading, Number(tag.substring(1)))
+            return
+        }
+        if (isAccordionTrigger($, node)) {
+            flush()
+            const heading = cleanText($(node).text())
+            if (heading) current = startSection(heading, Math.min(6, (current ? current.level : 0) + 1))
+            return
+        }
+        if (tag === 'ul' || tag === 'ol') {
+            flush()
+            addBlock(listToMarkdown($, node))
+            return
+        }
+        if (tag === 'table') {
+            flush()
+            addBlock(tableToMarkdown($, node))
+            return
+        }
+
+        const isBlock = BLOCK_TAGS.includes(tag)
+        if (isBlock) flush()
+
+        // An accordion panel belongs to its trigger; the content after it belongs to the section around it
+        const enclosing = current
+        const hasTrigger = $(node).children().get().some(child => opensAccordion($, child))
+
+        for (const child of node.children || []) walk(child)
+
+        if (isBlock || hasTrigger) flush()
+        if (hasTrigger) current = enclosing
+    }
+
+    for (const child of $(root).get(0) ? $(root).get(0).children : []) walk(child)
+    flush()
+
+    return sections
+        .map(section => ({
+            id: section.id,
+            heading: section.heading,
+            level: section.level,
+            path: section.path,
+            text: section.blocks.join('\n\n')
+        }))
+        .filter(section => section.heading || section.text)
+}
+
+/**
+ * Render sections as one Markdown document
+ */
+function sectionsToMarkdown(sections) {
+    return sections.map(section => {
+        const heading = section.heading ? `${'#'.repeat(Math.max(1, section.level))} ${section.heading}` : ''
+        return [heading, section.text].filter(Boolean).join('\n\n')
+    }).join('\n\n')
+}
+
+export { extractSections, sectionsToMarkdown, tableToMarkdown, listToMarkdown, slugify }
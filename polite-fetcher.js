@@ -0,0 +1,315 @@
+import fetch from 'node-fetch'
+import { UrlPolicy } from './url-policy.js'
+
+const DEFAULT_USER_AGENT_NAME = 'RVO-Subsidie-Analyser'
+const DEFAULT_TIMEOUT_MS = 15000
+const DEFAULT_MAX_RETRIES = 3
+const DEFAULT_BACKOFF_MS = 1000
+// Longest wait before a retry; a server asking for more (Retry-After) is not retried
+const DEFAULT_MAX_BACKOFF_MS = 60000
+const DEFAULT_REQUESTS_PER_SECOND = 1
+
+/**
+ * Raised when robots.txt does not allow fetching a URL
+ */
+class RobotsDisallowedError extends Error {
+    constructor(url) {
+        super(`Fetching ${url} is disallowed by robots.txt`)
+        this.name = 'RobotsDisallowedError'
+        this.url = url
+    }
+}
+
+/**
+ * Raised when a request did not answer within the timeout
+ */
+class FetchTimeoutError extends Error {
+    constructor(url, timeoutMs) {
+        super(`Request to ${url} timed out after ${timeoutMs}ms`)
+        this.name = 'FetchTimeoutError'
+        this.url = url
+    }
+}
+
+/**
+ * Parse robots.txt into groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+function parseRobotsTxt(text) {
+    const groups = []
+    let current = null
+    let lastWasAgent = false
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim()
+        const separator = line.indexOf(':')
+        if (separator === -1) continue
+
+        const field = line.substring(0, separator).trim().toLowerCase()
+        const value = line.substring(separator + 1).trim()
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null }
+                groups.push(current)
+            }
+            current.agents.push(value.toLowerCase())
+            lastWasAgent = true
+            continue
+        }
+
+        lastWasAgent = false
+        if (!current) continue
+
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything
+            if (value) current.rules.push({ allow: field === 'allow', path: value })
+        } else if (field === 'crawl-delay') {
+            const delay = Number(value)
+            if (!Number.isNaN(delay)) current.crawlDelay = delay
+        }
+    }
+
+    return groups
+}
+
+/**
+ * Pick the group for our user agent: the most specific product token match, else '*'
+ */
+function selectRobotsGroup(groups, agentName) {
+    const name = agentName.toLowerCase()
+    const specific = groups.find(group => group.agents.some(agent => agent !== '*' && name.includes(agent)))
+    return specific || groups.find(group => group.agents.includes('*')) || null
+}
+
+/**
+ * Whether a robots.txt path pattern (with * and $) matches a path
+ */
+function robotsPatternMatches(pattern, urlPath) {
+    const anchored = pattern.endsWith('$')
+    const body = anchored ? pattern.slice(0, -1) : pattern
+    const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(urlPath)
+}
+
+/**
+ * Apply the longest matching rule, Allow wins a tie
+ */
+function isPathAllowed(group, urlPath) {
+    if (!group) return true
+
+    let best = null
+    for (const rule of group.rules) {
+        if (!robotsPatternMatches(rule.path, urlPath)) continue
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule
+        }
+    }
+
+    return best ? best.allow : true
+}
+
+/**
+ * Token bucket that spaces requests to one host
+ */
+class TokenBucket {
+    constructor(ratePerSecond, capacity = 1) {
+        this.ratePerSecond = ratePerSecond
+        this.capacity = capacity
+        this.tokens = capacity
+        this.lastRefill = Date.now()
+        this.queue = Promise.resolve()
+    }
+
+    refill() {
+        const now = Date.now()
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond)
+        this.lastRefill = now
+    }
+
+    /**
+     * Wait until a token is available, callers are served in order
+     */
+    take() {
+        this.queue = this.queue.then(async () => {
+            this.refill()
+            if (this.tokens < 1) {
+                const waitMs = ((1 - this.tokens) / this.ratePerSecond) * 1000
+                await new Promise(resolve => setTimeout(resolve, waitMs))
+                this.refill()
+            }
+            this.tokens -= 1
+        })
+        return this.queue
+    }
+}
+
+/**
+ * Shared fetch layer for all crawling: honest User-Agent, robots.txt
+ * (allow/disallow and crawl-delay), per-host rate limiting, timeouts and
+ * retries with exponential backoff for 429 and 5xx responses.
+ */
+class PoliteFetcher {
+    constructor(options = {}) {
+        const contact = options.contact || process.env.CRAWLER_CONTACT
+        this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT ||
+            `${DEFAULT_USER_AGENT_NAME}/1.0${contact ? ` (+${contact})` : ''}`
+        this.timeoutMs = options.timeoutMs || Number(process.env.CRAWLER_TIMEOUT_MS || DEFAULT_TIMEOUT_MS)
+        this.maxRetries = options.maxRetries ?? Number(process.env.CRAWLER_MAX_RETRIES || DEFAULT_MAX_RETRIES)
+        this.backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS
+        this.maxBackoffMs = options.maxBackoffMs ?? Number(process.env.CRAWLER_MAX_BACKOFF_MS || DEFAULT_MAX_BACKOFF_MS)
+        this.requestsPerSecond = options.requestsPerSecond || Number(process.env.CRAWLER_REQUESTS_PER_SECOND || DEFAULT_REQUESTS_PER_SECOND)
+        this.respectRobots = options.respectRobots !== false
+        this.fetchImpl = options.fetchImpl || fetch
+        // robots.txt is requested by the fetcher itself, so it goes through the URL policy here
+        this.urlPolicy = options.urlPolicy || new UrlPolicy()
+        this.buckets = new Map()
+        this.robots = new Map()
+    }
+
+    /**
+     * Rate limiter for a host, slowed down to the robots.txt crawl-delay
+     */
+    async bucketFor(origin) {
+        if (!this.buckets.has(origin)) {
+            const group = this.respectRobots ? await this.robotsGroupFor(origin) : null
+            const crawlDelayRate = group && group.crawlDelay ? 1 / group.crawlDelay : Infinity
+            this.buckets.set(origin, new TokenBucket(Math.min(this.requestsPerSecond, crawlDelayRate)))
+        }
+        return this.buckets.get(origin)
+    }
+
+    /**
+     * robots.txt group that applies to us for an origin, fetched once per origin
+     */
+    robotsGroupFor(origin) {
+        if (!this.robots.has(origin)) {
+            this.robots.set(origin, this.loadRobots(origin))
+        }
+        return this.robots.get(origin)
+    }
+
+    async loadRobots(origin) {
+        try {
+            // requestWithTimeout and not this.fetch, which would wait for this robots.txt
+            const response = await this.urlPolicy.fetch(`${origin}/robots.txt`, { kind: 'page' },
+                (url, options) => this.requestWithTimeout(url, options))
+            // A missing robots.txt means everything is allowed
+            if (!response.ok) return null
+            // Groups are matched on the product token of the User-Agent we send
+            return selectRobotsGroup(parseRobotsTxt(await response.text()), this.userAgent.split('/')[0].trim())
+        } catch (error) {
+            return null
+        }
+    }
+
+    /**
+     * Whether robots.txt allows fetching a URL
+     */
+    async isAllowed(url) {
+        if (!this.respectRobots) return true
+        const parsed = new URL(url)
+        const group = await this.robotsGroupFor(parsed.origin)
+        return isPathAllowed(group, parsed.pathname + parsed.search)
+    }
+
+    /**
+     * Request a URL within the timeout. The timeout also covers the body: a server
+     * that sends it too slowly has its body cut off with a FetchTimeoutError.
+     */
+    async requestWithTimeout(url, options) {
+        const controller = new AbortController()
+        let response = null
+        const timer = setTimeout(() => {
+            if (response && response.body && typeof response.body.destroy === 'function') {
+                response.body.destroy(new FetchTimeoutError(url, this.timeoutMs))
+            } else {
+                controller.abort()
+            }
+        }, this.timeoutMs)
+
+        try {
+            response = await this.fetchImpl(url, {
+                ...options,
+                headers: { ...(options.headers || {}), 'User-Agent': this.userAgent },
+                signal: controller.signal
+            })
+        } catch (error) {
+            clearTimeout(timer)
+            if (error.name === 'AbortError') {
+                throw new FetchTimeoutError(url, this.timeoutMs)
+            }
+            throw error
+        }
+
+        if (response.body && typeof response.body.once === 'function') {
+            // Closed once the body has been read, discarded or cut off
+            response.body.once('close', () => clearTimeout(timer))
+        } else if (!response.body) {
+            clearTimeout(timer)
+        } else {
+            // A web stream body cannot be watched, the timer only must not keep the process alive
+            timer.unref()
+        }
+        return response
+    }
+
+    /**
+     * Delay before the next attempt, honours Retry-After when the server sends it.
+     * Null when the server asks for a longer wait than maxBackoffMs: the request is given up.
+     */
+    retryDelay(attempt, response) {
+        const retryAfter = response && response.headers.get('retry-after')
+        if (retryAfter) {
+            const seconds = Number(retryAfter)
+            const date = new Date(retryAfter).getTime()
+            const delay = !Number.isNaN(seconds) ? seconds * 1000 : (!Number.isNaN(date) ? Math.max(0, date - Date.now()) : null)
+            if (delay !== null) return delay <= this.maxBackoffMs ? delay : null
+        }
+        return Math.min(this.backoffMs * 2 ** attempt, this.maxBackoffMs)
+    }
+
+    /**
+     * Fetch a URL politely, same signature as fetch
+     */
+    async fetch(url, options = {}) {
+        if (!(await this.isAllowed(url))) {
+            throw new RobotsDisallowedError(url)
+        }
+
+        const bucket = await this.bucketFor(new URL(url).origin)
+
+        for (let attempt = 0; ; attempt++) {
+            await bucket.take()
+
+            let response = null
+            try {
+                response = await this.requestWithTimeout(url, options)
+            } catch (error) {
+                if (attempt >= this.maxRetries) throw error
+            }
+
+            const retryable = !response || response.status === 429 || response.status >= 500
+            if (!retryable || attempt >= this.maxRetries) {
+                return response
+            }
+
+            const delay = this.retryDelay(attempt, response)
+            if (delay === null) {
+                return response
+            }
+            if (response && response.body && typeof response.body.resume === 'function') response.body.resume()
+            await new Promise(resolve => setTimeout(resolve, delay))
+        }
+    }
+}
+
+export {
+    PoliteFetcher,
+    TokenBucket,
+    RobotsDisallowedError,
+    FetchTimeoutError,
+    parseRobotsTxt,
+    selectRobotsGroup,
+    isPathAllowed
+}
@@ -0,0 +1,274 @@
+import { randomUUID } from 'crypto'
+
+/**
+ * Wallet presentation requests for the attestations a subsidy needs:
+ * a DIF Presentation Exchange v2 presentation definition and/or an
+ * OpenID4VP DCQL query, built from the credential and claim paths
+ * declared per field in attestation-schema.json.
+ */
+
+// Presentation Exchange names SD-JWT VCs differently than DCQL does
+const PE_FORMAT_NAMES = {
+    'dc+sd-jwt': 'vc+sd-jwt'
+}
+
+const DEFAULT_ALG_VALUES = ['ES256']
+
+const PRESENTATION_FORMATS = ['pe', 'dcql', 'both']
+
+/**
+ * Raised when a generated request does not match the specification
+ */
+class PresentationRequestError extends Error {
+    constructor(problems) {
+        super(`Generated presentation request is invalid: ${problems.join('; ')}`)
+        this.name = 'PresentationRequestError'
+        this.problems = problems
+    }
+}
+
+/**
+ * Group the required attestations by the credential that holds them
+ */
+function groupByCredential(schema, analysis) {
+    const groups = new Map()
+    const unmapped = []
+
+    for (const requirement of analysis.requirements.attestations || []) {
+        const key = requirement.name
+        const field = schema.attestation_schema[key]
+        const credential = field && field.credential ? schema.credentials[field.credential.id] : null
+
+        if (!credential) {
+            unmapped.push(key)
+            continue
+        }
+
+        if (!groups.has(field.credential.id)) {
+            groups.set(field.credential.id, { id: field.credential.id, credential: credential, claims: [] })
+        }
+
+        const group = groups.get(field.credential.id)
+        if (!group.claims.some(claim => claim.key === key)) {
+            group.claims.push({
+                key: key,
+                label: field.labels,
+                path: field.credential.claim_path || null
+            })
+        }
+    }
+
+    return { groups: [...groups.values()], unmapped: unmapped }
+}
+
+/**
+ * JSONPath for a claim path, e.g. ["address", "street"] -> $.address.street
+ */
+function toJsonPath(claimPath) {
+    return '$' + claimPath.map(part => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(part) ? `.${part}` : `['${part}']`)).join('')
+}
+
+/**
+ * DIF Presentation Exchange v2 presentation definition
+ */
+function buildPresentationDefinition(groups, analysis) {
+    return {
+        id: randomUUID(),
+        name: `RVO subsidie: ${analysis.title}`,
+        purpose: `Gegevens die nodig zijn voor een aanvraag voor ${analysis.title}`,
+        input_descriptors: groups.map(group => {
+            const peFormat = PE_FORMAT_NAMES[group.credential.format] || group.credential.format
+
+            return {
+                id: group.id,
+                name: group.credential.labels ? group.credential.labels.nl : group.id,
+                purpose: `Nodig voor: ${group.claims.map(claim => claim.label.nl).join(', ')}`,
+                format: {
+                    [peFormat]: {
+                        'sd-jwt_alg_values': DEFAULT_ALG_VALUES,
+                        'kb-jwt_alg_values': DEFAULT_ALG_VALUES
+                    }
+                },
+                constraints: {
+                    limit_disclosure: 'required',
+                    fields: [
+                        {
+                            path: ['$.vct'],
+                            filter: { type: 'string', const: group.credential.vct }
+                        },
+                        // Claims without a path ask for the credential as a whole
+                        ...group.claims.filter(claim => claim.path).map(claim => ({
+                            id: claim.key,
+                            name: claim.label.nl,
+                            path: [toJsonPath(claim.path)],
+                            intent_to_retain: false
+                        }))
+                    ]
+                }
+            }
+        })
+    }
+}
+
+/**
+ * OpenID4VP DCQL query
+ */
+function buildDcqlQuery(groups) {
+    return {
+        credentials: groups.map(group => {
+            const query = {
+                id: group.id,
+                format: group.credential.format,
+                meta: { vct_values: [group.credential.vct] }
+            }
+
+            const claims = group.claims.filter(claim => claim.path).map(claim => ({
+                id: claim.key,
+                path: claim.path
+            }))
+            if (claims.length > 0) query.claims = claims
+
+            return query
+        })
+    }
+}
+
+/**
+ * Problems in a presentation definition, following the required structure
+ * of the Presentation Exchange v2 JSON schema
+ */
+function findPresentationDefinitionProblems(definition) {
+    const problems = []
+    const isNonEmptyString = value => typeof value === 'string' && value.length > 0
+
+    if (!definition || typeof definition !== 'object') return ['presentation_definition must be an object']
+    if (!isNonEmptyString(definition.id)) problems.push('id must be a non-empty string')
+    if (!Array.isArray(definition.input_descriptors)) {
+        problems.push('input_descriptors must be an array')
+        return problems
+    }
+
+    const ids = new Set()
+    definition.input_descriptors.forEach((descriptor, index) => {
+        const at = `input_descriptors[${index}]`
+        if (!isNonEmptyString(descriptor.id)) problems.push(`${at}.id must be a non-empty string`)
+        if (ids.has(descriptor.id)) problems.push(`${at}.id must be unique`)
+        ids.add(descriptor.id)
+
+        if (descriptor.format !== undefined &&
+            (typeof descriptor.format !== 'object' || Object.values(descriptor.format).some(value => typeof value !== 'object'))) {
+            problems.push(`${at}.format must map format names to objects`)
+        }
+
+        const constraints = descriptor.constraints
+        if (!constraints || typeof constraints !== 'object') {
+            problems.push(`${at}.constraints is required`)
+            return
+        }
+        if (constraints.limit_disclosure !== undefined && !['required', 'preferred'].includes(constraints.limit_disclosure)) {
+            problems.push(`${at}.constraints.limit_disclosure must be "required" or "preferred"`)
+        }
+        (constraints.fields || []).forEach((field, fieldIndex) => {
+            const fieldAt = `${at}.constraints.fields[${fieldIndex}]`
+            if (!Array.isArray(field.path) || field.path.length === 0 || !field.path.every(path => isNonEmptyString(path) && path.startsWith('$'))) {
+                problems.push(`${fieldAt}.path must be a non-empty array of JSONPath strings`)
+            }
+            if (field.filter !== undefined && (typeof field.filter !== 'object' || field.filter === null)) {
+                problems.push(`${fieldAt}.filter must be a JSON Schema object`)
+            }
+            if (field.intent_to_retain !== undefined && typeof field.intent_to_retain !== 'boolean') {
+                problems.push(`${fieldAt}.intent_to_retain must be a boolean`)
+            }
+        })
+    })
+
+    return problems
+}
+
+/**
+ * Problems in a DCQL query, following OpenID4VP
+ */
+function findDcqlProblems(query) {
+    const problems = []
+    const isIdentifier = value => typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value)
+
+    if (!query || !Array.isArray(query.credentials) || query.credentials.length === 0) {
+        return ['credentials must be a non-empty array']
+    }
+
+    const ids = new Set()
+    query.credentials.forEach((credential, index) => {
+        const at = `credentials[${index}]`
+        if (!isIdentifier(credential.id)) problems.push(`${at}.id must consist of alphanumerics, underscores or hyphens`)
+        if (ids.has(credential.id)) problems.push(`${at}.id must be unique`)
+        ids.add(credential.id)
+
+        if (typeof credential.format !== 'string' || !credential.format) problems.push(`${at}.format is required`)
+        if (credential.format === 'dc+sd-jwt' && (!credential.meta || !Array.isArray(credential.meta.vct_values))) {
+            problems.push(`${at}.meta.vct_values is required for dc+sd-jwt`)
+        }
+        if (credential.claims !== undefined) {
+            if (!Array.isArray(credential.claims) || credential.claims.length === 0) {
+                problems.push(`${at}.claims must be a non-empty array when present`)
+            } else {
+                credential.claims.forEach((claim, claimIndex) => {
+                    if (claim.id !== undefined && !isIdentifier(claim.id)) problems.push(`${at}.claims[${claimIndex}].id is invalid`)
+                    if (!Array.isArray(claim.path) || claim.path.length === 0) problems.push(`${at}.claims[${claimIndex}].path must be a non-empty array`)
+                })
+            }
+        }
+    })
+
+    return problems
+}
+
+/**
+ * Build the presentation request for an analysis.
+ * format: 'pe' (Presentation Exchange), 'dcql' or 'both'
+ */
+function buildPresentationRequest(schema, analysis, options = {}) {
+    const format = options.format || 'both'
+    const { groups, unmapped } = groupByCredential(schema, analysis)
+
+    const request = {
+        subsidy: {
+            url: analysis.url,
+            title: analysis.title,
+            analyzed_at: analysis.analyzed_at,
+            subsidy_id: analysis.subsidy_id || null,
+            run_id: analysis.run_id || null
+        },
+        requested_attestations: groups.flatMap(group => group.claims.map(claim => claim.key)),
+        unmapped_attestations: unmapped
+    }
+
+    if (groups.length === 0) {
+        return request
+    }
+
+    const problems = []
+    if (format === 'pe' || format === 'both') {
+        request.presentation_definition = buildPresentationDefinition(groups, analysis)
+        problems.push(...findPresentationDefinitionProblems(request.presentation_definition))
+    }
+    if (format === 'dcql' || format === 'both') {
+        request.dcql_query = buildDcqlQuery(groups)
+        problems.push(...findDcqlProblems(request.dcql_query))
+    }
+
+    if (problems.length > 0) {
+        throw new PresentationRequestError(problems)
+    }
+
+    return request
+}
+
+export {
+    PRESENTATION_FORMATS,
+    PresentationRequestError,
+    buildPresentationRequest,
+    buildPresentationDefinition,
+    buildDcqlQuery,
+    findPresentationDefinitionProblems,
+    findDcqlProblems
+}
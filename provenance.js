@@ -0,0 +1,140 @@
+/**
+ * Provenance for extracted requirements: every requirement points at the page
+ * or document it came from and carries a verbatim quote that is checked
+ * against the scraped text.
+ */
+
+/**
+ * Normalize text for quote matching (case, whitespace, typographic quotes, Markdown table pipes)
+ */
+function normalizeForMatching(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/\\?\|/g, ' ')
+        .replace(/[‘’‚‛]/g, "'")
+        .replace(/[“”„‟]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * List every scraped page and document as a source with its type
+ */
+function collectSources(scrapedData) {
+    const pages = (scrapedData.allPages || []).map(page => ({
+        url: page.url,
+        title: page.title,
+        document_type: 'page',
+        normalizedText: normalizeForMatching(page.textContent),
+        sections: (page.sections || []).map(section => ({
+            id: section.id,
+            path: section.path,
+            normalizedText: normalizeForMatching(`${section.heading || ''} ${section.text}`)
+        }))
+    }))
+
+    const documents = (scrapedData.allDocuments || []).map(doc => ({
+        url: doc.url,
+        title: doc.title,
+        document_type: doc.type,
+        normalizedText: normalizeForMatching(doc.textContent),
+        sections: []
+    }))
+
+    return [...pages, ...documents]
+}
+
+/**
+ * Turn a raw model item (a bare string or an object) into a requirement object
+ */
+function toRequirement(item) {
+    if (typeof item === 'string') {
+        return { name: item, source_url: null, quote: null, document_type: null }
+    }
+
+    return {
+        ...item,
+        name: item.name || item.key || '',
+        source_url: item.source_url || null,
+        quote: item.quote || null,
+        document_type: item.document_type || null
+    }
+}
+
+/**
+ * Section of a page that contains the quote, as { section_id, section } with the heading path
+ */
+function locateSection(source, quote) {
+    const section = source.sections.find(candidate => candidate.normalizedText.includes(quote))
+    if (!section || section.path.length === 0) return {}
+    return { section_id: section.id, section: section.path.join(' > ') }
+}
+
+/**
+ * Check the quote of a requirement against the sources and fill in provenance
+ */
+function verifyRequirement(item, sources) {
+    const requirement = toRequirement(item)
+    const claimedSource = sources.find(source => source.url === requirement.source_url) || null
+
+    if (!requirement.quote) {
+        return {
+            ...requirement,
+            document_type: claimedSource ? claimedSource.document_type : requirement.document_type,
+            verified: false,
+            verification: 'no_quote'
+        }
+    }
+
+    const quote = normalizeForMatching(requirement.quote)
+
+    if (claimedSource && claimedSource.normalizedText.includes(quote)) {
+        return {
+            ...requirement,
+            ...locateSection(claimedSource, quote),
+            document_type: claimedSource.document_type,
+            verified: true,
+            verification: 'quote_found'
+        }
+    }
+
+    // The model sometimes cites the wrong page for a real quote
+    const actualSource = sources.find(source => source.normalizedText.includes(quote))
+    if (actualSource) {
+        return {
+            ...requirement,
+            ...locateSection(actualSource, quote),
+            source_url: actualSource.url,
+            document_type: actualSource.document_type,
+            verified: true,
+            verification: 'quote_found_in_other_source'
+        }
+    }
+
+    return {
+        ...requirement,
+        document_type: claimedSource ? claimedSource.document_type : requirement.document_type,
+        verified: false,
+        verification: 'quote_not_found'
+    }
+}
+
+/**
+ * Attach verified provenance to all attestations and non-attestations
+ */
+function attachProvenance(requirements, scrapedData) {
+    const sources = collectSources(scrapedData)
+
+    const attestations = (requirements.attestations || []).map(item => verifyRequirement(item, sources))
+    const nonAttestations = (requirements.non_attestations || []).map(item => verifyRequirement(item, sources))
+
+    return {
+        ...requirements,
+        attestations: attestations,
+        non_attestations: nonAttestations,
+        unverified_count: [...attestations, ...nonAttestations].filter(requirement => !requirement.verified).length
+    }
+}
+
+export { normalizeForMatching, collectSources, locateSection, verifyRequirement, attachProvenance }
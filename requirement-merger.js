@@ -0,0 +1,98 @@
+/**
+ * Merging of partial requirement lists from the map step of the analysis
+ */
+
+/**
+ * Normalize a requirement name for de-duplication
+ */
+function normalizeRequirementName(name) {
+    return (name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[\s_\-]+/g, '')
+}
+
+/**
+ * Evidence entry for a requirement (where it was found)
+ */
+function toEvidence(requirement) {
+    return {
+        source_url: requirement.source_url,
+        quote: requirement.quote,
+        document_type: requirement.document_type,
+        verified: requirement.verified
+    }
+}
+
+/**
+ * Combine a group of requirements that mean the same thing into one,
+ * preferring a verified item as the representative
+ */
+function combineRequirements(group, name) {
+    const representative = group.find(requirement => requirement.verified) || group[0]
+    const evidence = []
+
+    for (const requirement of group) {
+        for (const entry of requirement.evidence || [toEvidence(requirement)]) {
+            const duplicate = evidence.some(existing =>
+                existing.source_url === entry.source_url && existing.quote === entry.quote
+            )
+            if (!duplicate) evidence.push(entry)
+        }
+    }
+
+    const combined = {
+        ...representative,
+        name: name || representative.name,
+        evidence: evidence
+    }
+    // Self-consistency samples the requirement was found in, see self-consistency.js
+    if (group.some(requirement => requirement.samples)) {
+        combined.samples = [...new Set(group.flatMap(requirement => requirement.samples || []))].sort((a, b) => a - b)
+    }
+    return combined
+}
+
+/**
+ * Merge requirement lists, de-duplicating on the normalized name
+ */
+function mergeRequirementLists(lists) {
+    const groups = new Map()
+
+    for (const requirement of lists.flat()) {
+        const key = normalizeRequirementName(requirement.name)
+        if (!key) continue
+        if (!groups.has(key)) groups.set(key, [])
+        groups.get(key).push(requirement)
+    }
+
+    return [...groups.values()].map(group => combineRequirements(group))
+}
+
+/**
+ * Apply groups from the reduction step ([{ name, items: [indexes] }]) to a list.
+ * Items the reduction did not mention are kept as they are.
+ */
+function applyReductionGroups(requirements, groups) {
+    const used = new Set()
+    const reduced = []
+
+    for (const group of groups || []) {
+        const indexes = (group.items || []).filter(index =>
+            Number.isInteger(index) && index >= 0 && index < requirements.length && !used.has(index)
+        )
+        if (indexes.length === 0) continue
+
+        indexes.forEach(index => used.add(index))
+        reduced.push(combineRequirements(indexes.map(index => requirements[index]), group.name))
+    }
+
+    requirements.forEach((requirement, index) => {
+        if (!used.has(index)) reduced.push(requirement)
+    })
+
+    return reduced
+}
+
+export { normalizeRequirementName, combineRequirements, mergeRequirementLists, applyReductionGroups }
@@ -0,0 +1,196 @@
+import { normalizeRequirementName } from './requirement-merger.js'
+
+// Lists of a stored analysis a review acts on; needs_review only exists in self-consistency mode
+const REVIEW_LISTS = ['attestations', 'non_attestations', 'needs_review']
+const REVIEW_ACTIONS = ['approve', 'reject', 'edit', 'split', 'add']
+// Fields of a requirement a reviewer may set
+const EDITABLE_FIELDS = ['name', 'quote', 'source_url', 'document_type', 'section']
+
+/**
+ * Raised for a review that cannot be applied. code: invalid_review or requirement_not_found
+ */
+class ReviewError extends Error {
+    constructor(code, message) {
+        super(message)
+        this.name = 'ReviewError'
+        this.code = code
+    }
+}
+
+/**
+ * List a requirement is classified in: its own list, or for an item in needs_review
+ * the list the analysis put it in
+ */
+function classifiedList(list, requirement) {
+    if (list !== 'needs_review') return list
+    return requirement && requirement.category === 'attestation' ? 'attestations' : 'non_attestations'
+}
+
+/**
+ * Editable fields of a requirement given by a reviewer, name required
+ */
+function pickFields(fields, at) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ReviewError('invalid_review', `${at} must be an object`)
+    }
+    const picked = {}
+    for (const field of EDITABLE_FIELDS) {
+        if (fields[field] === undefined) continue
+        if (fields[field] !== null && typeof fields[field] !== 'string') {
+            throw new ReviewError('invalid_review', `${at}.${field} must be a string`)
+        }
+        picked[field] = fields[field] === null ? null : fields[field].trim()
+    }
+    if (picked.name === '' || picked.name === null) {
+        throw new ReviewError('invalid_review', `${at}.name must not be empty`)
+    }
+    return picked
+}
+
+/**
+ * Apply a review to a stored run. A review is { reviewer, client, comment, actions } with actions:
+ * - { action: 'approve', list, name }: keep a requirement; one in needs_review moves to the list it was classified in
+ * - { action: 'reject', list, name, reason }: remove a requirement, it is kept in requirements.rejected
+ * - { action: 'edit', list, name, changes: { name, quote, source_url, document_type, section, list } }
+ * - { action: 'split', list, name, into: [{ name, quote, ..., list }] }: replace one requirement by several
+ * - { action: 'add', list, requirement: { name, quote, source_url, document_type, section } }
+ * Requirements are found on their normalized name. Attestation names must be keys of the
+ * attestation schema when attestationKeys is given. Returns { run, entries } with the updated
+ * run and the audit entries of this review; the actions are applied all or none.
+ */
+function applyReview(run, review, attestationKeys = null) {
+    const reviewer = typeof review.reviewer === 'string' ? review.reviewer.trim() : ''
+    if (!reviewer) {
+        throw new ReviewError('invalid_review', 'reviewer is required')
+    }
+    if (!Array.isArray(review.actions) || review.actions.length === 0) {
+        throw new ReviewError('invalid_review', 'actions must be a non-empty array')
+    }
+
+    const reviewedAt = new Date().toISOString()
+    const requirements = {
+        ...run.requirements,
+        attestations: [...run.requirements.attestations],
+        non_attestations: [...run.requirements.non_attestations],
+        needs_review: [...(run.requirements.needs_review || [])],
+        rejected: [...(run.requirements.rejected || [])]
+    }
+    const audit = run.review ? run.review.audit : []
+    const entries = []
+
+    const stamp = (status) => ({ status: status, reviewer: reviewer, reviewed_at: reviewedAt })
+    // Reviewer-supplied text counts as verified by the reviewer rather than by the quote check
+    const reviewed = (requirement, status) => {
+        const { category, review_reason, ...rest } = requirement
+        return { ...rest, verified: true, verification: 'reviewer', review: stamp(status) }
+    }
+    const take = (list, name, at) => {
+        if (!REVIEW_LISTS.includes(list)) {
+            throw new ReviewError('invalid_review', `${at}.list must be one of ${REVIEW_LISTS.join(', ')}`)
+        }
+        const index = requirements[list].findIndex(requirement =>
+            normalizeRequirementName(requirement.name) === normalizeRequirementName(name))
+        if (index === -1) {
+            throw new ReviewError('requirement_not_found', `${at}: no requirement "${name}" in ${list}`)
+        }
+        return requirements[list].splice(index, 1)[0]
+    }
+    // Names the analysis already produced were checked against the schema then, and may predate a schema change
+    const put = (list, requirement, at, checkName = true) => {
+        if (list !== 'attestations' && list !== 'non_attestations') {
+            throw new ReviewError('invalid_review', `${at}: requirements can only be moved to attestations or non_attestations`)
+        }
+        if (checkName && list === 'attestations' && attestationKeys && !attestationKeys.includes(requirement.name)) {
+            throw new ReviewError('invalid_review', `${at}: "${requirement.name}" is not a field of the attestation schema`)
+        }
+        const key = normalizeRequirementName(requirement.name)
+        if (requirements[list].some(existing => normalizeRequirementName(existing.name) === key)) {
+            throw new ReviewError('invalid_review', `${at}: ${list} already contains "${requirement.name}"`)
+        }
+        requirements[list].push(requirement)
+        return requirement
+    }
+
+    review.actions.forEach((action, index) => {
+        const at = `actions[${index}]`
+        if (!action || !REVIEW_ACTIONS.includes(action.action)) {
+            throw new ReviewError('invalid_review', `${at}.action must be one of ${REVIEW_ACTIONS.join(', ')}`)
+        }
+
+        let before = null
+        let after = null
+        let toList = null
+        if (action.action === 'add') {
+            const fields = pickFields(action.requirement, `${at}.requirement`)
+            if (!fields.name) throw new ReviewError('invalid_review', `${at}.requirement.name is required`)
+            after = put(action.list, reviewed({ quote: null, source_url: null, document_type: null, section: null, ...fields }, 'added'), at)
+        } else {
+            if (typeof action.name !== 'string' || !action.name) {
+                throw new ReviewError('invalid_review', `${at}.name is required`)
+            }
+            before = take(action.list, action.name, at)
+            const list = classifiedList(action.list, before)
+
+            if (action.action === 'approve') {
+                const { category, review_reason, ...rest } = before
+                toList = list
+                after = put(toList, { ...rest, review: stamp('approved') }, at, false)
+            } else if (action.action === 'reject') {
+                requirements.rejected.push({ ...before, list: list, review: { ...stamp('rejected'), reason: action.reason || null } })
+            } else if (action.action === 'edit') {
+                const { list: target, ...changes } = action.changes || {}
+                toList = target || list
+                after = put(toList, reviewed({ ...before, ...pickFields(changes, `${at}.changes`) }, 'edited'), at)
+            } else {
+                if (!Array.isArray(action.into) || action.into.length < 2) {
+                    throw new ReviewError('invalid_review', `${at}.into must list at least two requirements`)
+                }
+                after = action.into.map((part, partIndex) => {
+                    const { list: target, ...fields } = part || {}
+                    const picked = pickFields(fields, `${at}.into[${partIndex}]`)
+                    if (!picked.name) throw new ReviewError('invalid_review', `${at}.into[${partIndex}].name is required`)
+                    // Parts keep the source of the requirement they come from unless given
+                    const { evidence, confidence, agreement, ...origin } = before
+                    return put(target || list, reviewed({ ...origin, ...picked }, 'split'), `${at}.into[${partIndex}]`)
+                })
+            }
+        }
+
+        entries.push({
+            id: audit.length + entries.length + 1,
+            action: action.action,
+            list: action.list,
+            to_list: toList,
+            name: before ? before.name : after.name,
+            reviewer: reviewer,
+            client: review.client || null,
+            reviewed_at: reviewedAt,
+            reason: action.reason || null,
+            comment: review.comment || null,
+            before: before,
+            after: after
+        })
+    })
+
+    const all = [...requirements.attestations, ...requirements.non_attestations, ...requirements.needs_review]
+    requirements.unverified_count = all.filter(requirement => !requirement.verified).length
+    if (requirements.self_consistency) {
+        requirements.self_consistency = { ...requirements.self_consistency, needs_review: requirements.needs_review.length }
+    }
+
+    const reviewers = run.review ? run.review.reviewers : []
+    return {
+        run: {
+            ...run,
+            requirements: requirements,
+            review: {
+                reviewed_at: reviewedAt,
+                reviewers: reviewers.includes(reviewer) ? reviewers : [...reviewers, reviewer],
+                audit: [...audit, ...entries]
+            }
+        },
+        entries: entries
+    }
+}
+
+export { REVIEW_LISTS, REVIEW_ACTIONS, ReviewError, applyReview, classifiedList }
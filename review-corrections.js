@@ -0,0 +1,215 @@
+import fs from 'fs'
+import path from 'path'
+import { randomBytes } from 'crypto'
+import { classifiedList } from './requirement-review.js'
+
+// Review actions that change the output of the analysis; approvals confirm it and teach nothing
+const CORRECTION_ACTIONS = ['reject', 'edit', 'split', 'add']
+
+// Corrections in one prompt, those of the same regulation first
+const DEFAULT_PROMPT_CORRECTIONS = 12
+
+// Share of title words two regulations must have in common to count as similar
+const MIN_TITLE_SIMILARITY = 0.3
+
+function titleWords(title) {
+    return new Set((title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 3))
+}
+
+/**
+ * Jaccard similarity of the words (longer than three letters) of two titles
+ */
+function titleSimilarity(a, b) {
+    const wordsA = titleWords(a)
+    const wordsB = titleWords(b)
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length
+    const total = new Set([...wordsA, ...wordsB]).size
+    return total === 0 ? 0 : shared / total
+}
+
+/**
+ * A correction from one audit entry of a review, null for an approval
+ */
+function toCorrection(run, entry) {
+    if (!CORRECTION_ACTIONS.includes(entry.action)) return null
+    const list = classifiedList(entry.list, entry.before)
+    const correction = {
+        id: `${run.run_id}/${entry.id}`,
+        subsidy_id: run.subsidy_id,
+        url: run.url,
+        title: run.title,
+        action: entry.action,
+        list: list,
+        name: entry.name,
+        reason: entry.reason,
+        reviewer: entry.reviewer,
+        reviewed_at: entry.reviewed_at
+    }
+
+    if (entry.action === 'edit') {
+        correction.to = { name: entry.after.name, list: entry.to_list }
+    } else if (entry.action === 'split') {
+        correction.into = entry.after.map(part => part.name)
+    } else if (entry.action === 'add') {
+        correction.quote = entry.after.quote
+    }
+    return correction
+}
+
+function article(list) {
+    return list === 'attestations' ? 'an attestation' : 'a non-attestation'
+}
+
+/**
+ * One prompt rule for a correction, null when it says nothing about the output (e.g. only the quote was edited)
+ */
+function describeCorrection(correction) {
+    const reason = correction.reason ? ` (reviewer: ${correction.reason})` : ''
+
+    switch (correction.action) {
+        case 'reject':
+            return `- Do not report "${correction.name}" as ${article(correction.list)}${reason}`
+        case 'split':
+            return `- Do not report "${correction.name}" as one requirement, list its items separately: ${correction.into.map(name => `"${name}"`).join(', ')}${reason}`
+        case 'add':
+            return `- "${correction.name}" is ${article(correction.list)} that was missed${correction.quote ? `, stated as "${correction.quote}"` : ''}${reason}`
+        case 'edit': {
+            const renamed = correction.to.name !== correction.name
+            const moved = correction.to.list !== correction.list
+            if (renamed && moved) return `- Report "${correction.name}" as ${article(correction.to.list)} named "${correction.to.name}"${reason}`
+            if (moved) return `- "${correction.name}" is ${article(correction.to.list)}, not ${article(correction.list)}${reason}`
+            if (renamed) return `- Report "${correction.name}" under the name "${correction.to.name}"${reason}`
+            return null
+        }
+        default:
+            return null
+    }
+}
+
+/**
+ * Prompt section with the corrections for a regulation, empty without corrections
+ */
+function createCorrectionsPrompt(corrections) {
+    // Rules from other regulations name the regulation they come from
+    const rules = (same) => corrections.filter(correction => correction.same_regulation === same)
+        .map(correction => {
+            const rule = describeCorrection(correction)
+            return rule && !same ? `${rule} [${correction.title}]` : rule
+        })
+        .filter(Boolean)
+    const own = rules(true)
+    const similar = rules(false)
+    if (own.length === 0 && similar.length === 0) return ''
+
+    return [
+        'CORRECTIONS BY DOMAIN EXPERTS (from reviews of earlier analyses, follow them where the content supports them):',
+        ...(own.length > 0 ? ['This regulation:', ...own] : []),
+        ...(similar.length > 0 ? ['Similar regulations:', ...similar] : [])
+    ].join('\n')
+}
+
+/**
+ * Corrections from reviews of stored analyses, kept in one JSON file so later runs of
+ * the same or a similar regulation can be told about them:
+ *   { "corrections": [{ "id", "subsidy_id", "url", "title", "action", "list", "name", ... }] }
+ */
+class ReviewCorrections {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.CORRECTIONS_PATH || './data/review-corrections.json'
+        this.data = null
+        this.loading = null
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * Read the corrections once; concurrent first callers share the same read, so
+     * none of them replaces corrections another one already added. A failed read is retried.
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.read().then(data => {
+                this.data = data
+                return data
+            }, error => {
+                this.loading = null
+                throw error
+            })
+        }
+        return this.loading
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+            return { corrections: [] }
+        }
+    }
+
+    /**
+     * Add the corrections among the audit entries of a review, returns them
+     */
+    async addFromReview(run, entries) {
+        const data = await this.load()
+        const corrections = entries.map(entry => toCorrection(run, entry)).filter(Boolean)
+        if (corrections.length === 0) return []
+
+        data.corrections.push(...corrections)
+        await this.save()
+        return corrections
+    }
+
+    /**
+     * Corrections of a subsidy, or all of them; newest first
+     */
+    async list(subsidyId = null) {
+        const data = await this.load()
+        return data.corrections
+            .filter(correction => !subsidyId || correction.subsidy_id === subsidyId)
+            .sort((a, b) => b.reviewed_at.localeCompare(a.reviewed_at))
+    }
+
+    /**
+     * Corrections to give the analysis of a regulation: those of the regulation itself
+     * first, then those of regulations with a similar title, newest first, at most limit.
+     * Each is marked with same_regulation.
+     */
+    async forRegulation(subsidyId, title, limit = DEFAULT_PROMPT_CORRECTIONS) {
+        const corrections = await this.list()
+        const own = corrections.filter(correction => correction.subsidy_id === subsidyId)
+        const similar = corrections
+            .filter(correction => correction.subsidy_id !== subsidyId)
+            .map(correction => ({ correction: correction, similarity: titleSimilarity(correction.title, title) }))
+            .filter(entry => entry.similarity >= MIN_TITLE_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity)
+            .map(entry => entry.correction)
+
+        return [
+            ...own.map(correction => ({ ...correction, same_regulation: true })),
+            ...similar.map(correction => ({ ...correction, same_regulation: false }))
+        ].slice(0, limit)
+    }
+
+    /**
+     * Write the corrections atomically. Saves run one after the other, each writes
+     * the corrections as they are when its turn comes, so the last one wins with everything.
+     */
+    save() {
+        const pending = this.saving.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+            const tmpPath = `${this.filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+            await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2))
+            await fs.promises.rename(tmpPath, this.filePath)
+        })
+        this.saving = pending
+        return pending
+    }
+}
+
+export { ReviewCorrections, CORRECTION_ACTIONS, titleSimilarity, describeCorrection, createCorrectionsPrompt }
@@ -0,0 +1,175 @@
+import { AnalysisError } from './analysis-errors.js'
+import { estimateTokens } from './content-chunker.js'
+
+// Approximate list prices in euro per million tokens, matched on the longest model
+// name prefix. Override or extend with LLM_PRICES, e.g. {"gpt-4o":{"input":2.3,"output":9.2}}
+const MODEL_PRICES = {
+    'gpt-4': { input: 28, output: 55 },
+    'gpt-4-turbo': { input: 9.2, output: 27.6 },
+    'gpt-4o': { input: 2.3, output: 9.2 },
+    'gpt-4o-mini': { input: 0.14, output: 0.55 },
+    'gpt-4.1': { input: 1.85, output: 7.4 },
+    'gpt-4.1-mini': { input: 0.37, output: 1.48 },
+    'gpt-3.5-turbo': { input: 0.46, output: 1.38 }
+}
+
+// Tokens the chat format adds per message on top of its content
+const TOKENS_PER_MESSAGE = 4
+
+/**
+ * Raised before an LLM call that would take the run over its token or euro budget
+ */
+class BudgetExceededError extends AnalysisError {
+    constructor(callSite, message) {
+        super('budget_exceeded', message)
+        this.name = 'BudgetExceededError'
+        this.callSite = callSite
+    }
+}
+
+function emptyPhase() {
+    return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_eur: 0 }
+}
+
+function roundEur(value) {
+    return Math.round(value * 10000) / 10000
+}
+
+/**
+ * Token and euro budget of one analysis run. Every LLM call is estimated before
+ * it is sent (prompt from the message text, completion at its max_tokens) and
+ * refused when it does not fit; afterwards the reported usage is booked per phase.
+ */
+class RunBudget {
+    /**
+     * Options: maxTokens (RUN_MAX_TOKENS), maxCostEur (RUN_MAX_COST_EUR), prices per model
+     * in euro per million tokens (merged over MODEL_PRICES and LLM_PRICES). Without limits
+     * the run is only accounted.
+     */
+    constructor(options = {}, env = process.env) {
+        this.maxTokens = options.maxTokens || Number(env.RUN_MAX_TOKENS) || null
+        this.maxCostEur = options.maxCostEur || Number(env.RUN_MAX_COST_EUR) || null
+        this.prices = { ...MODEL_PRICES, ...(env.LLM_PRICES ? JSON.parse(env.LLM_PRICES) : {}), ...(options.prices || {}) }
+        this.spent = emptyPhase()
+        this.phases = {}
+        this.degradations = []
+        this.unpricedModels = new Set()
+    }
+
+    /**
+     * Price of a model, null when it is unknown (the euro limit then cannot be applied)
+     */
+    priceFor(model) {
+        const name = (model || '').toLowerCase()
+        const match = Object.keys(this.prices)
+            .filter(prefix => name.startsWith(prefix.toLowerCase()))
+            .sort((a, b) => b.length - a.length)[0]
+        return match ? this.prices[match] : null
+    }
+
+    cost(model, promptTokens, completionTokens) {
+        const price = this.priceFor(model)
+        if (!price) return 0
+        return (promptTokens * price.input + completionTokens * price.output) / 1000000
+    }
+
+    /**
+     * Worst case of a call: { prompt_tokens, completion_tokens, total_tokens, cost_eur }
+     */
+    estimate(settings, messages) {
+        const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content) + TOKENS_PER_MESSAGE, 0)
+        const completionTokens = settings.max_tokens || 0
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            cost_eur: this.cost(settings.model, promptTokens, completionTokens)
+        }
+    }
+
+    /**
+     * Tokens and euros left, null for a limit that is not set
+     */
+    remaining() {
+        return {
+            tokens: this.maxTokens ? this.maxTokens - this.spent.total_tokens : null,
+            cost_eur: this.maxCostEur ? this.maxCostEur - this.spent.cost_eur : null
+        }
+    }
+
+    /**
+     * Whether a call of the given estimate fits in what is left
+     */
+    fits(estimate) {
+        const left = this.remaining()
+        return (left.tokens === null || estimate.total_tokens <= left.tokens) &&
+            (left.cost_eur === null || estimate.cost_eur <= left.cost_eur)
+    }
+
+    /**
+     * Throw BudgetExceededError when a call does not fit
+     */
+    check(callSite, estimate) {
+        if (this.fits(estimate)) return
+        const left = this.remaining()
+        const parts = [
+            left.tokens !== null ? `${Math.max(0, left.tokens)} tokens left, the call may use ${estimate.total_tokens}` : null,
+            left.cost_eur !== null ? `€${roundEur(Math.max(0, left.cost_eur))} left, the call may cost €${roundEur(estimate.cost_eur)}` : null
+        ].filter(Boolean)
+        throw new BudgetExceededError(callSite, `Run budget exceeded for ${callSite}: ${parts.join('; ')}`)
+    }
+
+    /**
+     * Book a finished call. Providers without usage are booked at the estimated prompt and the answer length.
+     */
+    record(callSite, model, usage, estimate, content) {
+        const promptTokens = usage?.prompt_tokens ?? estimate.prompt_tokens
+        const completionTokens = usage?.completion_tokens ?? estimateTokens(content)
+        const cost = this.cost(model, promptTokens, completionTokens)
+        if (!this.priceFor(model)) this.unpricedModels.add(model || 'unknown')
+
+        for (const counter of [this.spent, this.phases[callSite] ||= emptyPhase()]) {
+            counter.calls++
+            counter.prompt_tokens += promptTokens
+            counter.completion_tokens += completionTokens
+            counter.total_tokens += usage?.total_tokens ?? promptTokens + completionTokens
+            counter.cost_eur += cost
+        }
+    }
+
+    /**
+     * Note how the run was scaled down to stay within the budget
+     */
+    degrade(phase, action, details = {}) {
+        this.degradations.push({ phase: phase, action: action, ...details })
+    }
+
+    /**
+     * LLM usage per phase with cost, in the shape of the usage accounting
+     */
+    usage() {
+        const round = (counter) => ({ ...counter, cost_eur: roundEur(counter.cost_eur) })
+        return {
+            ...round(this.spent),
+            by_call_site: Object.fromEntries(Object.entries(this.phases).map(([phase, counter]) => [phase, round(counter)]))
+        }
+    }
+
+    /**
+     * Limits, what was spent and the degradations of the run
+     */
+    toJSON() {
+        return {
+            max_tokens: this.maxTokens,
+            max_cost_eur: this.maxCostEur,
+            tokens_used: this.spent.total_tokens,
+            cost_eur: roundEur(this.spent.cost_eur),
+            // Calls to these models count as €0, add their price to LLM_PRICES
+            unpriced_models: [...this.unpricedModels],
+            degraded: this.degradations.length > 0,
+            degradations: this.degradations
+        }
+    }
+}
+
+export { RunBudget, BudgetExceededError, MODEL_PRICES }
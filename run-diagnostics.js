@@ -0,0 +1,92 @@
+import { errorClassOf } from './analysis-errors.js'
+
+/**
+ * Diagnostics of one analysis run: every URL that was attempted with its HTTP
+ * status, size, parse outcome, timing and error class, and the errors of steps
+ * that fell back or were skipped. A run where every sub-page answered 404 can
+ * be told apart from a run that found nothing.
+ */
+class RunDiagnostics {
+    constructor() {
+        this.urls = []
+        this.errors = []
+    }
+
+    /**
+     * Start recording an attempt to fetch a URL. kind is page or document,
+     * method GET or HEAD. Returns { response, finish } to fill in the outcome.
+     */
+    begin(url, kind, method = 'GET') {
+        const startedAt = Date.now()
+        const entry = {
+            url: url,
+            kind: kind,
+            method: method,
+            http_status: null,
+            bytes: null,
+            content_type: null,
+            cache: null,
+            parse: null,
+            duration_ms: null,
+            error_class: null,
+            error: null
+        }
+        this.urls.push(entry)
+
+        return {
+            // Record what the server answered, a CachedResponse or the result of HttpCache.head
+            response: (response) => {
+                entry.http_status = response.status
+                entry.bytes = response.body ? response.body.length : null
+                entry.content_type = response.headers ? response.headers.get('content-type') || null : null
+                entry.cache = response.cache || null
+            },
+            // parse: ok, empty, failed, not_fetched (no usable response) or skipped (HEAD only)
+            finish: (parse, error = null) => {
+                entry.parse = parse
+                entry.duration_ms = Date.now() - startedAt
+                if (error) {
+                    entry.error_class = errorClassOf(error)
+                    entry.error = error.message
+                }
+            }
+        }
+    }
+
+    /**
+     * Record an error of a step that did not end the run (crawl expansion, reduction, ...)
+     */
+    recordError(phase, error, details = {}) {
+        this.errors.push({ phase: phase, ...details, error_class: errorClassOf(error), error: error.message })
+    }
+
+    /**
+     * Counts per outcome, HTTP status and error class
+     */
+    summary() {
+        const count = (values) => values.reduce((counts, value) => {
+            counts[value] = (counts[value] || 0) + 1
+            return counts
+        }, {})
+        const failed = this.urls.filter(entry => entry.error_class)
+
+        return {
+            urls_attempted: this.urls.length,
+            urls_succeeded: this.urls.filter(entry => entry.parse === 'ok').length,
+            urls_failed: failed.length,
+            by_http_status: count(this.urls.filter(entry => entry.http_status !== null).map(entry => String(entry.http_status))),
+            by_error_class: count([...failed, ...this.errors].map(entry => entry.error_class)),
+            step_errors: this.errors.length
+        }
+    }
+
+    toJSON() {
+        return {
+            summary: this.summary(),
+            urls: this.urls,
+            errors: this.errors
+        }
+    }
+}
+
+export { RunDiagnostics }
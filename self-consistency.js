@@ -0,0 +1,153 @@
+import { normalizeRequirementName, combineRequirements } from './requirement-merger.js'
+import { normalizeForMatching } from './provenance.js'
+
+// Share of the samples below which a requirement needs review; with three samples, one vote is too few
+const DEFAULT_REVIEW_THRESHOLD = 0.6
+
+/**
+ * Settings of the self-consistency mode: { samples, reviewThreshold }.
+ * Options win over SELF_CONSISTENCY_SAMPLES and REVIEW_THRESHOLD; one sample turns the mode off.
+ */
+function resolveSelfConsistency(options = {}, env = process.env) {
+    const samples = options.samples || Number(env.SELF_CONSISTENCY_SAMPLES) || 1
+    const reviewThreshold = options.reviewThreshold ?? (env.REVIEW_THRESHOLD ? Number(env.REVIEW_THRESHOLD) : DEFAULT_REVIEW_THRESHOLD)
+
+    if (!Number.isInteger(samples) || samples < 1) {
+        throw new Error(`Self-consistency samples must be a positive integer, got ${samples}`)
+    }
+    if (!(reviewThreshold >= 0 && reviewThreshold <= 1)) {
+        throw new Error(`Review threshold must be between 0 and 1, got ${reviewThreshold}`)
+    }
+    return { samples: samples, reviewThreshold: reviewThreshold }
+}
+
+/**
+ * Sources and chunk size of one analysis sample. Sample 0 is the normal analysis;
+ * odd samples read the sources in reverse order, the others cut them into smaller
+ * chunks, so every sample sees the content in a different arrangement.
+ */
+function sampleVariant(sources, chunkTokens, sample, minChunkTokens) {
+    if (sample === 0) return { sources: sources, chunkTokens: chunkTokens }
+    if (sample % 2 === 1) return { sources: [...sources].reverse(), chunkTokens: chunkTokens }
+    return { sources: sources, chunkTokens: Math.max(minChunkTokens, Math.floor(chunkTokens * 2 / 3)) }
+}
+
+/**
+ * Mark every requirement of a partial result with the sample it was found in
+ */
+function tagSample(partial, sample) {
+    const tag = (requirements) => requirements.map(requirement => ({ ...requirement, samples: [sample] }))
+    return { ...partial, attestations: tag(partial.attestations), non_attestations: tag(partial.non_attestations) }
+}
+
+/**
+ * Names an attestation can be recognized by: its key and, with an attestation schema, its labels
+ */
+function attestationNames(name, attestationSchema) {
+    const field = attestationSchema ? attestationSchema.attestation_schema[name] : null
+    const labels = field && field.labels ? Object.values(field.labels) : []
+    return [...new Set([name, ...labels].map(normalizeRequirementName).filter(Boolean))]
+}
+
+/**
+ * Where a requirement was found: its source URL with the normalized quote, per evidence entry
+ */
+function evidenceKeys(requirement) {
+    return (requirement.evidence || [requirement])
+        .filter(entry => entry.quote)
+        .map(entry => `${entry.source_url || ''}\n${normalizeForMatching(entry.quote)}`)
+}
+
+/**
+ * Reconcile the merged requirements of several samples. Every requirement carries
+ * the samples it was found in (per list). A non-attestation is the same requirement
+ * as an attestation when its name matches the attestation key or one of its labels,
+ * or else when it was found at the same place (source URL and quote) as exactly one
+ * attestation. Such a requirement goes to the list most samples put it in.
+ * Confidence is the share of the samples that found the requirement and classified
+ * it the same way. A requirement the samples classified differently goes to
+ * needs_review as a category_conflict, one below the review threshold as low_confidence.
+ */
+function reconcileSamples(requirements, sampleCount, reviewThreshold, attestationSchema = null) {
+    const entries = []
+    const byName = new Map()
+    const add = (entry, category, requirement) => {
+        entry[category] = entry[category] ? combineRequirements([entry[category], requirement], entry[category].name) : requirement
+    }
+
+    for (const requirement of requirements.attestations) {
+        const names = attestationNames(requirement.name, attestationSchema)
+        let entry = byName.get(names[0])
+        if (!entry) {
+            entry = { attestation: null, non_attestation: null }
+            entries.push(entry)
+        }
+        names.forEach(name => { if (!byName.has(name)) byName.set(name, entry) })
+        add(entry, 'attestation', requirement)
+    }
+
+    for (const requirement of requirements.non_attestations) {
+        const name = normalizeRequirementName(requirement.name)
+        let entry = byName.get(name)
+        if (!entry) {
+            // Found at the same place as one attestation; several would be a list of requirements in one sentence
+            const keys = new Set(evidenceKeys(requirement))
+            const matches = entries.filter(candidate => candidate.attestation && evidenceKeys(candidate.attestation).some(key => keys.has(key)))
+            entry = matches.length === 1 ? matches[0] : null
+        }
+        if (!entry) {
+            entry = { attestation: null, non_attestation: null }
+            entries.push(entry)
+            byName.set(name, entry)
+        }
+        add(entry, 'non_attestation', requirement)
+    }
+
+    const reconciled = { attestations: [], non_attestations: [], needs_review: [] }
+    for (const entry of entries) {
+        const votes = {
+            attestation: new Set(entry.attestation ? entry.attestation.samples : []),
+            non_attestation: new Set(entry.non_attestation ? entry.non_attestation.samples : [])
+        }
+        // A tie is not enough to claim a requirement can be proven with an attestation
+        const category = votes.attestation.size > votes.non_attestation.size ? 'attestation' : 'non_attestation'
+        const other = category === 'attestation' ? 'non_attestation' : 'attestation'
+        const { samples, ...requirement } = combineRequirements([entry[category], entry[other]].filter(Boolean), entry[category].name)
+        const foundIn = new Set([...votes.attestation, ...votes.non_attestation])
+
+        const scored = {
+            ...requirement,
+            confidence: Math.round(votes[category].size / sampleCount * 100) / 100,
+            agreement: {
+                samples: sampleCount,
+                found_in: foundIn.size,
+                attestation: votes.attestation.size,
+                non_attestation: votes.non_attestation.size
+            }
+        }
+
+        if (entry.attestation && entry.non_attestation) {
+            const side = (category) => ({ name: entry[category].name, samples: [...votes[category]].sort((a, b) => a - b) })
+            reconciled.needs_review.push({
+                ...scored,
+                category: category,
+                review_reason: 'category_conflict',
+                conflict: { attestation: side('attestation'), non_attestation: side('non_attestation') }
+            })
+        } else if (scored.confidence < reviewThreshold) {
+            reconciled.needs_review.push({ ...scored, category: category, review_reason: 'low_confidence' })
+        } else if (category === 'attestation') {
+            reconciled.attestations.push(scored)
+        } else {
+            reconciled.non_attestations.push(scored)
+        }
+    }
+
+    const byConfidence = (a, b) => b.confidence - a.confidence
+    reconciled.attestations.sort(byConfidence)
+    reconciled.non_attestations.sort(byConfidence)
+    reconciled.needs_review.sort(byConfidence)
+    return reconciled
+}
+
+export { DEFAULT_REVIEW_THRESHOLD, resolveSelfConsistency, sampleVariant, tagSample, reconcileSamples }
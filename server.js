@@ -4,6 +4,24 @@ import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
 import { RVOAgentAIAutonomous } from './agent-ai-autonomous.js'
+import { AnalysisJobManager } from './analysis-jobs.js'
+import { createProviderFromEnv } from './llm-providers.js'
+import { AnalysisStore, diffAnalysisRuns } from './analysis-store.js'
+import { PoliteFetcher } from './polite-fetcher.js'
+import { loadAttestationSchema, toJsonSchema } from './attestation-schema.js'
+import { checkEligibility } from './eligibility.js'
+import { PRESENTATION_FORMATS, buildPresentationRequest } from './presentation-request.js'
+import { toICalendar } from './subsidy-metadata.js'
+import { isHttpUrl, normalizeConcurrency } from './batch-runner.js'
+import { SubsidyCatalogue, CATALOGUE_STATUSES } from './subsidy-catalogue.js'
+import { CatalogueDiscovery } from './catalogue-discovery.js'
+import { SITE_ADAPTERS, adapterByName } from './site-adapters.js'
+import { ERROR_CLASSES, classifyError } from './analysis-errors.js'
+import { UrlPolicy, UrlPolicyError } from './url-policy.js'
+import { ApiKeyRegistry, apiKeyFromRequest } from './api-keys.js'
+import { UsageLedger } from './usage-ledger.js'
+import { ReviewError, applyReview } from './requirement-review.js'
+import { ReviewCorrections } from './review-corrections.js'
 
 // Load environment variables from .env file
 dotenv.config()
@@ -11,10 +29,342 @@ dotenv.config()
 const app = express()
 const PORT = process.env.PORT || 3000
 
+// Upper limit for the number of URLs in one batch request
+const MAX_BATCH_URLS = 100
+
+// Upper limit for the analyses of one run in self-consistency mode, every sample costs a full map step
+const MAX_SAMPLES = 5
+
+// Every route except /health needs an API key; API_AUTH=off is for local development only
+const apiKeys = new ApiKeyRegistry()
+const authDisabled = process.env.API_AUTH === 'off'
+if (authDisabled) {
+  console.warn('⚠️  API_AUTH=off: the API is open to anyone who can reach it')
+} else if (apiKeys.size === 0) {
+  console.warn('⚠️  No API keys configured (API_KEYS or API_KEYS_FILE), every request except /health is refused')
+}
+
+// Client used when authentication is off, without limits
+const ANONYMOUS_CLIENT = { client: 'anonymous', admin: true, reviewer: true, requests_per_minute: null, max_concurrent_jobs: null, analyses_per_day: null }
+
+// Requests, analyses, pages and LLM tokens per client
+const usageLedger = new UsageLedger()
+
+// Origins allowed to call the API from a browser, comma separated; * or unset allows any origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+if (corsOrigins.length === 0) {
+  console.warn('⚠️  CORS_ORIGINS not set: browsers on any origin may call the API')
+}
+
+// LLM provider is configured once, a bad configuration is reported per request
+let llmProvider = null
+let llmConfigError = null
+try {
+  llmProvider = createProviderFromEnv()
+} catch (error) {
+  llmConfigError = error
+  console.error(`⚠️  LLM provider not configured: ${error.message}`)
+}
+
+// Validated at startup, an invalid schema stops the server with a clear error
+const attestationSchema = loadAttestationSchema()
+
+// Every finished analysis is kept per subsidy so runs can be compared
+const analysisStore = new AnalysisStore()
+
+// Corrections from reviews, shared with the agents so the next analysis already knows them
+const reviewCorrections = new ReviewCorrections()
+
+// Hosts of the site adapters plus ALLOWED_HOSTS; private and local addresses are refused
+const urlPolicy = new UrlPolicy()
+
+// One fetcher for all jobs, so robots.txt and per-host rate limits are shared
+const fetcher = new PoliteFetcher({ urlPolicy: urlPolicy })
+
+// Analysis runs in the background, clients poll or stream job progress
+const jobManager = new AnalysisJobManager({
+  createAgent: (options) => new RVOAgentAIAutonomous({
+    llm: llmProvider,
+    fetcher: fetcher,
+    urlPolicy: urlPolicy,
+    cache: options.cache === false ? false : undefined,
+    budget: options.budget,
+    selfConsistency: options.selfConsistency,
+    corrections: reviewCorrections
+  }),
+  store: analysisStore
+})
+
+// Regulations found by discovery, updated as their analyses finish
+const catalogue = new SubsidyCatalogue()
+let catalogueDiscovery = null
+
+jobManager.on('job_finished', job => {
+  if (job.client) {
+    usageLedger.recordJob(job.client, job).catch(error => console.error(`⚠️  Could not record usage: ${error.message}`))
+  }
+  catalogue.recordAnalysis(job.url, {
+    error: job.error,
+    run_id: job.run_id,
+    analyzed_at: job.result ? job.result.analyzed_at : null,
+    metadata: job.result ? job.result.metadata : null
+  }).catch(error => console.error(`⚠️  Could not update the catalogue: ${error.message}`))
+})
+
 // Middleware
-app.use(cors())
+app.use(cors({
+  origin: corsOrigins.length === 0 || corsOrigins.includes('*') ? true : corsOrigins,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID'],
+  exposedHeaders: ['Retry-After']
+}))
 app.use(express.json())
 
+// API key authentication and per-client rate limit
+app.use((req, res, next) => {
+  if (req.path === '/health') return next()
+  
+  if (authDisabled) {
+    req.client = ANONYMOUS_CLIENT
+    return next()
+  }
+  
+  // EventSource cannot send headers, so the event stream also accepts ?api_key=
+  const key = apiKeyFromRequest(req) || (/^\/jobs\/[^/]+\/events$/.test(req.path) ? req.query.api_key : null)
+  const client = apiKeys.authenticate(key)
+  if (!client) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: key ? 'Unknown API key' : 'Provide an API key in the Authorization: Bearer or X-API-Key header'
+    })
+  }
+  
+  const rate = apiKeys.takeRequest(client)
+  if (!rate.allowed) {
+    res.set('Retry-After', String(rate.retry_after_seconds))
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: `At most ${client.requests_per_minute} requests per minute, retry after ${rate.retry_after_seconds} seconds`
+    })
+  }
+  
+  req.client = client
+  usageLedger.recordRequest(client.client).catch(error => console.error(`⚠️  Could not record usage: ${error.message}`))
+  next()
+})
+
+// Build the public JSON shape of a finished analysis
+function formatAnalysisResponse(result) {
+  return {
+    success: true,
+    url: result.url,
+    title: result.title,
+    analyzed_at: result.analyzed_at,
+    pages_analyzed: result.pages_analyzed,
+    attestations: result.requirements.attestations || [],
+    non_attestations: result.requirements.non_attestations || [],
+    needs_review: result.requirements.needs_review || [],
+    self_consistency: result.requirements.self_consistency || null,
+    rejected: result.requirements.rejected || [],
+    unverified_count: result.requirements.unverified_count || 0,
+    coverage: result.coverage || null,
+    metadata: result.metadata || null,
+    autofill: result.autofill || null,
+    fallbacks: result.fallbacks || [],
+    analysis_notes: result.requirements.analysis_notes || '',
+    crawl_tree: result.crawl_tree || null,
+    diagnostics: result.diagnostics || null,
+    usage: result.usage || null,
+    budget: result.budget || null,
+    review_corrections: result.review_corrections || null
+  }
+}
+
+// Build the public JSON shape of a job
+function formatJob(job) {
+  return {
+    job_id: job.id,
+    url: job.url,
+    status: job.status,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    progress: job.events.filter(event => event.type === 'progress').map(event => event.data),
+    result: job.result ? formatAnalysisResponse(job.result) : null,
+    error: job.error,
+    error_class: job.error_class,
+    diagnostics: job.result ? null : job.diagnostics,
+    usage: job.usage,
+    batch_id: job.batch_id,
+    subsidy_id: job.subsidy_id,
+    run_id: job.run_id
+  }
+}
+
+// Build the public JSON shape of a stored run
+function formatRun(run) {
+  return {
+    subsidy_id: run.subsidy_id,
+    run_id: run.run_id,
+    url: run.url,
+    title: run.title,
+    analyzed_at: run.analyzed_at,
+    pages_analyzed: run.pages_analyzed,
+    attestations: run.requirements.attestations || [],
+    non_attestations: run.requirements.non_attestations || [],
+    needs_review: run.requirements.needs_review || [],
+    self_consistency: run.requirements.self_consistency || null,
+    rejected: run.requirements.rejected || [],
+    unverified_count: run.requirements.unverified_count || 0,
+    coverage: run.coverage,
+    metadata: run.metadata || null,
+    autofill: run.autofill || null,
+    fallbacks: run.fallbacks || [],
+    analysis_notes: run.requirements.analysis_notes || '',
+    scraping_plan: run.scraping_plan,
+    crawl_tree: run.crawl_tree || null,
+    sources: run.sources,
+    diagnostics: run.diagnostics || null,
+    usage: run.usage || null,
+    budget: run.budget || null,
+    review_corrections: run.review_corrections || null,
+    review: run.review
+      ? { reviewed_at: run.review.reviewed_at, reviewers: run.review.reviewers, actions: run.review.audit.length }
+      : null
+  }
+}
+
+// Build the 202 response for a batch that has been queued
+function formatBatchStarted(batch) {
+  return {
+    success: true,
+    batch_id: batch.id,
+    status: batch.status,
+    concurrency: batch.concurrency,
+    status_url: `/batches/${batch.id}`,
+    jobs: batch.job_ids.map(id => {
+      const job = jobManager.getJob(id)
+      return { url: job.url, job_id: job.id, status_url: `/jobs/${job.id}` }
+    })
+  }
+}
+
+// Presentation request for an analysis in the requested format(s)
+function sendPresentationRequest(res, analysis, format) {
+  if (!PRESENTATION_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of ${PRESENTATION_FORMATS.join(', ')}`
+    })
+  }
+  
+  if (!attestationSchema) {
+    return notFound(res, 'Attestation schema', 'attestation-schema.json')
+  }
+  
+  res.json(buildPresentationRequest(attestationSchema, analysis, { format: format }))
+}
+
+// 404 response for an unknown subsidy or run
+function notFound(res, what, id) {
+  return res.status(404).json({
+    error: `${what} not found`,
+    message: `No ${what.toLowerCase()} with id ${id}`
+  })
+}
+
+// Run budget of a request body { max_tokens, max_cost_eur } as { budget, error }.
+// Without a budget the agent uses RUN_MAX_TOKENS and RUN_MAX_COST_EUR.
+function parseBudget(budget) {
+  if (budget === undefined || budget === null) return { budget: undefined, error: null }
+  
+  const { max_tokens: maxTokens, max_cost_eur: maxCostEur } = budget
+  for (const [name, value] of [['max_tokens', maxTokens], ['max_cost_eur', maxCostEur]]) {
+    if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+      return { budget: undefined, error: `budget.${name} must be a positive number` }
+    }
+  }
+  return { budget: { maxTokens: maxTokens, maxCostEur: maxCostEur }, error: null }
+}
+
+// Self-consistency mode of a request body { samples, review_threshold } as { selfConsistency, error }.
+// Without it the agent uses SELF_CONSISTENCY_SAMPLES and REVIEW_THRESHOLD.
+function parseSelfConsistency(selfConsistency) {
+  if (selfConsistency === undefined || selfConsistency === null) return { selfConsistency: undefined, error: null }
+  
+  const { samples, review_threshold: reviewThreshold } = selfConsistency
+  if (samples !== undefined && !(Number.isInteger(samples) && samples >= 1 && samples <= MAX_SAMPLES)) {
+    return { selfConsistency: undefined, error: `self_consistency.samples must be an integer from 1 to ${MAX_SAMPLES}` }
+  }
+  if (reviewThreshold !== undefined && !(typeof reviewThreshold === 'number' && reviewThreshold >= 0 && reviewThreshold <= 1)) {
+    return { selfConsistency: undefined, error: 'self_consistency.review_threshold must be a number from 0 to 1' }
+  }
+  return { selfConsistency: { samples: samples, reviewThreshold: reviewThreshold }, error: null }
+}
+
+// Check a URL against the URL policy before a job is queued.
+// Resolves to null when it is allowed, otherwise to { status, body }: 400 for a malformed URL, 403 for a refused one.
+async function checkUrlPolicy(url) {
+  try {
+    await urlPolicy.validate(url)
+    return null
+  } catch (error) {
+    // A DNS failure is left to the job (fetch_failed), the connection itself is still guarded
+    if (!(error instanceof UrlPolicyError)) return null
+    return {
+      status: error.code === 'invalid_url' ? 400 : 403,
+      body: {
+        error: error.code === 'invalid_url' ? 'Invalid URL' : 'URL not allowed',
+        error_class: 'url_blocked',
+        code: error.code,
+        url: url,
+        message: error.message
+      }
+    }
+  }
+}
+
+// Check the concurrency limit and daily quota of a client before queueing `jobs` analyses,
+// of which `slots` run at the same time. Resolves to null when allowed, otherwise to the 429 body.
+async function checkJobQuota(client, jobs, slots = jobs) {
+  if (client.max_concurrent_jobs && jobManager.activeSlots(client.client) + slots > client.max_concurrent_jobs) {
+    return {
+      error: 'Concurrency limit reached',
+      message: `At most ${client.max_concurrent_jobs} analyses of ${client.client} can run at the same time, wait for a running job to finish`
+    }
+  }
+  
+  if (client.analyses_per_day) {
+    const used = await usageLedger.analysesToday(client.client) + jobManager.pendingJobs(client.client)
+    if (used + jobs > client.analyses_per_day) {
+      return {
+        error: 'Daily quota exhausted',
+        message: `${client.client} may run ${client.analyses_per_day} analyses per day, ${Math.max(0, client.analyses_per_day - used)} left`
+      }
+    }
+  }
+  
+  return null
+}
+
+// Batch concurrency within what is left of the client's concurrency limit
+function batchConcurrency(client, requested) {
+  const concurrency = normalizeConcurrency(requested)
+  if (!client.max_concurrent_jobs) return concurrency
+  return Math.max(1, Math.min(concurrency, client.max_concurrent_jobs - jobManager.activeSlots(client.client)))
+}
+
+// Jobs and batches are only visible to the client that started them and to admins
+function ownedBy(req, owner) {
+  return req.client.admin || owner === req.client.client
+}
+
+// Write a single Server-Sent Event
+function writeSseEvent(res, event) {
+  res.write(`id: ${event.id}\n`)
+  res.write(`event: ${event.type}\n`)
+  res.write(`data: ${JSON.stringify(event.data)}\n\n`)
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -24,10 +374,12 @@ app.get('/health', (req, res) => {
   })
 })
 
-// Main analysis endpoint
+// Main analysis endpoint, starts a background job
 app.post('/analyze', async (req, res) => {
   try {
-    const { url } = req.body
+    const { url, cache } = req.body
+    const budget = parseBudget(req.body.budget)
+    const selfConsistency = parseSelfConsistency(req.body.self_consistency)
     
     // Validate input
     if (!url) {
@@ -37,43 +389,55 @@ app.post('/analyze', async (req, res) => {
       })
     }
     
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    if (typeof url !== 'string' || (!url.startsWith('http://') && !url.startsWith('https://'))) {
       return res.status(400).json({
         error: 'Invalid URL format',
         message: 'URL must start with http:// or https://'
       })
     }
     
-    console.log(`🔍 Analyzing URL: ${url}`)
+    if (budget.error) {
+      return res.status(400).json({ error: 'Invalid budget', message: budget.error })
+    }
+    
+    if (selfConsistency.error) {
+      return res.status(400).json({ error: 'Invalid self_consistency', message: selfConsistency.error })
+    }
     
-    // Run the analysis
-    const agent = new RVOAgentAIAutonomous()
-    const result = await agent.analyzeSubsidy(url)
+    const refused = await checkUrlPolicy(url)
+    if (refused) {
+      return res.status(refused.status).json(refused.body)
+    }
     
-    // Check for errors
-    if (result.error) {
-      return res.status(500).json({
-        error: 'Analysis failed',
-        message: result.error,
-        url: url
+    if (llmConfigError) {
+      return res.status(503).json({
+        error: 'LLM provider not configured',
+        error_class: 'llm_not_configured',
+        message: llmConfigError.message
       })
     }
     
-    // Return clean JSON response
-    const response = {
-      success: true,
-      url: result.url,
-      title: result.title,
-      analyzed_at: result.analyzed_at,
-      pages_analyzed: result.pages_analyzed,
-      attestations: result.requirements.attestations || [],
-      non_attestations: result.requirements.non_attestations || [],
-      analysis_notes: result.requirements.analysis_notes || ''
+    const overQuota = await checkJobQuota(req.client, 1)
+    if (overQuota) {
+      return res.status(429).json(overQuota)
     }
     
-    console.log(`✅ Analysis complete for ${url}: ${response.attestations.length} attestations, ${response.non_attestations.length} non-attestations`)
+    // cache: false re-downloads every page and document
+    const job = jobManager.createJob(url, {
+      cache: cache !== false,
+      budget: budget.budget,
+      selfConsistency: selfConsistency.selfConsistency,
+      client: req.client.client
+    })
+    console.log(`🔍 Analysis job ${job.id} queued for URL: ${url}`)
     
-    res.json(response)
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+      status_url: `/jobs/${job.id}`,
+      events_url: `/jobs/${job.id}/events`
+    })
     
   } catch (error) {
     console.error('❌ Server error:', error.message)
@@ -84,12 +448,642 @@ app.post('/analyze', async (req, res) => {
   }
 })
 
+// Batch analysis: many subsidy URLs with bounded concurrency, sharing the crawler
+app.post('/analyze/batch', async (req, res, next) => {
+  try {
+    const { urls, concurrency, cache } = req.body
+    const budget = parseBudget(req.body.budget)
+    const selfConsistency = parseSelfConsistency(req.body.self_consistency)
+    
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({
+        error: 'URLs are required',
+        message: 'Please provide a non-empty array of URLs in the request body'
+      })
+    }
+    
+    if (urls.length > MAX_BATCH_URLS) {
+      return res.status(400).json({
+        error: 'Too many URLs',
+        message: `A batch can contain at most ${MAX_BATCH_URLS} URLs`
+      })
+    }
+    
+    const invalid = urls.filter(url => typeof url !== 'string' || !isHttpUrl(url))
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        message: 'Every URL must start with http:// or https://',
+        invalid_urls: invalid
+      })
+    }
+    
+    if (budget.error) {
+      return res.status(400).json({ error: 'Invalid budget', message: budget.error })
+    }
+    
+    if (selfConsistency.error) {
+      return res.status(400).json({ error: 'Invalid self_consistency', message: selfConsistency.error })
+    }
+    
+    // The whole batch is refused when one URL is not allowed, so nothing runs half
+    const refused = (await Promise.all(urls.map(checkUrlPolicy))).filter(Boolean)
+    if (refused.length > 0) {
+      return res.status(refused.every(entry => entry.status === 400) ? 400 : 403).json({
+        error: 'URL not allowed',
+        error_class: 'url_blocked',
+        message: `${refused.length} of the URLs are not allowed by the URL policy`,
+        blocked_urls: refused.map(entry => ({ url: entry.body.url, code: entry.body.code, message: entry.body.message }))
+      })
+    }
+    
+    if (llmConfigError) {
+      return res.status(503).json({
+        error: 'LLM provider not configured',
+        error_class: 'llm_not_configured',
+        message: llmConfigError.message
+      })
+    }
+    
+    const uniqueUrls = [...new Set(urls)]
+    const batchSize = batchConcurrency(req.client, concurrency)
+    const overQuota = await checkJobQuota(req.client, uniqueUrls.length, batchSize)
+    if (overQuota) {
+      return res.status(429).json(overQuota)
+    }
+    
+    const batch = jobManager.createBatch(uniqueUrls, {
+      concurrency: batchSize,
+      jobOptions: {
+        cache: cache !== false,
+        budget: budget.budget,
+        selfConsistency: selfConsistency.selfConsistency,
+        client: req.client.client
+      }
+    })
+    console.log(`📦 Batch ${batch.id} queued with ${batch.job_ids.length} URLs (concurrency ${batch.concurrency})`)
+    
+    res.status(202).json(formatBatchStarted(batch))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Catalogue of regulations, with the state of the last discovery
+app.get('/catalogue', async (req, res, next) => {
+  try {
+    const { status, analysis } = req.query
+    if (status && !CATALOGUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${CATALOGUE_STATUSES.join(', ')}`
+      })
+    }
+    
+    const entries = await catalogue.list({ status: status, analysis: analysis })
+    res.json({ discovery: catalogueDiscovery, count: entries.length, entries: entries })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Discover regulations from the overview pages and/or sitemap in the background.
+// Admins only: a site-wide crawl is not counted against the quotas of a client
+app.post('/catalogue/discover', (req, res) => {
+  if (!req.client.admin) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Discovery is only available to admin API keys' })
+  }
+  
+  const { sources = ['overview', 'sitemap'], inspect, site = 'rvo' } = req.body
+  const siteAdapter = adapterByName(site)
+  
+  if (!Array.isArray(sources) || sources.length === 0 || sources.some(source => !['overview', 'sitemap'].includes(source))) {
+    return res.status(400).json({
+      error: 'Invalid sources',
+      message: 'sources must contain "overview" and/or "sitemap"'
+    })
+  }
+  
+  if (!siteAdapter || !siteAdapter.overviewUrl) {
+    return res.status(400).json({
+      error: 'Invalid site',
+      message: `site must be one of ${SITE_ADAPTERS.filter(adapter => adapter.overviewUrl).map(adapter => adapter.name).join(', ')}`
+    })
+  }
+  
+  if (catalogueDiscovery && catalogueDiscovery.status === 'running') {
+    return res.status(409).json({
+      error: 'Discovery already running',
+      message: `Discovery started at ${catalogueDiscovery.started_at} is still running`
+    })
+  }
+  
+  const state = { status: 'running', site: siteAdapter.name, sources: sources, started_at: new Date().toISOString(), finished_at: null, found: null, added: null, updated: null, error: null }
+  catalogueDiscovery = state
+  
+  // Discovery only fetches pages, it shares the crawler politeness with the analysis jobs
+  const agent = new RVOAgentAIAutonomous({ fetcher: fetcher, urlPolicy: urlPolicy, siteAdapter: siteAdapter })
+  const discovery = new CatalogueDiscovery(agent, { siteAdapter: siteAdapter, inspect: inspect !== false })
+  discovery.discover(sources)
+    .then(async found => {
+      const { added, updated } = await catalogue.register(found)
+      Object.assign(state, { status: 'completed', found: found.length, added: added, updated: updated })
+    })
+    .catch(error => Object.assign(state, { status: 'failed', error: error.message }))
+    .finally(() => { state.finished_at = new Date().toISOString() })
+  
+  res.status(202).json({ success: true, discovery: state, status_url: '/catalogue' })
+})
+
+// Analyze catalogued regulations that were not analyzed yet, as a batch
+app.post('/catalogue/analyze', async (req, res, next) => {
+  try {
+    const { status, limit, concurrency, cache } = req.body
+    
+    if (status !== undefined && !CATALOGUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${CATALOGUE_STATUSES.join(', ')}`
+      })
+    }
+    
+    if (llmConfigError) {
+      return res.status(503).json({
+        error: 'LLM provider not configured',
+        error_class: 'llm_not_configured',
+        message: llmConfigError.message
+      })
+    }
+    
+    const entries = await catalogue.list({ status: status, analysis: 'pending' })
+    const urls = entries.slice(0, Math.min(Number(limit) || MAX_BATCH_URLS, MAX_BATCH_URLS)).map(entry => entry.url)
+    if (urls.length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to analyze',
+        message: 'The catalogue has no regulations waiting for analysis. Run POST /catalogue/discover first.'
+      })
+    }
+    
+    const batchSize = batchConcurrency(req.client, concurrency)
+    const overQuota = await checkJobQuota(req.client, urls.length, batchSize)
+    if (overQuota) {
+      return res.status(429).json(overQuota)
+    }
+    
+    const batch = jobManager.createBatch(urls, { concurrency: batchSize, jobOptions: { cache: cache !== false, client: req.client.client } })
+    console.log(`📚 Catalogue batch ${batch.id} queued with ${urls.length} regulations`)
+    
+    res.status(202).json(formatBatchStarted(batch))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Batch status: per-URL results and the aggregate report
+app.get('/batches/:id', (req, res) => {
+  const batch = jobManager.getBatch(req.params.id)
+  if (!batch || !ownedBy(req, batch.client)) {
+    return notFound(res, 'Batch', req.params.id)
+  }
+  res.json(jobManager.describeBatch(batch))
+})
+
+// Eligibility check: match wallet attestations against a stored analysis
+app.post('/check', async (req, res, next) => {
+  try {
+    const { url, subsidy_id, run_id, attestations } = req.body
+    
+    if (!url && !subsidy_id) {
+      return res.status(400).json({
+        error: 'URL or subsidy_id is required',
+        message: 'Please provide the subsidy url or the subsidy_id of a stored analysis'
+      })
+    }
+    
+    if (!attestations || typeof attestations !== 'object' || Array.isArray(attestations)) {
+      return res.status(400).json({
+        error: 'Attestations are required',
+        message: 'Please provide attestations as an object of attestation key/value pairs'
+      })
+    }
+    
+    // Checked before the store lookup, which derives the subsidy id from the URL
+    if (url !== undefined && (typeof url !== 'string' || !isHttpUrl(url))) {
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        message: 'URL must start with http:// or https://'
+      })
+    }
+    
+    let analysis
+    if (subsidy_id && run_id) {
+      analysis = await analysisStore.getRun(subsidy_id, run_id)
+    } else if (subsidy_id) {
+      analysis = await analysisStore.getLatestRun(subsidy_id)
+    } else {
+      analysis = await analysisStore.getLatestRunForUrl(url)
+    }
+    
+    if (analysis) {
+      return res.json(checkEligibility(attestationSchema, analysis, attestations))
+    }
+    
+    if (!url) {
+      return notFound(res, 'Analysis', run_id || subsidy_id)
+    }
+    
+    const refused = await checkUrlPolicy(url)
+    if (refused) {
+      return res.status(refused.status).json(refused.body)
+    }
+    
+    if (llmConfigError) {
+      return res.status(503).json({
+        error: 'LLM provider not configured',
+        error_class: 'llm_not_configured',
+        message: llmConfigError.message
+      })
+    }
+    
+    const overQuota = await checkJobQuota(req.client, 1)
+    if (overQuota) {
+      return res.status(429).json(overQuota)
+    }
+    
+    // Nothing stored yet: analyze first, the client repeats the check when the job is done
+    const job = jobManager.createJob(url, { cache: true, client: req.client.client })
+    res.status(202).json({
+      success: true,
+      status: 'analysis_started',
+      message: 'No stored analysis for this subsidy yet. Repeat the check when the analysis job has completed.',
+      job_id: job.id,
+      status_url: `/jobs/${job.id}`,
+      events_url: `/jobs/${job.id}/events`
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Wallet presentation request (Presentation Exchange and/or DCQL) for a stored analysis
+app.post('/presentation-request', async (req, res, next) => {
+  try {
+    const { url, subsidy_id, run_id, format = 'both' } = req.body
+    
+    if (!url && !subsidy_id) {
+      return res.status(400).json({
+        error: 'URL or subsidy_id is required',
+        message: 'Please provide the subsidy url or the subsidy_id of a stored analysis'
+      })
+    }
+
+    // Checked before the store lookup, which derives the subsidy id from the URL
+    if (url !== undefined && (typeof url !== 'string' || !isHttpUrl(url))) {
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        message: 'URL must start with http:// or https://'
+      })
+    }
+
+    let analysis
+    if (subsidy_id && run_id) {
+      analysis = await analysisStore.getRun(subsidy_id, run_id)
+    } else if (subsidy_id) {
+      analysis = await analysisStore.getLatestRun(subsidy_id)
+    } else {
+      analysis = await analysisStore.getLatestRunForUrl(url)
+    }
+    
+    if (!analysis) {
+      return notFound(res, 'Analysis', run_id || subsidy_id || url)
+    }
+    
+    sendPresentationRequest(res, analysis, format)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Job status and result
+app.get('/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id)
+  
+  if (!job || !ownedBy(req, job.client)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No analysis job with id ${req.params.id}`
+    })
+  }
+  
+  // A failed job answers with the status of its error class, e.g. 502 when the site was unreachable
+  res.status(job.status === 'failed' ? ERROR_CLASSES[job.error_class].http_status : 200).json(formatJob(job))
+})
+
+// Job progress as Server-Sent Events
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id)
+  
+  if (!job || !ownedBy(req, job.client)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No analysis job with id ${req.params.id}`
+    })
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  })
+  
+  // Replay what happened so far, skipping events the client already saw
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0
+  job.events.filter(event => event.id > lastEventId).forEach(event => writeSseEvent(res, event))
+  
+  const finish = () => {
+    res.write(`event: done\ndata: ${JSON.stringify(formatJob(job))}\n\n`)
+    res.end()
+  }
+  
+  if (jobManager.isFinished(job)) {
+    return finish()
+  }
+  
+  const unsubscribe = jobManager.subscribe(job.id, event => {
+    writeSseEvent(res, event)
+    if (jobManager.isFinished(job)) {
+      unsubscribe()
+      finish()
+    }
+  })
+  
+  req.on('close', unsubscribe)
+})
+
+// Known subsidies
+app.get('/subsidies', async (req, res, next) => {
+  try {
+    res.json({ subsidies: await analysisStore.listSubsidies() })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Latest analysis of a subsidy
+app.get('/subsidies/:id', async (req, res, next) => {
+  try {
+    const subsidy = await analysisStore.getSubsidy(req.params.id)
+    if (!subsidy) {
+      return notFound(res, 'Subsidy', req.params.id)
+    }
+    
+    const latest = await analysisStore.getLatestRun(subsidy.id)
+    res.json({ ...subsidy, latest: latest ? formatRun(latest) : null })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Past runs of a subsidy
+app.get('/subsidies/:id/runs', async (req, res, next) => {
+  try {
+    const subsidy = await analysisStore.getSubsidy(req.params.id)
+    if (!subsidy) {
+      return notFound(res, 'Subsidy', req.params.id)
+    }
+    
+    res.json({ subsidy_id: subsidy.id, runs: await analysisStore.listRuns(subsidy.id) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// A single stored run
+app.get('/subsidies/:id/runs/:runId', async (req, res, next) => {
+  try {
+    const run = await analysisStore.getRun(req.params.id, req.params.runId)
+    if (!run) {
+      return notFound(res, 'Run', req.params.runId)
+    }
+    
+    res.json(formatRun(run))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Review of a stored run: approve, reject, edit, split or add requirements. Every action is kept
+// in the audit trail of the run; corrections are given to later analyses of this and similar regulations.
+app.post('/subsidies/:id/runs/:runId/review', async (req, res, next) => {
+  try {
+    if (!req.client.reviewer) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Reviews need an API key with reviewer or admin rights' })
+    }
+    
+    const attestationKeys = attestationSchema ? Object.keys(attestationSchema.attestation_schema) : null
+    let entries = []
+    const run = await analysisStore.updateRun(req.params.id, req.params.runId, current => {
+      const reviewed = applyReview(current, { ...req.body, client: req.client.client }, attestationKeys)
+      entries = reviewed.entries
+      return reviewed.run
+    })
+    if (!run) {
+      return notFound(res, 'Run', req.params.runId)
+    }
+    
+    const corrections = await reviewCorrections.addFromReview(run, entries)
+    console.log(`🧑‍⚖️ Review of run ${run.run_id} by ${entries[0].reviewer}: ${entries.map(entry => entry.action).join(', ')}`)
+    
+    res.json({ success: true, audit: entries, corrections: corrections, run: formatRun(run) })
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return res.status(error.code === 'requirement_not_found' ? 404 : 400).json({
+        error: 'Invalid review',
+        code: error.code,
+        message: error.message
+      })
+    }
+    next(error)
+  }
+})
+
+// Audit trail of the reviews of a stored run, with what is still waiting for review
+app.get('/subsidies/:id/runs/:runId/review', async (req, res, next) => {
+  try {
+    const run = await analysisStore.getRun(req.params.id, req.params.runId)
+    if (!run) {
+      return notFound(res, 'Run', req.params.runId)
+    }
+    
+    res.json({
+      subsidy_id: run.subsidy_id,
+      run_id: run.run_id,
+      reviewed_at: run.review ? run.review.reviewed_at : null,
+      reviewers: run.review ? run.review.reviewers : [],
+      needs_review: run.requirements.needs_review || [],
+      rejected: run.requirements.rejected || [],
+      audit: run.review ? run.review.audit : []
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Corrections from reviews that later analyses get in their prompt, ?subsidy_id= for one subsidy
+app.get('/corrections', async (req, res, next) => {
+  try {
+    res.json({ corrections: await reviewCorrections.list(req.query.subsidy_id || null) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Diff between two runs, defaults to the previous run against the latest
+app.get('/subsidies/:id/diff', async (req, res, next) => {
+  try {
+    const subsidy = await analysisStore.getSubsidy(req.params.id)
+    if (!subsidy) {
+      return notFound(res, 'Subsidy', req.params.id)
+    }
+    
+    const runIds = await analysisStore.listRunIds(subsidy.id)
+    const toId = req.query.to || runIds[runIds.length - 1]
+    if (toId && !runIds.includes(toId)) {
+      return notFound(res, 'Run', toId)
+    }
+    const fromId = req.query.from || runIds[runIds.indexOf(toId) - 1]
+    
+    if (!fromId) {
+      return res.status(400).json({
+        error: 'Not enough runs',
+        message: 'A diff needs two runs, pass ?from=<run_id>&to=<run_id> or analyze the subsidy again'
+      })
+    }
+    
+    const fromRun = await analysisStore.getRun(subsidy.id, fromId)
+    const toRun = await analysisStore.getRun(subsidy.id, toId)
+    if (!fromRun) {
+      return notFound(res, 'Run', fromId)
+    }
+    if (!toRun) {
+      return notFound(res, 'Run', toId)
+    }
+    
+    res.json(diffAnalysisRuns(fromRun, toRun))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Application deadlines of a subsidy as an iCalendar feed to subscribe to
+app.get('/subsidies/:id/calendar.ics', async (req, res, next) => {
+  try {
+    const run = await analysisStore.getLatestRun(req.params.id)
+    if (!run) {
+      return notFound(res, 'Subsidy', req.params.id)
+    }
+    
+    res.type('text/calendar; charset=utf-8').send(toICalendar(run))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Wallet presentation request for the latest analysis of a subsidy
+app.get('/subsidies/:id/presentation-request', async (req, res, next) => {
+  try {
+    const analysis = await analysisStore.getLatestRun(req.params.id)
+    if (!analysis) {
+      return notFound(res, 'Subsidy', req.params.id)
+    }
+    
+    sendPresentationRequest(res, analysis, req.query.format || 'both')
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Attestation schema as defined in attestation-schema.json
+app.get('/attestation-schema', (req, res) => {
+  if (!attestationSchema) {
+    return notFound(res, 'Attestation schema', 'attestation-schema.json')
+  }
+  res.json(attestationSchema)
+})
+
+// Attestation schema as a standard JSON Schema, for wallet integrations
+app.get('/attestation-schema/json-schema', (req, res) => {
+  if (!attestationSchema) {
+    return notFound(res, 'Attestation schema', 'attestation-schema.json')
+  }
+  res.type('application/schema+json').send(JSON.stringify(toJsonSchema(attestationSchema), null, 2))
+})
+
+// Usage per client for admins: requests, analyses, pages fetched and LLM tokens, per day since ?since=YYYY-MM-DD
+app.get('/admin/usage', async (req, res, next) => {
+  try {
+    if (!req.client.admin) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Usage is only available to admin API keys' })
+    }
+    
+    const since = req.query.since || null
+    const limits = new Map(apiKeys.describeClients().map(client => [client.client, client]))
+    const usage = await usageLedger.list(since)
+    res.json({
+      since: since,
+      clients: usage.map(entry => ({
+        ...entry,
+        limits: limits.get(entry.client) || null,
+        active_slots: jobManager.activeSlots(entry.client)
+      }))
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Usage of one client
+app.get('/admin/usage/:client', async (req, res, next) => {
+  try {
+    if (!req.client.admin) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Usage is only available to admin API keys' })
+    }
+    
+    const usage = await usageLedger.getClient(req.params.client, req.query.since || null)
+    if (!usage) {
+      return notFound(res, 'Client usage', req.params.client)
+    }
+    const limits = apiKeys.describeClients().find(client => client.client === req.params.client) || null
+    res.json({ ...usage, limits: limits, active_slots: jobManager.activeSlots(req.params.client) })
+  } catch (error) {
+    next(error)
+  }
+})
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('❌ Unhandled error:', err)
-  res.status(500).json({
-    error: 'Internal server error',
-    message: 'An unexpected error occurred'
+  const classified = classifyError(err)
+  // Client errors of middleware like body-parser (malformed JSON, body too large) keep their 4xx status
+  const clientStatus = err.status || err.statusCode
+  if (classified.error_class === 'internal' && Number.isInteger(clientStatus) && clientStatus >= 400 && clientStatus < 500) {
+    return res.status(clientStatus).json({
+      error: err.type === 'entity.parse.failed' ? 'Invalid JSON' : 'Bad request',
+      type: err.type || null,
+      message: err.expose ? err.message : 'The request could not be processed'
+    })
+  }
+  if (classified.error_class === 'internal') {
+    console.error('❌ Unhandled error:', err)
+    return res.status(500).json({
+      error: 'Internal server error',
+      error_class: 'internal',
+      message: 'An unexpected error occurred'
+    })
+  }
+  res.status(classified.http_status).json({
+    error: err.name,
+    error_class: classified.error_class,
+    message: classified.message
   })
 })
 
@@ -108,9 +1102,18 @@ app.listen(PORT, () => {
   console.log(`📍 Server running on port ${PORT}`)
   console.log(`🌐 Health check: http://localhost:${PORT}/health`)
   console.log(`🔍 Analysis endpoint: POST http://localhost:${PORT}/analyze`)
+  console.log(`📦 Batch analysis: POST http://localhost:${PORT}/analyze/batch (status: /batches/:id)`)
+  console.log(`📡 Job status: GET http://localhost:${PORT}/jobs/:id (events: /jobs/:id/events)`)
+  console.log(`🗂️  Stored analyses: GET http://localhost:${PORT}/subsidies`)
+  console.log(`📚 Catalogue: GET http://localhost:${PORT}/catalogue (discover: POST /catalogue/discover)`)
+  console.log(`📅 Deadlines: GET http://localhost:${PORT}/subsidies/:id/calendar.ics`)
+  console.log(`✅ Eligibility check: POST http://localhost:${PORT}/check`)
+  console.log(`🪪 Wallet request: POST http://localhost:${PORT}/presentation-request`)
+  console.log(`📊 Usage per client: GET http://localhost:${PORT}/admin/usage (admin key)`)
   console.log('')
   console.log('📝 Usage:')
   console.log('  curl -X POST http://localhost:3000/analyze \\')
+  console.log('    -H "Authorization: Bearer <api-key>" \\')
   console.log('    -H "Content-Type: application/json" \\')
   console.log('    -d \'{"url": "https://www.rvo.nl/onderwerpen/dhi-subsidieregeling"}\'')
   console.log('')
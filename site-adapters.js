@@ -0,0 +1,151 @@
+/**
+ * Site adapters describe how to crawl one kind of subsidy website: which hosts
+ * belong to it, where the content is on a page, which links are worth following
+ * and which URLs are documents. The adapter is picked from the input URL.
+ */
+
+// Removed from every page before the text is extracted
+const DEFAULT_REMOVE_SELECTORS = ['nav', 'header', 'footer', 'script', 'style', 'noscript', '.navigation', '.menu', '.sidebar', '.breadcrumb', '[role="navigation"]']
+
+const DEFAULT_CONTENT_SELECTORS = ['main', '[role="main"]', '#main-content', '#content', 'article']
+
+const DEFAULT_DOCUMENT_PATTERNS = [/\.(pdf|docx?|xlsx?|pptx?|od[tsp]|rtf|txt)(?:$|[?#])/i, /[?&]download(?:[=&]|$)/i]
+
+// Pages that never hold requirements: search, login, sharing and contact pages
+const DEFAULT_EXCLUDE_LINKS = [/\/(zoeken|search|inloggen|login|contact|nieuwsbrief|cookies?|privacy)(?:\/|$|\?)/i, /[?&](share|print)=/i]
+
+class SiteAdapter {
+    /**
+     * Options:
+     * - name: adapter name, e.g. 'rvo'
+     * - hosts: hostnames of the site, subdomains included (e.g. ['rvo.nl'] matches www.rvo.nl)
+     * - contentSelectors: content root candidates, the first one on the page is used
+     * - removeSelectors: elements removed from the content root (menus, footers)
+     * - excludeLinks: RegExps for links that are never followed
+     * - documentPatterns: RegExps for URLs that are documents rather than pages
+     * - overviewUrl, regulationPath: where catalogue discovery starts and what a regulation page looks like
+     */
+    constructor(options) {
+        this.name = options.name
+        this.hosts = options.hosts || []
+        this.contentSelectors = options.contentSelectors || DEFAULT_CONTENT_SELECTORS
+        this.removeSelectors = options.removeSelectors || DEFAULT_REMOVE_SELECTORS
+        this.excludeLinks = options.excludeLinks || DEFAULT_EXCLUDE_LINKS
+        this.documentPatterns = options.documentPatterns || DEFAULT_DOCUMENT_PATTERNS
+        this.overviewUrl = options.overviewUrl || null
+        this.regulationPath = options.regulationPath || null
+    }
+
+    /**
+     * Whether a hostname belongs to this site (exact or a subdomain)
+     */
+    matchesHost(hostname) {
+        const host = hostname.toLowerCase()
+        return this.hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))
+    }
+
+    /**
+     * Whether a URL is an http(s) URL on one of the site's hosts
+     */
+    isAllowedUrl(url) {
+        try {
+            const parsed = new URL(url)
+            return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && this.matchesHost(parsed.hostname)
+        } catch (error) {
+            return false
+        }
+    }
+
+    /**
+     * Whether a URL points at a document (PDF, DOCX, ...) instead of a page
+     */
+    isDocumentUrl(url) {
+        return this.documentPatterns.some(pattern => pattern.test(url))
+    }
+
+    /**
+     * Whether a page link should be offered to the crawl
+     */
+    shouldFollowLink(url) {
+        return this.isAllowedUrl(url) && !this.isDocumentUrl(url) && !this.excludeLinks.some(pattern => pattern.test(url))
+    }
+
+    /**
+     * Content root of a page with menus and footers removed, the body when no selector matches
+     */
+    contentRoot($) {
+        const selector = this.contentSelectors.find(candidate => $(candidate).length > 0)
+        const root = selector ? $(selector).first() : $('body')
+        root.find(this.removeSelectors.join(', ')).remove()
+        return root
+    }
+}
+
+/**
+ * Resolve a link against the page URL, null for anchors, mailto: and other non-http links
+ */
+function resolveLink(href, pageUrl) {
+    if (!href || href.startsWith('#')) return null
+
+    try {
+        const url = new URL(href, pageUrl)
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null
+        url.hash = ''
+        return url.toString()
+    } catch (error) {
+        return null
+    }
+}
+
+const SITE_ADAPTERS = [
+    new SiteAdapter({
+        name: 'rvo',
+        hosts: ['rvo.nl'],
+        contentSelectors: ['main', '#main-content', '[role="main"]'],
+        excludeLinks: [...DEFAULT_EXCLUDE_LINKS, /\/(english|nieuws|evenementen|over-ons)(?:\/|$)/i],
+        // Drupal uploads, without the images and icons that live next to the documents
+        documentPatterns: [...DEFAULT_DOCUMENT_PATTERNS, /\/sites\/default\/files\/.+\.(pdf|docx?|xlsx?|pptx?|od[tsp])(\?|$)/i],
+        overviewUrl: 'https://www.rvo.nl/subsidies-financiering',
+        regulationPath: /^\/subsidies-financiering\/[^/]+$/
+    }),
+    new SiteAdapter({
+        name: 'ondernemersplein',
+        hosts: ['ondernemersplein.nl', 'ondernemersplein.kvk.nl'],
+        excludeLinks: [...DEFAULT_EXCLUDE_LINKS, /\/(ondernemen-in-|english)(?:\/|$)/i],
+        overviewUrl: 'https://ondernemersplein.kvk.nl/subsidies-en-regelingen/',
+        regulationPath: /^\/[^/]+-(subsidie|regeling)[^/]*$/
+    }),
+    new SiteAdapter({
+        name: 'provincie',
+        hosts: [
+            'drenthe.nl', 'flevoland.nl', 'fryslan.frl', 'gelderland.nl', 'provinciegroningen.nl', 'limburg.nl',
+            'brabant.nl', 'noord-holland.nl', 'overijssel.nl', 'provincie-utrecht.nl', 'zeeland.nl', 'zuid-holland.nl'
+        ]
+    }),
+    new SiteAdapter({
+        name: 'overheid-regelgeving',
+        hosts: ['wetten.overheid.nl', 'lokaleregelgeving.overheid.nl', 'zoek.officielebekendmakingen.nl'],
+        contentSelectors: ['#content', 'main', 'article']
+    })
+]
+
+/**
+ * Adapter for a URL. Sites without a dedicated adapter (e.g. a municipality)
+ * get a generic adapter limited to the host of the URL.
+ */
+function adapterForUrl(url, adapters = SITE_ADAPTERS) {
+    const hostname = new URL(url).hostname.toLowerCase()
+    const known = adapters.find(adapter => adapter.matchesHost(hostname))
+    if (known) return known
+
+    return new SiteAdapter({ name: 'generic', hosts: [hostname.replace(/^www\./, '')] })
+}
+
+/**
+ * Adapter by name, null when unknown
+ */
+function adapterByName(name, adapters = SITE_ADAPTERS) {
+    return adapters.find(adapter => adapter.name === name) || null
+}
+
+export { SiteAdapter, SITE_ADAPTERS, adapterForUrl, adapterByName, resolveLink }
@@ -1,38 +1,531 @@
 #!/usr/bin/env node
 
+import fs from 'fs'
+import { parseArgs } from 'util'
 import dotenv from 'dotenv'
 import { RVOAgentAIAutonomous } from "./agent-ai-autonomous.js"
+import { createProviderFromEnv } from "./llm-providers.js"
+import { AnalysisStore } from "./analysis-store.js"
+import { loadAttestationSchema } from "./attestation-schema.js"
+import { checkEligibility } from "./eligibility.js"
+import { PRESENTATION_FORMATS, buildPresentationRequest } from "./presentation-request.js"
+import { AnalysisJobManager } from "./analysis-jobs.js"
+import { PoliteFetcher } from "./polite-fetcher.js"
+import { parseUrlList } from "./batch-runner.js"
+import { SubsidyCatalogue, CATALOGUE_STATUSES } from "./subsidy-catalogue.js"
+import { CatalogueDiscovery } from "./catalogue-discovery.js"
+import { SITE_ADAPTERS, adapterByName } from "./site-adapters.js"
+import { ERROR_CLASSES, classifyError } from "./analysis-errors.js"
 
-// Load environment variables from .env file
-dotenv.config()
+// Load environment variables from .env file (quiet, stdout may carry JSON)
+dotenv.config({ quiet: true })
 
 /**
  * AI-Autonomous RVO Agent Start Script
- * Usage: node start-ai-autonomous.js <subsidy-url>
+ * Usage: node start-ai-autonomous.js <subsidy-url> [--no-cache] [--max-tokens <n>] [--max-cost <euro>] [--samples <n>]
+ *        node start-ai-autonomous.js check <subsidy-url> --attestations <wallet.json> [--fresh]
+ *        node start-ai-autonomous.js presentation <subsidy-url> [--format pe|dcql|both]
+ *        node start-ai-autonomous.js batch [urls.txt|-] [--concurrency <n>] [--no-cache] [--max-tokens <n>] [--max-cost <euro>] [--samples <n>]
+ *        node start-ai-autonomous.js batch --catalogue [--status open] [--limit <n>]
+ *        node start-ai-autonomous.js discover [--site rvo|ondernemersplein] [--source overview|sitemap|both] [--no-inspect]
+ *        node start-ai-autonomous.js catalogue [--status open|closed|upcoming|unknown]
  * 
  * This version lets the AI decide what pages to scrape and analyze
  */
 
-async function main() {
-  const url = process.argv[2]
+/**
+ * Confidence of a requirement in self-consistency mode, e.g. "🟡 67% (2/3 samples)"; empty without one
+ */
+function confidenceLabel(req) {
+  if (req.confidence === undefined) return ''
+  // Items in needs_review carry the category they were put in
+  const icon = req.category ? '🔴' : req.confidence === 1 ? '🟢' : '🟡'
+  const agreeing = Math.round(req.confidence * req.agreement.samples)
+  return ` ${icon} ${Math.round(req.confidence * 100)}% (${agreeing}/${req.agreement.samples} samples)`
+}
 
-  if (!url) {
-    console.log('🤖 AI-Autonomous RVO Agent')
-    console.log('==========================\n')
-    console.log('Usage: node start-ai-autonomous.js <subsidy-url>')
+/**
+ * Print one requirement with its source evidence
+ */
+function printRequirement(req, index) {
+  const marker = req.verified ? '✅' : '⚠️  unverified'
+  console.log(`   ${index + 1}. ${req.name} ${marker}${confidenceLabel(req)}`)
+  if (req.category) {
+    console.log(`      Classified as attestation in ${req.agreement.attestation}, as non-attestation in ${req.agreement.non_attestation} of ${req.agreement.samples} samples`)
+  }
+  if (req.source_url) {
+    console.log(`      Source: ${req.source_url} [${req.document_type || 'unknown'}]`)
+  }
+  if (req.section) {
+    console.log(`      Section: ${req.section}`)
+  }
+  if (req.quote) {
+    console.log(`      Quote: "${req.quote}"`)
+  }
+}
+
+/**
+ * Print the crawl tree, one line per visited (or skipped) URL
+ */
+function printCrawlTree(node, indent = '   ') {
+  const icon = node.kind === 'document' ? '📎' : '📄'
+  const type = node.document_type ? ` ${node.document_type}` : ''
+  const failure = node.error ? ` (${node.failure_reason || node.error_class}: ${node.error})` : ''
+  const form = node.form_fields ? ` 📝 ${node.form_fields} form fields` : ''
+  console.log(`${indent}${icon} ${node.url} [${node.status}${type}]${failure}${form}${node.reason ? ` - ${node.reason}` : ''}`)
+  node.children.forEach(child => printCrawlTree(child, indent + '   '))
+}
+
+/**
+ * Print the facts about the regulation, leaving out what was not found
+ */
+function printMetadata(metadata) {
+  const euro = amount => `€ ${amount.toLocaleString('nl-NL')}`
+
+  metadata.application_windows.forEach(window => {
+    const closes = window.closes_on ? `${window.closes_on}${window.closes_at_time ? ` ${window.closes_at_time}` : ''}` : 'unknown'
+    console.log(`   📅 Applications: ${window.opens_on || 'unknown'} to ${closes}${window.description ? ` (${window.description})` : ''}`)
+  })
+  if (metadata.total_budget_eur !== null) console.log(`   💶 Total budget: ${euro(metadata.total_budget_eur)}`)
+  if (metadata.max_amount_per_applicant_eur !== null) console.log(`   💶 Max per applicant: ${euro(metadata.max_amount_per_applicant_eur)}`)
+  if (metadata.subsidy_percentage !== null) console.log(`   📈 Subsidy percentage: ${metadata.subsidy_percentage}%`)
+  if (metadata.target_groups.length > 0) console.log(`   👥 Target groups: ${metadata.target_groups.join(', ')}`)
+  if (metadata.sectors.length > 0) console.log(`   🏭 Sectors: ${metadata.sectors.join(', ')}`)
+  if (metadata.legal_basis.length > 0) console.log(`   ⚖️  Legal basis: ${metadata.legal_basis.join('; ')}`)
+}
+
+/**
+ * Print which form fields can be prefilled from an attestation and which need manual input
+ */
+function printAutofill(autofill) {
+  autofill.forms.forEach(form => console.log(`   📝 ${form.title} (${form.type}, ${form.fields} fields)`))
+  autofill.prefill.forEach(entry => {
+    console.log(`   ✅ ${entry.label}${entry.required ? ' *' : ''} ← ${entry.attestation}`)
+  })
+  autofill.manual.forEach(entry => {
+    console.log(`   ✍️  ${entry.label}${entry.required ? ' *' : ''} (${entry.reason === 'signature' ? 'signature' : 'manual input'})`)
+  })
+}
+
+/**
+ * Print the diagnostics summary and every URL or step that failed
+ */
+function printDiagnostics(diagnostics) {
+  const summary = diagnostics.summary
+  const statuses = Object.entries(summary.by_http_status).map(([status, count]) => `${status}: ${count}`).join(', ')
+  console.log(`   🌐 URLs: ${summary.urls_attempted} attempted, ${summary.urls_succeeded} parsed, ${summary.urls_failed} failed${statuses ? ` (HTTP ${statuses})` : ''}`)
+  diagnostics.urls.filter(entry => entry.error_class).forEach(entry => {
+    console.log(`   ❌ ${entry.method} ${entry.url} [${entry.error_class}] ${entry.error}`)
+  })
+  diagnostics.errors.forEach(entry => {
+    console.log(`   ⚠️  ${entry.phase}${entry.chunk ? ` chunk ${entry.chunk}` : ''} [${entry.error_class}] ${entry.error}`)
+  })
+}
+
+/**
+ * Print the LLM cost per phase and how the run was scaled down to fit its budget
+ */
+function printCost(usage, budget) {
+  const llm = usage.llm
+  const limits = [
+    budget.max_tokens ? `${budget.max_tokens} tokens` : null,
+    budget.max_cost_eur ? `€${budget.max_cost_eur}` : null
+  ].filter(Boolean)
+  console.log(`   Total: ${llm.total_tokens} tokens in ${llm.calls} calls, €${llm.cost_eur.toFixed(4)}${limits.length > 0 ? ` (budget ${limits.join(', ')})` : ''}`)
+  Object.entries(llm.by_call_site).forEach(([phase, counter]) => {
+    console.log(`   - ${phase}: ${counter.calls} calls, ${counter.prompt_tokens} prompt + ${counter.completion_tokens} completion tokens, €${counter.cost_eur.toFixed(4)}`)
+  })
+  console.log(`   Fetched: ${usage.pages_fetched} pages, ${usage.documents_fetched} documents`)
+  if (budget.unpriced_models.length > 0) {
+    console.log(`   ⚠️  No price for ${budget.unpriced_models.join(', ')}, counted as €0 (set LLM_PRICES)`)
+  }
+  budget.degradations.forEach(degradation => {
+    const { phase, action, ...details } = degradation
+    console.log(`   ✂️  ${phase}: ${action.replace(/_/g, ' ')} ${JSON.stringify(details)}`)
+  })
+}
+
+/**
+ * Run budget from --max-tokens and --max-cost, undefined falls back to RUN_MAX_TOKENS and RUN_MAX_COST_EUR
+ */
+function budgetFromOptions(options) {
+  if (!options['max-tokens'] && !options['max-cost']) return undefined
+  const budget = { maxTokens: Number(options['max-tokens']) || undefined, maxCostEur: Number(options['max-cost']) || undefined }
+  if ((options['max-tokens'] && !budget.maxTokens) || (options['max-cost'] && !budget.maxCostEur)) {
+    console.error('❌ --max-tokens and --max-cost must be positive numbers')
+    process.exit(1)
+  }
+  return budget
+}
+
+/**
+ * Self-consistency mode from --samples, undefined falls back to SELF_CONSISTENCY_SAMPLES
+ */
+function selfConsistencyFromOptions(options) {
+  if (!options.samples) return undefined
+  const samples = Number(options.samples)
+  if (!Number.isInteger(samples) || samples < 1) {
+    console.error('❌ --samples must be a positive integer')
+    process.exit(1)
+  }
+  return { samples: samples }
+}
+
+/**
+ * Report a failed analysis and exit with the code of its error class
+ */
+function exitWithAnalysisError(result) {
+  const errorClass = result.error_class || 'internal'
+  console.log('❌ Analysis Failed:')
+  console.log(`   Error: ${result.error}`)
+  console.log(`   Error class: ${errorClass}`)
+  if (result.diagnostics) printDiagnostics(result.diagnostics)
+  process.exit(ERROR_CLASSES[errorClass].exit_code)
+}
+
+/**
+ * Create the LLM provider or stop with a clear message
+ */
+function createLLMOrExit() {
+  try {
+    return createProviderFromEnv()
+  } catch (error) {
+    console.error(`❌ LLM provider not configured: ${error.message}`)
+    process.exit(ERROR_CLASSES.llm_not_configured.exit_code)
+  }
+}
+
+/**
+ * Print one line of the eligibility checklist
+ */
+function printChecklistItem(icon, text, item) {
+  console.log(`   ${icon} ${text}`)
+  if (item.source_url) {
+    console.log(`      Source: ${item.source_url}`)
+  }
+}
+
+/**
+ * check command: match wallet attestations against a subsidy, reusing the stored analysis
+ */
+async function runCheck(url, options) {
+  if (!url || !options.attestations) {
+    console.log('Usage: node start-ai-autonomous.js check <subsidy-url> --attestations <wallet.json> [--fresh]')
     console.log('')
-    console.log('Examples:')
-    console.log('  node start-ai-autonomous.js "https://www.rvo.nl/onderwerpen/dhi-subsidieregeling"')
-    console.log('  node start-ai-autonomous.js "https://www.rvo.nl/subsidies-financiering/svom"')
+    console.log('wallet.json holds attestation key/value pairs from attestation-schema.json, e.g.')
+    console.log('  { "chamber_of_commerce_kvk_nummer": "12345678", "bank_iban": "NL91ABNA0417164300" }')
     console.log('')
-    console.log('Required: Set OPENAI_API_KEY environment variable')
-    console.log('  export OPENAI_API_KEY="your-api-key"')
+    console.log('Options:')
+    console.log('  --fresh      Analyze the subsidy again instead of using the stored analysis')
+    process.exit(1)
+  }
+
+  let attestations
+  try {
+    attestations = JSON.parse(fs.readFileSync(options.attestations, 'utf8'))
+  } catch (error) {
+    console.error(`❌ Could not read attestations from ${options.attestations}: ${error.message}`)
+    process.exit(1)
+  }
+
+  const store = new AnalysisStore()
+  let analysis = options.fresh ? null : await store.getLatestRunForUrl(url)
+
+  if (analysis) {
+    console.log(`🗂️  Using stored analysis from ${analysis.analyzed_at} (run ${analysis.run_id})\n`)
+  } else {
+    console.log('🤖 No stored analysis, analyzing the subsidy first...\n')
+    const agent = new RVOAgentAIAutonomous({ llm: createLLMOrExit(), cache: options['no-cache'] ? false : undefined })
+    const result = await agent.analyzeSubsidy(url)
+
+    if (result.error) {
+      exitWithAnalysisError(result)
+    }
+    analysis = await store.saveAnalysis(result)
+  }
+
+  const check = checkEligibility(loadAttestationSchema(), analysis, attestations)
+
+  console.log(`📋 Checklist for: ${check.subsidy.title}`)
+  console.log(`🔗 URL: ${check.subsidy.url}\n`)
+
+  console.log('🪪 Attestations:')
+  check.attestations.satisfied.forEach(item => printChecklistItem('✅', `${item.label} (${item.key})`, item))
+  check.attestations.invalid.forEach(item => printChecklistItem('❌', `${item.label} (${item.key}): ${item.errors.join(', ')}`, item))
+  check.attestations.missing.forEach(item => printChecklistItem('⬜', `${item.label} (${item.key}) - obtain from ${item.issuer}`, item))
+  check.attestations.unrecognized.forEach(item => printChecklistItem('❔', `${item.key} (not in attestation schema)`, item))
+  console.log('')
+
+  if (check.documents_to_prepare.length > 0) {
+    console.log('📄 Documents to prepare:')
+    check.documents_to_prepare.forEach(item => printChecklistItem('⬜', item.name, item))
+    console.log('')
+  }
+
+  if (check.unknown_attestations.length > 0) {
+    console.log(`⚠️  Unknown attestation keys ignored: ${check.unknown_attestations.join(', ')}\n`)
+  }
+
+  console.log('📊 CHECK SUMMARY:')
+  console.log('=================')
+  console.log(`   Satisfied: ${check.attestations.satisfied.length}`)
+  console.log(`   Missing: ${check.attestations.missing.length}`)
+  console.log(`   Invalid: ${check.attestations.invalid.length}`)
+  console.log(`   Documents to prepare: ${check.documents_to_prepare.length}`)
+  console.log(check.ready ? '\n🎉 All required attestations are present and valid!' : '\n💡 Complete the missing items above before applying.')
+}
+
+/**
+ * presentation command: print the wallet presentation request for a stored analysis as JSON
+ */
+async function runPresentation(url, options) {
+  const format = options.format || 'both'
+
+  if (!url || !PRESENTATION_FORMATS.includes(format)) {
+    console.log('Usage: node start-ai-autonomous.js presentation <subsidy-url> [--format pe|dcql|both]')
     console.log('')
-    console.log('This version lets the AI autonomously:')
-    console.log('  1. Analyze the main page')
-    console.log('  2. Decide which sub-pages to scrape')
-    console.log('  3. Scrape and analyze all relevant pages')
-    console.log('  4. Extract and classify requirements intelligently')
+    console.log('Prints a Presentation Exchange definition and/or DCQL query for the stored analysis.')
+    process.exit(1)
+  }
+
+  const analysis = await new AnalysisStore().getLatestRunForUrl(url)
+  if (!analysis) {
+    console.error(`❌ No stored analysis for ${url}. Run: node start-ai-autonomous.js ${url}`)
+    process.exit(1)
+  }
+
+  console.log(JSON.stringify(buildPresentationRequest(loadAttestationSchema(), analysis, { format: format }), null, 2))
+}
+
+/**
+ * Read all of stdin as text
+ */
+async function readStdin() {
+  const chunks = []
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * batch command: analyze every URL from a file or stdin, one JSON line per URL on stdout
+ * followed by a report line. Progress goes to stderr so stdout stays valid JSONL.
+ */
+async function runBatch(file, options) {
+  const catalogue = new SubsidyCatalogue()
+
+  if (!options.catalogue && (!file || file === '-') && process.stdin.isTTY) {
+    console.log('Usage: node start-ai-autonomous.js batch [urls.txt|-] [--concurrency <n>] [--no-cache] [--max-tokens <n>] [--max-cost <euro>] [--samples <n>]')
+    console.log('       node start-ai-autonomous.js batch --catalogue [--status open] [--limit <n>]')
+    console.log('')
+    console.log('Reads one subsidy URL per line (# starts a comment) from the file or stdin,')
+    console.log('or takes the regulations from the catalogue that were not analyzed yet.')
+    console.log('Writes one JSON line per URL and a final report line to stdout.')
+    process.exit(1)
+  }
+
+  let urls
+  if (options.catalogue) {
+    const entries = await catalogue.list({ status: options.status, analysis: 'pending' })
+    urls = entries.slice(0, options.limit ? Number(options.limit) : entries.length).map(entry => entry.url)
+  } else {
+    let text
+    try {
+      text = !file || file === '-' ? await readStdin() : fs.readFileSync(file, 'utf8')
+    } catch (error) {
+      console.error(`❌ Could not read URLs from ${file}: ${error.message}`)
+      process.exit(1)
+    }
+
+    const parsed = parseUrlList(text)
+    parsed.invalid.forEach(line => console.error(`⚠️  Skipping invalid URL: ${line}`))
+    urls = parsed.urls
+  }
+
+  if (urls.length === 0) {
+    console.error('❌ No URLs to analyze')
+    process.exit(1)
+  }
+
+  const llm = createLLMOrExit()
+  // One fetcher for the whole batch, so robots.txt and per-host rate limits are shared
+  const fetcher = new PoliteFetcher()
+  const jobManager = new AnalysisJobManager({
+    createAgent: () => new RVOAgentAIAutonomous({
+      llm,
+      fetcher,
+      cache: options['no-cache'] ? false : undefined,
+      budget: budgetFromOptions(options),
+      selfConsistency: selfConsistencyFromOptions(options)
+    }),
+    store: new AnalysisStore()
+  })
+
+  jobManager.on('job_finished', job => {
+    const entry = jobManager.describeBatchJob(job)
+    catalogue.recordAnalysis(job.url, { ...entry, metadata: job.result ? job.result.metadata : null })
+      .catch(error => console.error(`⚠️  Could not update the catalogue: ${error.message}`))
+    console.error(`${entry.status === 'completed' ? '✅' : '❌'} ${entry.url}${entry.error ? ` - ${entry.error}` : ''}`)
+    process.stdout.write(JSON.stringify({ type: 'result', ...entry }) + '\n')
+  })
+
+  const batch = jobManager.createBatch(urls, { concurrency: options.concurrency })
+  console.error(`📦 Analyzing ${urls.length} URLs (concurrency ${batch.concurrency})...`)
+  await batch.finished
+
+  // Let the last catalogue update finish before reporting
+  await catalogue.settled()
+  const { report } = jobManager.describeBatch(batch)
+  process.stdout.write(JSON.stringify({ type: 'report', ...report }) + '\n')
+  console.error(`📊 ${report.completed} completed, ${report.failed} failed`)
+
+  if (report.failed > 0) {
+    process.exitCode = 1
+  }
+}
+
+/**
+ * discover command: register all regulation pages from the overview and/or sitemap in the catalogue
+ */
+async function runDiscover(options) {
+  const source = options.source || 'both'
+  const siteAdapter = adapterByName(options.site || 'rvo')
+  if (!['overview', 'sitemap', 'both'].includes(source) || !siteAdapter || !siteAdapter.overviewUrl) {
+    const sites = SITE_ADAPTERS.filter(adapter => adapter.overviewUrl).map(adapter => adapter.name).join('|')
+    console.log(`Usage: node start-ai-autonomous.js discover [--site ${sites}] [--source overview|sitemap|both] [--no-inspect]`)
+    process.exit(1)
+  }
+
+  // Discovery does not need the LLM, only the agent's crawler and link harvesting
+  const agent = new RVOAgentAIAutonomous({ siteAdapter: siteAdapter, cache: options['no-cache'] ? false : undefined })
+  const discovery = new CatalogueDiscovery(agent, { siteAdapter: siteAdapter, inspect: !options['no-inspect'] })
+  discovery.on('progress', event => console.log(`   ${event.phase}: ${event.url}${event.status ? ` [${event.status}]` : ''}`))
+
+  console.log(`🔎 Discovering regulations on ${siteAdapter.overviewUrl} (${source})...\n`)
+  const found = await discovery.discover(source === 'both' ? ['overview', 'sitemap'] : [source])
+  const { added, updated } = await new SubsidyCatalogue().register(found)
+
+  console.log(`\n📚 Found ${found.length} regulations: ${added} new, ${updated} updated`)
+  CATALOGUE_STATUSES.forEach(status => {
+    console.log(`   ${status}: ${found.filter(item => item.status === status).length}`)
+  })
+}
+
+/**
+ * catalogue command: list the catalogued regulations and their analysis status
+ */
+async function runCatalogue(options) {
+  const entries = await new SubsidyCatalogue().list({ status: options.status })
+  const icons = { open: '🟢', upcoming: '🟡', closed: '🔴', unknown: '⚪' }
+
+  entries.forEach(entry => {
+    console.log(`${icons[entry.status]} ${entry.title || entry.url} [${entry.status}, ${entry.analysis.status}]`)
+    console.log(`   ${entry.url}`)
+  })
+  console.log(`\n📚 ${entries.length} regulations`)
+}
+
+/**
+ * Print the commands and options of the CLI
+ */
+function printUsage() {
+  console.log('🤖 AI-Autonomous RVO Agent')
+  console.log('==========================\n')
+  console.log('Usage: node start-ai-autonomous.js <subsidy-url> [--no-cache] [--max-tokens <n>] [--max-cost <euro>] [--samples <n>]')
+  console.log('       node start-ai-autonomous.js check <subsidy-url> --attestations <wallet.json> [--fresh]')
+  console.log('       node start-ai-autonomous.js presentation <subsidy-url> [--format pe|dcql|both]')
+  console.log('       node start-ai-autonomous.js batch [urls.txt|-] [--concurrency <n>] [--no-cache] [--max-tokens <n>] [--max-cost <euro>] [--samples <n>]')
+  console.log('       node start-ai-autonomous.js discover [--source overview|sitemap|both] [--no-inspect]')
+  console.log('       node start-ai-autonomous.js catalogue [--status open|closed|upcoming|unknown]')
+  console.log('')
+  console.log('Options:')
+  console.log('  --no-cache   Re-download all pages and documents instead of using the HTTP cache')
+  console.log('  --max-tokens Token budget of the run (default RUN_MAX_TOKENS), the analysis is scaled down to fit')
+  console.log('  --max-cost   Euro budget of the run (default RUN_MAX_COST_EUR)')
+  console.log('  --samples    Analyses to reconcile into a confidence per requirement (default SELF_CONSISTENCY_SAMPLES, 1 = off)')
+  console.log('')
+  console.log('Examples:')
+  console.log('  node start-ai-autonomous.js "https://www.rvo.nl/onderwerpen/dhi-subsidieregeling"')
+  console.log('  node start-ai-autonomous.js "https://www.rvo.nl/subsidies-financiering/svom"')
+  console.log('')
+  console.log('Required: Set OPENAI_API_KEY environment variable')
+  console.log('  export OPENAI_API_KEY="your-api-key"')
+  console.log('  (or LLM_PROVIDER=azure|local, see README)')
+  console.log('')
+  console.log('This version lets the AI autonomously:')
+  console.log('  1. Analyze the main page')
+  console.log('  2. Decide which sub-pages to scrape')
+  console.log('  3. Scrape and analyze all relevant pages')
+  console.log('  4. Extract and classify requirements intelligently')
+}
+
+/**
+ * Parse the command line, an unknown option or a missing option value prints the usage
+ */
+function parseOptions() {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        'no-cache': { type: 'boolean' },
+        attestations: { type: 'string' },
+        fresh: { type: 'boolean' },
+        format: { type: 'string' },
+        concurrency: { type: 'string' },
+        catalogue: { type: 'boolean' },
+        status: { type: 'string' },
+        limit: { type: 'string' },
+        source: { type: 'string' },
+        site: { type: 'string' },
+        'no-inspect': { type: 'boolean' },
+        'max-tokens': { type: 'string' },
+        'max-cost': { type: 'string' },
+        samples: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    })
+  } catch (error) {
+    if (!error.code || !error.code.startsWith('ERR_PARSE_ARGS_')) throw error
+    console.error(`❌ ${error.message}\n`)
+    printUsage()
+    process.exit(1)
+  }
+}
+
+async function main() {
+  const { values: options, positionals } = parseOptions()
+
+  if (options.help) {
+    printUsage()
+    return
+  }
+
+  if (positionals[0] === 'check') {
+    return runCheck(positionals[1], options)
+  }
+
+  if (positionals[0] === 'presentation') {
+    return runPresentation(positionals[1], options)
+  }
+
+  if (positionals[0] === 'batch') {
+    return runBatch(positionals[1], options)
+  }
+
+  if (positionals[0] === 'discover') {
+    return runDiscover(options)
+  }
+
+  if (positionals[0] === 'catalogue') {
+    return runCatalogue(options)
+  }
+
+  const url = positionals[0]
+  const useCache = !options['no-cache']
+
+  if (!url) {
+    printUsage()
     process.exit(1)
   }
 
@@ -45,23 +538,37 @@ async function main() {
   console.log('🤖 AI-Autonomous RVO Agent Starting...')
   console.log('======================================\n')
 
+  const llm = createLLMOrExit()
+
   try {
-    const agent = new RVOAgentAIAutonomous()
+    const agent = new RVOAgentAIAutonomous({
+      llm,
+      cache: useCache ? undefined : false,
+      budget: budgetFromOptions(options),
+      selfConsistency: selfConsistencyFromOptions(options)
+    })
     const result = await agent.analyzeSubsidy(url)
 
     if (result.error) {
-      console.log('❌ Analysis Failed:')
-      console.log(`   Error: ${result.error}`)
-      process.exit(1)
+      exitWithAnalysisError(result)
     }
 
+    const run = await new AnalysisStore().saveAnalysis(result)
+
     console.log('\n✅ AI-Autonomous Analysis Complete!')
     console.log('===================================\n')
 
     console.log(`📄 Title: ${result.title}`)
     console.log(`🔗 URL: ${result.url}`)
     console.log(`📊 Pages analyzed: ${result.pages_analyzed}`)
-    console.log(`⏰ Analyzed at: ${result.analyzed_at}\n`)
+    console.log(`⏰ Analyzed at: ${result.analyzed_at}`)
+    console.log(`🗂️  Stored as: subsidy ${run.subsidy_id}, run ${run.run_id}\n`)
+
+    // A fallback result is incomplete, never present it as a normal run
+    result.fallbacks.forEach(fallback => {
+      console.log(`⚠️  Fallback used for ${fallback.phase} (${fallback.reason}): ${fallback.message}`)
+    })
+    if (result.fallbacks.length > 0) console.log('')
 
     if (result.ai_scraping_plan) {
       console.log('🧠 AI Scraping Plan:')
@@ -71,14 +578,45 @@ async function main() {
       console.log(`   Focus keywords: ${result.ai_scraping_plan.focus_keywords.join(', ')}\n`)
     }
 
+    if (result.metadata) {
+      console.log('🗓️  Regulation Facts:')
+      console.log('===================')
+      printMetadata(result.metadata)
+      console.log('')
+    }
+
+    if (result.autofill && result.autofill.forms.length > 0) {
+      console.log(`📝 Form Autofill (${result.autofill.summary.prefill}/${result.autofill.summary.fields_total} fields from attestations):`)
+      console.log('===================')
+      printAutofill(result.autofill)
+      console.log('')
+    }
+
+    if (result.crawl_tree) {
+      console.log('🌳 Crawl Tree:')
+      console.log('=============')
+      printCrawlTree(result.crawl_tree)
+      console.log('')
+    }
+
+    console.log('💶 Cost:')
+    console.log('=============')
+    printCost(result.usage, result.budget)
+    console.log('')
+
+    if (result.diagnostics) {
+      console.log('🩺 Diagnostics:')
+      console.log('=============')
+      printDiagnostics(result.diagnostics)
+      console.log('')
+    }
+
     console.log('📋 AI-AUTONOMOUS REQUIREMENTS:')
     console.log('==============================\n')
 
     if (result.requirements.attestations.length > 0) {
       console.log('📋 Attestations (Documents that prove something):')
-      result.requirements.attestations.forEach((req, index) => {
-        console.log(`   ${index + 1}. ${req}`)
-      })
+      result.requirements.attestations.forEach(printRequirement)
       console.log('')
     } else {
       console.log('📋 Attestations: None detected\n')
@@ -86,14 +624,19 @@ async function main() {
 
     if (result.requirements.non_attestations.length > 0) {
       console.log('📄 Non-attestations (Documents to be created):')
-      result.requirements.non_attestations.forEach((req, index) => {
-        console.log(`   ${index + 1}. ${req}`)
-      })
+      result.requirements.non_attestations.forEach(printRequirement)
       console.log('')
     } else {
       console.log('📄 Non-attestations: None detected\n')
     }
 
+    const selfConsistency = result.requirements.self_consistency
+    if (selfConsistency && result.requirements.needs_review.length > 0) {
+      console.log(`🔍 Needs review (agreement below ${Math.round(selfConsistency.review_threshold * 100)}%):`)
+      result.requirements.needs_review.forEach(printRequirement)
+      console.log('')
+    }
+
     if (result.requirements.analysis_notes) {
       console.log('💡 AI Analysis Notes:')
       console.log('=====================')
@@ -105,7 +648,18 @@ async function main() {
     console.log(`   Total Attestations: ${result.requirements.attestations.length}`)
     console.log(`   Total Non-attestations: ${result.requirements.non_attestations.length}`)
     console.log(`   Total Requirements: ${result.requirements.attestations.length + result.requirements.non_attestations.length}`)
+    console.log(`   Unverified (quote not found in source): ${result.requirements.unverified_count || 0}`)
+    if (selfConsistency) {
+      console.log(`   Needs review: ${selfConsistency.needs_review} (${selfConsistency.completed_samples}/${selfConsistency.samples} samples completed)`)
+    }
     console.log(`   Pages autonomously analyzed: ${result.pages_analyzed}`)
+    if (result.review_corrections.used > 0) {
+      console.log(`   Reviewer corrections used: ${result.review_corrections.used} (${result.review_corrections.same_regulation} of this regulation)`)
+    }
+    if (result.coverage) {
+      const percentage = Math.round(result.coverage.coverage_ratio * 100)
+      console.log(`   Content covered: ${percentage}% (${result.coverage.chunks_analyzed}/${result.coverage.chunks_total} chunks, ${result.coverage.sources_analyzed}/${result.coverage.sources_total} sources)`)
+    }
 
     console.log('\n🎉 AI-autonomous analysis completed successfully!')
     console.log('\n💡 This analysis used AI to:')
@@ -116,9 +670,12 @@ async function main() {
 
   } catch (error) {
     console.error('❌ Fatal error:', error.message)
-    process.exit(1)
+    process.exit(classifyError(error).exit_code)
   }
 }
 
-// Run the main function
-main().catch(console.error)
+// Run the main function, an error that escapes it sets the exit code of its error class
+main().catch(error => {
+  console.error('❌ Fatal error:', error.message)
+  process.exitCode = classifyError(error).exit_code
+})
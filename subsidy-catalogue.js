@@ -0,0 +1,164 @@
+import fs from 'fs'
+import path from 'path'
+import { normalizeSubsidyUrl, subsidyIdForUrl } from './analysis-store.js'
+
+const CATALOGUE_STATUSES = ['open', 'closed', 'upcoming', 'unknown']
+
+/**
+ * Status of a regulation from its application windows on a given day (YYYY-MM-DD)
+ */
+function statusFromWindows(windows, today = new Date().toISOString().substring(0, 10)) {
+    if (!windows || windows.length === 0) return 'unknown'
+    if (windows.some(window => (!window.opens_on || window.opens_on <= today) && (!window.closes_on || window.closes_on >= today))) {
+        return 'open'
+    }
+    if (windows.some(window => window.opens_on && window.opens_on > today)) return 'upcoming'
+    return 'closed'
+}
+
+/**
+ * Catalogue of known regulation pages, kept in one JSON file:
+ *   { updated_at, entries: { <subsidy id>: entry } }
+ * Entries are keyed like the analysis store, so alias URLs of one regulation
+ * share an entry and the catalogue links straight to stored analyses.
+ */
+class SubsidyCatalogue {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.CATALOGUE_PATH || './data/catalogue.json'
+        this.queue = Promise.resolve()
+    }
+
+    /**
+     * Run read-modify-write updates one at a time, batch jobs finish concurrently
+     */
+    exclusive(update) {
+        const run = this.queue.then(update)
+        this.queue = run.catch(() => {})
+        return run
+    }
+
+    /**
+     * Resolves when all queued updates are written
+     */
+    settled() {
+        return this.queue
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+        } catch (error) {
+            if (error.code === 'ENOENT') return { updated_at: null, entries: {} }
+            throw error
+        }
+    }
+
+    /**
+     * Write the catalogue atomically so a crash never leaves a half-written file
+     */
+    async save(catalogue) {
+        catalogue.updated_at = new Date().toISOString()
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`
+        await fs.promises.writeFile(tmpPath, JSON.stringify(catalogue, null, 2))
+        await fs.promises.rename(tmpPath, this.filePath)
+    }
+
+    /**
+     * Add or update discovered regulations ({ url, aliases, title, status, status_text, sources, lastmod }).
+     * Returns { added, updated } counts.
+     */
+    async register(discovered) {
+        return this.exclusive(() => this.registerNow(discovered))
+    }
+
+    async registerNow(discovered) {
+        const catalogue = await this.load()
+        const now = new Date().toISOString()
+        let added = 0
+        let updated = 0
+
+        for (const item of discovered) {
+            const id = subsidyIdForUrl(item.url)
+            const existing = catalogue.entries[id]
+            const aliases = new Set([...(existing ? existing.aliases : []), ...(item.aliases || [])].map(normalizeSubsidyUrl))
+            aliases.delete(normalizeSubsidyUrl(item.url))
+
+            if (existing) {
+                updated++
+            } else {
+                added++
+            }
+
+            catalogue.entries[id] = {
+                id: id,
+                url: normalizeSubsidyUrl(item.url),
+                aliases: [...aliases].sort(),
+                title: item.title || (existing ? existing.title : null),
+                // A later discovery without a status label keeps the known status
+                status: item.status && item.status !== 'unknown' ? item.status : (existing ? existing.status : 'unknown'),
+                status_text: item.status_text || (existing ? existing.status_text : null),
+                sources: [...new Set([...(existing ? existing.sources : []), ...(item.sources || [])])].sort(),
+                lastmod: item.lastmod || (existing ? existing.lastmod : null),
+                first_seen_at: existing ? existing.first_seen_at : now,
+                last_seen_at: now,
+                analysis: existing ? existing.analysis : { status: 'pending', run_id: null, analyzed_at: null, error: null }
+            }
+        }
+
+        await this.save(catalogue)
+        return { added: added, updated: updated }
+    }
+
+    /**
+     * List entries, optionally filtered on status and analysis status, sorted by title
+     */
+    async list(filter = {}) {
+        const catalogue = await this.load()
+        return Object.values(catalogue.entries)
+            .filter(entry => !filter.status || entry.status === filter.status)
+            .filter(entry => !filter.analysis || entry.analysis.status === filter.analysis)
+            .sort((a, b) => (a.title || a.url).localeCompare(b.title || b.url))
+    }
+
+    /**
+     * Find the entry for a URL or one of its aliases
+     */
+    async find(url) {
+        return this.findIn(await this.load(), url)
+    }
+
+    findIn(catalogue, url) {
+        const normalized = normalizeSubsidyUrl(url)
+        return catalogue.entries[subsidyIdForUrl(url)] ||
+            Object.values(catalogue.entries).find(entry => entry.aliases.includes(normalized)) ||
+            null
+    }
+
+    /**
+     * Record the outcome of an analysis job for a catalogued URL, ignores other URLs.
+     * Without a status label from the site, the analyzed application windows decide it.
+     */
+    async recordAnalysis(url, outcome) {
+        return this.exclusive(async () => {
+            const catalogue = await this.load()
+            const current = this.findIn(catalogue, url)
+            if (!current) return null
+
+            current.analysis = {
+                status: outcome.error ? 'failed' : 'analyzed',
+                run_id: outcome.run_id || current.analysis.run_id,
+                analyzed_at: outcome.analyzed_at || current.analysis.analyzed_at,
+                error: outcome.error || null
+            }
+            if (current.status === 'unknown' && outcome.metadata) {
+                current.status = statusFromWindows(outcome.metadata.application_windows)
+            }
+
+            await this.save(catalogue)
+            return current
+        })
+    }
+}
+
+export { CATALOGUE_STATUSES, SubsidyCatalogue, statusFromWindows }
@@ -0,0 +1,393 @@
+import { collectSources, verifyRequirement } from './provenance.js'
+
+/**
+ * Structured facts about a regulation (application windows, budget, amounts,
+ * target groups, sectors, legal basis). The model returns values as written
+ * on the page; dates and amounts are normalized here.
+ */
+
+const DUTCH_MONTHS = {
+    januari: 1, jan: 1, februari: 2, feb: 2, maart: 3, mrt: 3, april: 4, apr: 4,
+    mei: 5, juni: 6, jun: 6, juli: 7, jul: 7, augustus: 8, aug: 8, september: 9, sep: 9, sept: 9,
+    oktober: 10, okt: 10, november: 11, nov: 11, december: 12, dec: 12
+}
+
+const AMOUNT_MULTIPLIERS = {
+    duizend: 1e3,
+    mln: 1e6,
+    miljoen: 1e6,
+    million: 1e6,
+    mld: 1e9,
+    miljard: 1e9,
+    billion: 1e9
+}
+
+// Known target groups and the wording RVO uses for them
+const TARGET_GROUPS = {
+    mkb: ['mkb', 'mkb-ondernemingen', 'mkb-ondernemers', 'midden- en kleinbedrijf', 'kleine en middelgrote ondernemingen', 'sme', 'smes'],
+    startup: ['startup', 'startups', 'start-up', 'start-ups', 'starters', 'scale-ups', 'scaleups'],
+    grootbedrijf: ['grootbedrijf', 'grote ondernemingen', 'grote bedrijven', 'large enterprises'],
+    agrarisch: ['agrarisch', 'agrarische ondernemers', 'agrariërs', 'landbouwers', 'boeren', 'landbouw', 'veehouders', 'tuinders'],
+    onderzoeksorganisatie: ['onderzoeksorganisatie', 'onderzoeksorganisaties', 'kennisinstellingen', 'kennisinstelling', 'universiteiten', 'hogescholen'],
+    non_profit: ['non-profit', 'stichtingen', 'verenigingen', 'maatschappelijke organisaties'],
+    overheid: ['overheid', 'gemeenten', 'provincies', 'waterschappen', 'decentrale overheden'],
+    particulier: ['particulier', 'particulieren', 'huiseigenaren']
+}
+
+const SCALAR_FIELDS = {
+    total_budget: { key: 'total_budget_eur', parse: value => parseEuroAmount(value) },
+    max_amount_per_applicant: { key: 'max_amount_per_applicant_eur', parse: value => parseEuroAmount(value) },
+    subsidy_percentage: { key: 'subsidy_percentage', parse: value => parsePercentage(value) }
+}
+
+const LIST_FIELDS = {
+    target_groups: value => normalizeTargetGroup(value),
+    sectors: value => value.trim().toLowerCase(),
+    legal_basis: value => value.trim()
+}
+
+/**
+ * ISO 8601 date from 2025-04-01, 1-4-2025, 01/04/2025 or 1 april 2025, null when unparseable
+ */
+function parseDate(value) {
+    if (typeof value !== 'string') return null
+    const text = value.trim().toLowerCase()
+    let year, month, day
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+    if (match) {
+        [, year, month, day] = match.map(Number)
+    } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+        [, day, month, year] = match.map(Number)
+    } else if ((match = text.match(/(\d{1,2})\s+([a-z]+)\.?\s+(\d{4})/))) {
+        day = Number(match[1])
+        month = DUTCH_MONTHS[match[2]]
+        year = Number(match[3])
+    } else {
+        return null
+    }
+
+    if (!month) return null
+    const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    const date = new Date(`${iso}T00:00:00Z`)
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null
+}
+
+/**
+ * Time of day as HH:MM from "17:00", "17.00 uur" or "5 uur", null when absent
+ */
+function parseTime(value) {
+    if (typeof value !== 'string') return null
+    const match = value.match(/(\d{1,2})(?:[:.](\d{2}))?\s*(?:uur|u\b|h\b)?/)
+    if (!match || (!match[2] && !/uur|u\b|h\b/.test(value))) return null
+
+    const hours = Number(match[1])
+    const minutes = Number(match[2] || 0)
+    if (hours > 23 || minutes > 59) return null
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
+
+// One number as written: digits with dot or comma separators, or thousands grouped by spaces
+const NUMBER_PATTERN = '\\d+(?:[.,]\\d+|[ \\u00a0]\\d{3}(?!\\d))*'
+const MULTIPLIER_PATTERN = Object.keys(AMOUNT_MULTIPLIERS).join('|')
+
+/**
+ * Number from a single token in Dutch (1.500.000,50) or English (1,500,000.50) notation
+ */
+function parseNumberToken(token) {
+    const digits = token.replace(/\s/g, '')
+    const lastDot = digits.lastIndexOf('.')
+    const lastComma = digits.lastIndexOf(',')
+    let normalized
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        // Whichever separator comes last is the decimal separator
+        normalized = lastComma > lastDot
+            ? digits.replace(/\./g, '').replace(',', '.')
+            : digits.replace(/,/g, '')
+    } else if (lastComma !== -1) {
+        // "1,5" is a decimal, "25,000" groups thousands
+        normalized = /^\d{1,3}(,\d{3})+$/.test(digits) ? digits.replace(/,/g, '') : digits.replace(',', '.')
+    } else if (lastDot !== -1) {
+        normalized = /^\d{1,3}(\.\d{3})+$/.test(digits) ? digits.replace(/\./g, '') : digits
+    } else {
+        normalized = digits
+    }
+
+    const number = Number(normalized)
+    return Number.isFinite(number) ? number : null
+}
+
+/**
+ * First number in a text that matches one of the patterns, each with the number as
+ * its first group. Falls back to the first number in the text.
+ */
+function findNumber(text, patterns) {
+    for (const pattern of [...patterns, new RegExp(`(${NUMBER_PATTERN})`)]) {
+        const match = pattern.exec(text)
+        if (match) return { token: match[1], end: match.index + match[0].indexOf(match[1]) + match[1].length }
+    }
+    return null
+}
+
+/**
+ * Euro amount as a number from "€ 1.500.000", "EUR 25.000,-" or "1,5 miljoen euro".
+ * Only the number next to the currency or multiplier counts, so "€ 25.000 tot € 50.000"
+ * is 25000 and "€ 1,5 miljoen per aanvrager (2 jaar)" is 1500000.
+ */
+function parseEuroAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null
+    if (typeof value !== 'string') return null
+
+    const text = value.toLowerCase().replace(/,-+/g, '').replace(/\.-+/g, '')
+    const found = findNumber(text, [
+        new RegExp(`(?:€|\\beur(?:o)?(?![a-z]))\\s*(${NUMBER_PATTERN})`),
+        new RegExp(`(${NUMBER_PATTERN})\\s*(?:${MULTIPLIER_PATTERN}|euro?|€)(?![a-z])`)
+    ])
+    if (!found) return null
+
+    const number = parseNumberToken(found.token)
+    if (number === null) return null
+
+    const multiplier = text.slice(found.end).match(new RegExp(`^\\s*(${MULTIPLIER_PATTERN})(?![a-z])`))
+    return Math.round(number * (multiplier ? AMOUNT_MULTIPLIERS[multiplier[1]] : 1) * 100) / 100
+}
+
+/**
+ * Percentage as a number (0-100) from 50, "50%" or "tot 50 procent van de kosten"
+ */
+function parsePercentage(value) {
+    if (typeof value === 'number') return value >= 0 && value <= 100 ? value : null
+    if (typeof value !== 'string') return null
+
+    const found = findNumber(value.toLowerCase(), [new RegExp(`(${NUMBER_PATTERN})\\s*(?:%|procent|percent)`)])
+    const number = found ? parseNumberToken(found.token) : null
+    return number !== null && number >= 0 && number <= 100 ? number : null
+}
+
+/**
+ * Map a target group description to a known group, unknown groups are kept lowercased
+ */
+function normalizeTargetGroup(value) {
+    const text = value.trim().toLowerCase()
+    const known = Object.entries(TARGET_GROUPS).find(([group, synonyms]) => group === text || synonyms.includes(text))
+    return known ? known[0] : text
+}
+
+/**
+ * Evidence for a metadata field, with the quote checked against the sources
+ */
+function toEvidence(field, item, sources) {
+    const verified = verifyRequirement({ name: field, source_url: item.source_url, quote: item.quote }, sources)
+    return {
+        source_url: verified.source_url,
+        quote: verified.quote,
+        section: verified.section || null,
+        verified: verified.verified
+    }
+}
+
+/**
+ * Normalize the metadata the model returned for one chunk
+ */
+function normalizeMetadata(raw, scrapedData) {
+    const sources = collectSources(scrapedData)
+    const metadata = emptyMetadata()
+    if (!raw || typeof raw !== 'object') return metadata
+
+    for (const window of Array.isArray(raw.application_windows) ? raw.application_windows : []) {
+        const opensOn = parseDate(window.opens_on)
+        const closesOn = parseDate(window.closes_on)
+        if (!opensOn && !closesOn) continue
+
+        metadata.application_windows.push({
+            opens_on: opensOn,
+            closes_on: closesOn,
+            closes_at_time: parseTime(window.closes_at_time),
+            description: window.description || null,
+            ...toEvidence('application_window', window, sources)
+        })
+    }
+
+    for (const [field, { key, parse }] of Object.entries(SCALAR_FIELDS)) {
+        const item = raw[field]
+        const value = item && typeof item === 'object' ? parse(item.value) : parse(item)
+        if (value === null) continue
+
+        metadata[key] = value
+        metadata.evidence[key] = {
+            raw: item && typeof item === 'object' ? item.value : item,
+            ...toEvidence(field, item && typeof item === 'object' ? item : {}, sources)
+        }
+    }
+
+    for (const [field, normalize] of Object.entries(LIST_FIELDS)) {
+        const item = raw[field]
+        const values = Array.isArray(item) ? item : (item && Array.isArray(item.values) ? item.values : [])
+        metadata[field] = [...new Set(values.filter(value => typeof value === 'string' && value.trim()).map(normalize))]
+        if (metadata[field].length > 0 && item && !Array.isArray(item)) {
+            metadata.evidence[field] = toEvidence(field, item, sources)
+        }
+    }
+
+    return metadata
+}
+
+/**
+ * Metadata block without any facts
+ */
+function emptyMetadata() {
+    return {
+        application_windows: [],
+        total_budget_eur: null,
+        max_amount_per_applicant_eur: null,
+        subsidy_percentage: null,
+        target_groups: [],
+        sectors: [],
+        legal_basis: [],
+        evidence: {}
+    }
+}
+
+/**
+ * Merge normalized metadata of all chunks. Sources are ordered main page first,
+ * so for single values the first chunk that states one wins.
+ */
+function mergeMetadata(partials) {
+    const merged = emptyMetadata()
+    const windows = new Map()
+
+    for (const partial of partials) {
+        for (const window of partial.application_windows) {
+            const key = `${window.opens_on}|${window.closes_on}`
+            if (!windows.has(key)) windows.set(key, window)
+        }
+
+        for (const { key } of Object.values(SCALAR_FIELDS)) {
+            if (merged[key] === null && partial[key] !== null) {
+                merged[key] = partial[key]
+                merged.evidence[key] = partial.evidence[key]
+            }
+        }
+
+        for (const field of Object.keys(LIST_FIELDS)) {
+            const before = merged[field].length
+            merged[field] = [...new Set([...merged[field], ...partial[field]])]
+            if (before === 0 && merged[field].length > 0 && partial.evidence[field]) {
+                merged.evidence[field] = partial.evidence[field]
+            }
+        }
+    }
+
+    merged.application_windows = [...windows.values()].sort((a, b) =>
+        (a.opens_on || a.closes_on).localeCompare(b.opens_on || b.closes_on)
+    )
+
+    return merged
+}
+
+/**
+ * Escape a text value for iCalendar (RFC 5545)
+ */
+function escapeICalText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line at 75 octets, continuation lines start with a space
+ */
+function foldICalLine(line) {
+    const parts = []
+    let current = ''
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current)
+            current = ''
+        }
+        current += char
+    }
+    parts.push(current)
+
+    return parts.join('\r\n ')
+}
+
+/**
+ * Date and timestamp values in iCalendar notation
+ */
+function toICalDate(isoDate) {
+    return isoDate.replace(/-/g, '')
+}
+
+function toICalTimestamp(isoTimestamp) {
+    return new Date(isoTimestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+function nextDay(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00Z`)
+    date.setUTCDate(date.getUTCDate() + 1)
+    return date.toISOString().substring(0, 10)
+}
+
+/**
+ * iCalendar feed with an all-day event for every opening and closing date of a run
+ */
+function toICalendar(run) {
+    const metadata = run.metadata || emptyMetadata()
+    const stamp = toICalTimestamp(run.analyzed_at)
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//RVO Subsidie Analyser//Subsidy deadlines//NL',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(`Subsidie: ${run.title}`)}`
+    ]
+
+    for (const window of metadata.application_windows) {
+        const events = [
+            { kind: 'opens', date: window.opens_on, summary: `Opent: ${run.title}` },
+            {
+                kind: 'closes',
+                date: window.closes_on,
+                summary: `Deadline: ${run.title}${window.closes_at_time ? ` (${window.closes_at_time} uur)` : ''}`
+            }
+        ]
+
+        for (const event of events.filter(event => event.date)) {
+            const description = [window.description, window.quote ? `"${window.quote}"` : null, window.source_url || run.url]
+                .filter(Boolean)
+                .join('\n')
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${run.subsidy_id}-${event.kind}-${toICalDate(event.date)}@rvo-subsidie-analyser`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${toICalDate(event.date)}`,
+                `DTEND;VALUE=DATE:${toICalDate(nextDay(event.date))}`,
+                `SUMMARY:${escapeICalText(event.summary)}`,
+                `DESCRIPTION:${escapeICalText(description)}`,
+                `URL:${run.url}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            )
+        }
+    }
+
+    lines.push('END:VCALENDAR')
+    return lines.map(foldICalLine).join('\r\n') + '\r\n'
+}
+
+export {
+    TARGET_GROUPS,
+    parseDate,
+    parseTime,
+    parseEuroAmount,
+    parsePercentage,
+    normalizeTargetGroup,
+    normalizeMetadata,
+    emptyMetadata,
+    mergeMetadata,
+    toICalendar
+}
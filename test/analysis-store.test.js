@@ -0,0 +1,54 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { AnalysisStore, subsidyIdForUrl } from '../analysis-store.js'
+
+const URL = 'https://www.rvo.nl/subsidies-financiering/test-regeling'
+
+function analysisResult(analyzedAt) {
+    return {
+        url: URL,
+        title: `Test regeling ${analyzedAt}`,
+        analyzed_at: analyzedAt,
+        pages_analyzed: 1,
+        requirements: { attestations: [], non_attestations: [] }
+    }
+}
+
+test('counts every run of a subsidy saved at the same time', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'analysis-store-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+    const store = new AnalysisStore({ directory: directory })
+
+    const dates = ['2026-03-01T10:00:00.000Z', '2026-03-01T12:00:00.000Z', '2026-03-01T11:00:00.000Z', '2026-03-01T09:00:00.000Z']
+    const runs = await Promise.all(dates.map(date => store.saveAnalysis(analysisResult(date))))
+
+    const subsidy = await store.getSubsidy(subsidyIdForUrl(URL))
+    assert.equal(subsidy.run_count, 4)
+    assert.equal(subsidy.first_analyzed_at, '2026-03-01T09:00:00.000Z')
+    assert.equal(subsidy.last_analyzed_at, '2026-03-01T12:00:00.000Z')
+    assert.equal(subsidy.latest_run_id, runs[1].run_id)
+    assert.equal(subsidy.title, 'Test regeling 2026-03-01T12:00:00.000Z')
+    assert.equal((await store.listRunIds(subsidy.id)).length, 4)
+
+    // No temporary files are left behind
+    const files = await fs.promises.readdir(path.join(directory, subsidy.id))
+    assert.deepEqual(files.sort(), ['runs', 'subsidy.json'])
+})
+
+test('applies concurrent updates of one run one after the other', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'analysis-store-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+    const store = new AnalysisStore({ directory: directory })
+    const run = await store.saveAnalysis(analysisResult('2026-03-01T10:00:00.000Z'))
+
+    await Promise.all([1, 2, 3].map(number => store.updateRun(run.subsidy_id, run.run_id, async (stored) => ({
+        ...stored,
+        notes: [...(stored.notes || []), number]
+    }))))
+
+    const updated = await store.getRun(run.subsidy_id, run.run_id)
+    assert.deepEqual(updated.notes, [1, 2, 3])
+})
@@ -0,0 +1,54 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { AttestationSchemaError, FORMATS, loadAttestationSchema, validateAttestationValue, toJsonSchema } from '../attestation-schema.js'
+
+const schema = loadAttestationSchema()
+const exported = toJsonSchema(schema)
+
+/**
+ * Whether a value matches the exported pattern of an attestation field
+ */
+function matchesExport(key, value) {
+    return new RegExp(exported.properties[key].pattern, 'u').test(value)
+}
+
+const CASES = {
+    chamber_of_commerce_kvk_nummer: { valid: ['12345678', ' 12345678 '], invalid: ['1234567', '1234 5678'] },
+    chamber_of_commerce_vestigingsnummer: { valid: ['000012345678'], invalid: ['12345678'] },
+    bank_iban: { valid: ['NL91ABNA0417164300', 'NL91 ABNA 0417 1643 00', 'nl91abna0417164300'], invalid: ['NL91-ABNA-0417-1643-00', 'NL91'] },
+    tax_authority_btw_nummer: { valid: ['NL820094985B01', 'NL 8200.94.985.B01', 'nl820094985b01'], invalid: ['NL820094985', 'BE0123456789'] },
+    contact_telefoonnummer: { valid: ['0201234567', '(020) 123-4567', '+31 6 12345678', '0031612345678'], invalid: ['12345', '+31 6 1234 abcd'] }
+}
+
+test('the exported patterns accept exactly the values the runtime validators accept', () => {
+    for (const [key, { valid, invalid }] of Object.entries(CASES)) {
+        assert.ok(exported.properties[key].pattern, `${key} has a pattern`)
+        for (const value of valid) {
+            assert.equal(validateAttestationValue(schema, key, value).valid, true, `${key}: runtime accepts "${value}"`)
+            assert.equal(matchesExport(key, value), true, `${key}: pattern accepts "${value}"`)
+        }
+        for (const value of invalid) {
+            assert.equal(validateAttestationValue(schema, key, value).valid, false, `${key}: runtime rejects "${value}"`)
+            assert.equal(matchesExport(key, value), false, `${key}: pattern rejects "${value}"`)
+        }
+    }
+})
+
+test('every exported pattern compiles as a Unicode regular expression', () => {
+    for (const format of Object.values(FORMATS).filter(format => format.pattern)) {
+        assert.doesNotThrow(() => new RegExp(format.pattern, 'u'))
+    }
+})
+
+test('reports a schema file that is not valid JSON as an AttestationSchemaError', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attestation-schema-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+    const filePath = path.join(directory, 'attestation-schema.json')
+    await fs.promises.writeFile(filePath, '{ "attestation_schema": { ')
+
+    assert.throws(() => loadAttestationSchema(filePath), error =>
+        error instanceof AttestationSchemaError && /^invalid JSON: /.test(error.problems[0]))
+})
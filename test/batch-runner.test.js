@@ -0,0 +1,111 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { parseUrlList, normalizeConcurrency, runWithConcurrency, createBatchReport, MAX_BATCH_CONCURRENCY } from '../batch-runner.js'
+import { AnalysisJobManager } from '../analysis-jobs.js'
+import { FetchError } from '../analysis-errors.js'
+
+const REGELING_A = 'https://www.rvo.nl/subsidies-financiering/regeling-a'
+const REGELING_B = 'https://www.rvo.nl/subsidies-financiering/regeling-b'
+
+test('parses a URL list without comments, blank lines and duplicates, and reports invalid lines', () => {
+    const list = [
+        '# Regelingen voor de nachtelijke run',
+        REGELING_A,
+        '',
+        '   ',
+        `  ${REGELING_B}  `,
+        '    # uitgeschakeld: https://www.rvo.nl/subsidies-financiering/regeling-c',
+        REGELING_A,
+        'www.rvo.nl/subsidies-financiering/regeling-d',
+        'ftp://www.rvo.nl/regeling-e'
+    ].join('\r\n')
+
+    assert.deepEqual(parseUrlList(list), {
+        urls: [REGELING_A, REGELING_B],
+        invalid: ['www.rvo.nl/subsidies-financiering/regeling-d', 'ftp://www.rvo.nl/regeling-e']
+    })
+    assert.deepEqual(parseUrlList(''), { urls: [], invalid: [] })
+})
+
+test('clamps the concurrency of a batch', () => {
+    assert.equal(normalizeConcurrency('3'), 3)
+    assert.equal(normalizeConcurrency(0), 2)
+    assert.equal(normalizeConcurrency('veel'), 2)
+    assert.equal(normalizeConcurrency(1000), MAX_BATCH_CONCURRENCY)
+})
+
+test('runs at most `concurrency` workers at once and records a failure without stopping the others', async () => {
+    let running = 0
+    let maxRunning = 0
+    const outcomes = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        running--
+        if (item === 2) throw new Error('mislukt')
+        return item * 10
+    })
+
+    assert.equal(maxRunning, 2)
+    assert.deepEqual(outcomes.map(outcome => outcome.error ? outcome.error.message : outcome.value), [10, 'mislukt', 30, 40, 50])
+})
+
+test('aggregates per-URL entries into a batch report', () => {
+    const report = createBatchReport([
+        { url: REGELING_A, status: 'completed', attestations: 3, non_attestations: 2 },
+        { url: REGELING_B, status: 'failed', error: 'HTTP 404', error_class: 'fetch_failed' },
+        { url: 'https://www.rvo.nl/subsidies-financiering/regeling-c', status: 'running', attestations: null, non_attestations: null }
+    ], '2026-03-01T10:00:00.000Z', null)
+
+    assert.deepEqual(report, {
+        total: 3,
+        completed: 1,
+        failed: 1,
+        pending: 1,
+        started_at: '2026-03-01T10:00:00.000Z',
+        finished_at: null,
+        duration_ms: null,
+        attestations_total: 3,
+        non_attestations_total: 2,
+        failures: [{ url: REGELING_B, error: 'HTTP 404', error_class: 'fetch_failed' }]
+    })
+})
+
+test('describes a finished batch with per-URL results and the report', async () => {
+    // Agent that analyzes regeling-a and cannot fetch anything else
+    const createAgent = () => Object.assign(new EventEmitter(), {
+        async analyzeSubsidy(url) {
+            if (url !== REGELING_A) throw new FetchError(url, 'HTTP error! status: 404', 404)
+            return {
+                url: url,
+                title: 'Regeling A',
+                requirements: { attestations: [{ name: 'bank_iban' }], non_attestations: [{ name: 'projectplan' }, { name: 'begroting' }] }
+            }
+        }
+    })
+    const jobManager = new AnalysisJobManager({ createAgent: createAgent })
+
+    const batch = jobManager.createBatch([REGELING_A, REGELING_B], { concurrency: 2 })
+    await batch.finished
+    const described = jobManager.describeBatch(batch)
+
+    assert.equal(described.status, 'completed')
+    assert.deepEqual(described.results.map(result => [result.url, result.status, result.title, result.attestations, result.non_attestations, result.error_class]), [
+        [REGELING_A, 'completed', 'Regeling A', 1, 2, null],
+        [REGELING_B, 'failed', null, null, null, 'fetch_failed']
+    ])
+    assert.deepEqual({ ...described.report, finished_at: null, duration_ms: null }, {
+        total: 2,
+        completed: 1,
+        failed: 1,
+        pending: 0,
+        started_at: batch.created_at,
+        finished_at: null,
+        duration_ms: null,
+        attestations_total: 1,
+        non_attestations_total: 2,
+        failures: [{ url: REGELING_B, error: 'HTTP error! status: 404', error_class: 'fetch_failed' }]
+    })
+    assert.equal(described.report.finished_at, batch.finished_at)
+})
@@ -0,0 +1,123 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import CFB from 'cfb'
+import * as XLSX from 'xlsx'
+import { DocumentExtractionError, detectDocumentType, extractText } from '../document-extractors.js'
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+/**
+ * ZIP (OOXML, ODF) or OLE (Office 97-2003) container with the given entries
+ */
+function container(entries, fileType) {
+    const cfb = CFB.utils.cfb_new()
+    for (const [name, content] of Object.entries(entries)) {
+        CFB.utils.cfb_add(cfb, `/${name}`, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'))
+    }
+    return CFB.write(cfb, { type: 'buffer', fileType: fileType })
+}
+
+/**
+ * PPTX slide XML with one paragraph per text
+ */
+function slide(...paragraphs) {
+    const body = paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')
+    return `<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"><p:cSld><p:spTree><p:sp><p:txBody>${body}</p:txBody></p:sp></p:spTree></p:cSld></p:sld>`
+}
+
+/**
+ * Minimal Word 97-2003 file: one compressed (Windows-1252) piece in the WordDocument
+ * stream, described by the piece table in the 1Table stream
+ */
+function wordDocument(text) {
+    const textOffset = 0x400
+    const word = Buffer.alloc(textOffset + text.length)
+    word.writeUInt16LE(0xa5ec, 0)
+    // fWhichTblStm: the piece table is in 1Table
+    word.writeUInt16LE(0x0200, 0x0a)
+    word.writeUInt32LE(0, 0x01a2)
+    word.write(text, textOffset, 'latin1')
+
+    const table = Buffer.alloc(5 + 16)
+    table[0] = 0x02
+    table.writeUInt32LE(16, 1)
+    table.writeUInt32LE(0, 5)
+    table.writeUInt32LE(text.length, 9)
+    table.writeUInt32LE(0x40000000 | (textOffset * 2), 13 + 2)
+
+    return container({ WordDocument: word, '1Table': table }, 'cfb')
+}
+
+/**
+ * Excel 97-2003 workbook with one sheet
+ */
+function xlsWorkbook(sheetName, rows) {
+    const workbook = XLSX.utils.book_new()
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName)
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'biff8' })
+}
+
+test('detects the type from the magic bytes and container entries, whatever the URL says', () => {
+    const url = 'https://www.rvo.nl/sites/default/files/download?id=42'
+
+    assert.equal(detectDocumentType(Buffer.from('%PDF-1.7\n'), null, url), 'pdf')
+    assert.equal(detectDocumentType(Buffer.from('{\\rtf1\\ansi Hallo}'), null, url), 'rtf')
+    assert.equal(detectDocumentType(container({ 'ppt/presentation.xml': '<p:presentation/>' }, 'zip'), null, url), 'pptx')
+    assert.equal(detectDocumentType(container({ 'xl/workbook.xml': '<workbook/>' }, 'zip'), null, url), 'xlsx')
+    assert.equal(detectDocumentType(container({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': '<x/>' }, 'zip'), null, url), 'odt')
+    assert.equal(detectDocumentType(wordDocument('Hallo\r'), null, url), 'doc')
+    assert.equal(detectDocumentType(xlsWorkbook('Blad1', [['a']]), null, url), 'xls')
+    assert.equal(detectDocumentType(container({ EncryptionInfo: 'x', EncryptedPackage: 'x' }, 'cfb'), null, url), 'encrypted')
+    assert.equal(detectDocumentType(Buffer.from('Gewone tekst'), null, url), 'unknown')
+})
+
+test('follows the file contents and not a mislabeled Content-Type', async () => {
+    // An old .doc served as DOCX must not reach the DOCX parser
+    const doc = wordDocument('Aanvraagformulier\r')
+    assert.equal(detectDocumentType(doc, DOCX_TYPE, 'https://www.rvo.nl/formulier.docx'), 'doc')
+    assert.equal(await extractText(doc, detectDocumentType(doc, DOCX_TYPE)), 'Aanvraagformulier\n')
+
+    // An HTML error page served as PDF fails with a reason instead of yielding text
+    const errorPage = Buffer.from('<html><body>Pagina niet gevonden</body></html>')
+    const type = detectDocumentType(errorPage, 'application/pdf', 'https://www.rvo.nl/handleiding.pdf')
+    assert.equal(type, 'pdf')
+    await assert.rejects(extractText(errorPage, type), error =>
+        error instanceof DocumentExtractionError && error.reason === 'parse_failed')
+})
+
+test('extracts the slides of a PPTX in slide order', async () => {
+    const pptx = container({
+        'ppt/presentation.xml': '<p:presentation/>',
+        'ppt/slides/slide10.xml': slide('Tiende dia'),
+        'ppt/slides/slide2.xml': slide('Voorwaarden', 'U bent een mkb-onderneming'),
+        'ppt/slides/slide1.xml': slide('Subsidie')
+    }, 'zip')
+
+    assert.equal(await extractText(pptx, 'pptx'),
+        '\n=== Slide 1 ===\nSubsidie\n\n=== Slide 2 ===\nVoorwaarden\nU bent een mkb-onderneming\n\n=== Slide 10 ===\nTiende dia\n')
+})
+
+test('extracts an ODT with its headings as Markdown headings', async () => {
+    const odt = container({
+        mimetype: 'application/vnd.oasis.opendocument.text',
+        'content.xml': '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>' +
+            '<text:h text:outline-level="2">Wie kan aanvragen?</text:h>' +
+            '<text:p>Ondernemers<text:s/>met<text:tab/>een KvK-nummer.</text:p>' +
+            '</office:text></office:body></office:document-content>'
+    }, 'zip')
+
+    assert.equal(await extractText(odt, 'odt'), '## Wie kan aanvragen?\nOndernemers met\teen KvK-nummer.')
+})
+
+test('extracts the sheets of an XLS workbook', async () => {
+    const xls = xlsWorkbook('Begroting', [['Kostenpost', 'Bedrag'], ['Personeel', 25000]])
+
+    assert.equal(await extractText(xls, 'xls'), '\n=== Sheet: Begroting ===\nKostenpost\tBedrag\nPersoneel\t25000\n')
+})
+
+test('reports encrypted and unsupported documents with a reason', async () => {
+    const encrypted = container({ EncryptionInfo: 'x', EncryptedPackage: 'x' }, 'cfb')
+    await assert.rejects(extractText(encrypted, detectDocumentType(encrypted)), { reason: 'encrypted' })
+    await assert.rejects(extractText(Buffer.from('x'), 'ppt'), { reason: 'unsupported_type' })
+    await assert.rejects(extractText(Buffer.alloc(0), 'pdf'), { reason: 'no_text' })
+})
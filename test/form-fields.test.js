@@ -0,0 +1,96 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import CFB from 'cfb'
+import { loadAttestationSchema } from '../attestation-schema.js'
+import { extractFormFields, buildAutofillMap, mapFieldToAttestation } from '../form-fields.js'
+
+const schema = loadAttestationSchema()
+const FORM_URL = 'https://www.rvo.nl/sites/default/files/2026/01/aanvraagformulier.docx'
+
+function paragraph(...runs) {
+    return `<w:p>${runs.join('')}</w:p>`
+}
+
+function run(text) {
+    return `<w:r><w:t xml:space="preserve">${text}</w:t></w:r>`
+}
+
+function cell(content) {
+    return `<w:tc>${content || paragraph()}</w:tc>`
+}
+
+/**
+ * DOCX file with the given body paragraphs and tables
+ */
+function docx(body) {
+    const xml = `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body.join('')}</w:body></w:document>`
+    const cfb = CFB.utils.cfb_new()
+    CFB.utils.cfb_add(cfb, '/word/document.xml', Buffer.from(xml, 'utf8'))
+    return CFB.write(cfb, { type: 'buffer', fileType: 'zip' })
+}
+
+/**
+ * Small application form: a table with labelled blanks, content controls,
+ * a legacy checkbox and lines with a blank to fill in
+ */
+function applicationForm() {
+    const body = [
+        paragraph(run('Aanvraagformulier Test regeling')),
+        '<w:tbl>',
+        `<w:tr>${cell(paragraph(run('KvK-nummer *')))}${cell()}</w:tr>`,
+        `<w:tr>${cell(paragraph(run('Naam contactpersoon')))}${cell(paragraph(run('______')))}</w:tr>`,
+        `<w:tr>${cell(paragraph(run('IBAN')))}${cell('<w:sdt><w:sdtPr><w:alias w:val="Bankrekeningnummer"/><w:tag w:val="iban"/></w:sdtPr><w:sdtContent>' + paragraph(run('Klik hier')) + '</w:sdtContent></w:sdt>')}</w:tr>`,
+        `<w:tr>${cell(paragraph(run('Startdatum project')))}${cell('<w:sdt><w:sdtPr><w:date/></w:sdtPr><w:sdtContent>' + paragraph(run('Kies een datum')) + '</w:sdtContent></w:sdt>')}</w:tr>`,
+        '</w:tbl>',
+        paragraph(run('Jaarrekening bijgevoegd '), '<w:r><w:fldChar w:fldCharType="begin"><w:ffData><w:name w:val="jaarrekening"/><w:checkBox/></w:ffData></w:fldChar></w:r>'),
+        paragraph(run('Projecttitel: ______________')),
+        paragraph(run('E-mailadres contactpersoon: ______________'))
+    ]
+    return docx(body)
+}
+
+test('extracts content controls, legacy fields, table blanks and blank lines of a DOCX form', async () => {
+    const fields = await extractFormFields(applicationForm(), 'docx', '')
+
+    assert.deepEqual(fields.map(field => [field.name, field.label, field.kind, field.source, field.required]), [
+        ['iban', 'Bankrekeningnummer', 'text', 'content_control', false],
+        ['startdatum-project', 'Startdatum project', 'date', 'content_control', false],
+        ['jaarrekening', 'Jaarrekening bijgevoegd', 'checkbox', 'content_control', false],
+        ['kvk-nummer', 'KvK-nummer', 'text', 'table_label', true],
+        ['naam-contactpersoon', 'Naam contactpersoon', 'text', 'table_label', false],
+        ['projecttitel', 'Projecttitel', 'text', 'blank_line', false],
+        ['e-mailadres-contactpersoon', 'E-mailadres contactpersoon', 'text', 'blank_line', false]
+    ])
+})
+
+test('splits the fields of a form into prefill from attestations and manual input', async () => {
+    const documents = [{ url: FORM_URL, title: 'Aanvraagformulier', type: 'docx', form_fields: await extractFormFields(applicationForm(), 'docx', '') }]
+    const autofill = buildAutofillMap(documents, schema)
+
+    assert.deepEqual(autofill.prefill.map(entry => [entry.label, entry.attestation, entry.credential]), [
+        ['Bankrekeningnummer', 'bank_iban', 'bank_account'],
+        ['Jaarrekening bijgevoegd', 'financial_jaarrekening', 'annual_accounts'],
+        ['KvK-nummer', 'chamber_of_commerce_kvk_nummer', 'kvk_company'],
+        ['Naam contactpersoon', 'contact_contactpersoon', 'contact_details'],
+        ['E-mailadres contactpersoon', 'contact_emailadres', 'contact_details']
+    ])
+    assert.deepEqual(autofill.manual.map(entry => [entry.label, entry.reason]), [
+        ['Startdatum project', 'no_matching_attestation'],
+        ['Projecttitel', 'no_matching_attestation']
+    ])
+    assert.deepEqual(autofill.forms, [{ url: FORM_URL, title: 'Aanvraagformulier', type: 'docx', fields: 7, sources: ['content_control', 'table_label', 'blank_line'] }])
+    assert.equal(autofill.summary.fields_total, 7)
+})
+
+test('maps checkboxes only to documents and never maps signatures', () => {
+    assert.equal(mapFieldToAttestation({ label: 'Jaarrekening', kind: 'text' }, schema), null)
+    assert.equal(mapFieldToAttestation({ label: 'KvK-nummer', kind: 'checkbox' }, schema), null)
+    assert.equal(mapFieldToAttestation({ label: 'Handtekening contactpersoon', kind: 'signature' }, schema), null)
+    assert.deepEqual(mapFieldToAttestation({ label: 'Kamer van Koophandel nummer', kind: 'text' }, schema),
+        { key: 'chamber_of_commerce_kvk_nummer', matched_label: 'Kamer van Koophandel' })
+})
+
+test('treats a document with only a few labelled blanks as no form', async () => {
+    const letter = docx([paragraph(run('Geachte heer, mevrouw,')), paragraph(run('Naam: ______________')), paragraph(run('Datum: ______________'))])
+    assert.deepEqual(await extractFormFields(letter, 'docx', ''), [])
+})
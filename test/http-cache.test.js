@@ -0,0 +1,150 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { HttpCache } from '../http-cache.js'
+import { documentTitle } from '../document-extractors.js'
+
+const DOCUMENT_URL = 'https://www.rvo.nl/sites/default/files/2026/01/download?id=42'
+
+test('replays Content-Disposition from a fresh cache entry, so document titles match uncached runs', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'http-cache-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+
+    let requests = 0
+    const cache = new HttpCache({
+        directory: directory,
+        fetchImpl: async () => {
+            requests++
+            return new Response('%PDF-1.4', {
+                headers: { 'content-type': 'application/pdf', 'content-disposition': 'attachment; filename="Handleiding aanvragen.pdf"' }
+            })
+        }
+    })
+
+    const miss = await cache.fetch(DOCUMENT_URL)
+    const fresh = await cache.fetch(DOCUMENT_URL)
+
+    assert.equal(miss.cache, 'miss')
+    assert.equal(fresh.cache, 'fresh')
+    assert.equal(requests, 1)
+    assert.equal(fresh.headers.get('content-disposition'), 'attachment; filename="Handleiding aanvragen.pdf"')
+    assert.equal(
+        documentTitle(DOCUMENT_URL, fresh.headers.get('content-disposition')),
+        documentTitle(DOCUMENT_URL, miss.headers.get('content-disposition'))
+    )
+})
+
+const PAGE_URL = 'https://www.rvo.nl/subsidies-financiering/test-regeling'
+
+/**
+ * Cache in a temporary directory in front of a fake server. The server answers
+ * with respond(request, headers); every request is recorded.
+ */
+async function cacheWithServer(t, respond, options = {}) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'http-cache-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+
+    const requests = []
+    const cache = new HttpCache({
+        directory: directory,
+        ...options,
+        fetchImpl: async (url, fetchOptions = {}) => {
+            const headers = fetchOptions.headers || {}
+            requests.push(headers)
+            return respond(requests.length, headers)
+        }
+    })
+    return { cache, requests, directory }
+}
+
+/**
+ * Make the cache entry of a URL older than any TTL
+ */
+async function expire(cache, url) {
+    const metaPath = cache.responsePath(url, 'json')
+    const meta = JSON.parse(await fs.promises.readFile(metaPath, 'utf8'))
+    await fs.promises.writeFile(metaPath, JSON.stringify({ ...meta, fetched_at: '2000-01-01T00:00:00.000Z' }))
+}
+
+test('answers from the cache without a request within the TTL', async (t) => {
+    const { cache, requests } = await cacheWithServer(t, () => new Response('<html>v1</html>', { headers: { etag: '"v1"' } }))
+
+    await cache.fetch(PAGE_URL)
+    const fresh = await cache.fetch(PAGE_URL)
+
+    assert.equal(fresh.cache, 'fresh')
+    assert.equal(await fresh.text(), '<html>v1</html>')
+    assert.equal(requests.length, 1)
+})
+
+test('revalidates a stale entry with If-None-Match and If-Modified-Since and keeps it on 304', async (t) => {
+    const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT'
+    const { cache, requests } = await cacheWithServer(t, (count) => count === 1
+        ? new Response('<html>v1</html>', { headers: { etag: '"v1"', 'last-modified': lastModified } })
+        : new Response(null, { status: 304 }))
+
+    await cache.fetch(PAGE_URL)
+    await expire(cache, PAGE_URL)
+    const revalidated = await cache.fetch(PAGE_URL)
+
+    assert.equal(revalidated.cache, 'revalidated')
+    assert.equal(await revalidated.text(), '<html>v1</html>')
+    assert.deepEqual(requests[1], { 'If-None-Match': '"v1"', 'If-Modified-Since': lastModified })
+
+    // The revalidation counts as a new fetch for the TTL
+    assert.equal((await cache.fetch(PAGE_URL)).cache, 'fresh')
+    assert.equal(requests.length, 2)
+})
+
+test('replaces a stale entry when the server answers 200 with a changed page', async (t) => {
+    const { cache } = await cacheWithServer(t, (count) => new Response(`<html>v${count}</html>`, { headers: { etag: `"v${count}"` } }))
+
+    await cache.fetch(PAGE_URL)
+    await expire(cache, PAGE_URL)
+    const changed = await cache.fetch(PAGE_URL)
+    const fresh = await cache.fetch(PAGE_URL)
+
+    assert.equal(changed.cache, 'miss')
+    assert.equal(await changed.text(), '<html>v2</html>')
+    assert.equal(fresh.cache, 'fresh')
+    assert.equal(await fresh.text(), '<html>v2</html>')
+    assert.equal(fresh.headers.get('etag'), '"v2"')
+})
+
+test('bypasses the cache when it is disabled (cache: false)', async (t) => {
+    const { cache, requests, directory } = await cacheWithServer(t, (count) => new Response(`<html>v${count}</html>`), { enabled: false })
+
+    const first = await cache.fetch(PAGE_URL)
+    const second = await cache.fetch(PAGE_URL)
+
+    assert.equal(first.cache, 'disabled')
+    assert.equal(await second.text(), '<html>v2</html>')
+    assert.equal(requests.length, 2)
+    assert.deepEqual(await fs.promises.readdir(directory), [])
+})
+
+test('keeps the ETag and body of one response together when the same URL is fetched at once', async (t) => {
+    const { cache } = await cacheWithServer(t, (count) => new Response(`<html>v${count}</html>`, { headers: { etag: `"v${count}"` } }))
+
+    await Promise.all([1, 2, 3, 4].map(() => cache.fetch(PAGE_URL)))
+    const entry = await cache.readEntry(PAGE_URL)
+
+    assert.equal(`<html>${entry.meta.etag.replace(/"/g, '')}</html>`, entry.body.toString('utf8'))
+})
+
+test('treats a corrupt or mismatched entry as a miss, and other read errors as errors', async (t) => {
+    const { cache } = await cacheWithServer(t, () => new Response('<html>v1</html>'))
+
+    await cache.fetch(PAGE_URL)
+    await fs.promises.writeFile(cache.responsePath(PAGE_URL, 'body'), '<html>ander</html>')
+    assert.equal(await cache.readEntry(PAGE_URL), null)
+
+    await fs.promises.writeFile(cache.responsePath(PAGE_URL, 'json'), '{"url": ')
+    assert.equal(await cache.readEntry(PAGE_URL), null)
+
+    await fs.promises.rm(cache.responsePath(PAGE_URL, 'json'))
+    await fs.promises.mkdir(cache.responsePath(PAGE_URL, 'json'))
+    await assert.rejects(cache.readEntry(PAGE_URL), { code: 'EISDIR' })
+})
@@ -0,0 +1,32 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { OpenAIProvider, AzureOpenAIProvider, structuredOutputModeFor } from '../llm-providers.js'
+
+const RESPONSE_SCHEMA = { name: 'scraping_plan', schema: { type: 'object' } }
+
+test('picks the structured output mode from what the model supports', () => {
+    assert.equal(structuredOutputModeFor('gpt-4'), 'off')
+    assert.equal(structuredOutputModeFor('gpt-4-0613'), 'off')
+    assert.equal(structuredOutputModeFor('gpt-4-turbo'), 'json_object')
+    assert.equal(structuredOutputModeFor('gpt-4o-2024-05-13'), 'json_object')
+    assert.equal(structuredOutputModeFor('gpt-4o'), 'json_schema')
+    assert.equal(structuredOutputModeFor('gpt-4o-mini'), 'json_schema')
+    assert.equal(structuredOutputModeFor('llama3.1'), 'off')
+})
+
+test('sends no response_format to gpt-4 unless LLM_STRUCTURED_OUTPUT says so', () => {
+    const auto = new OpenAIProvider({ apiKey: 'test-key' })
+    assert.deepEqual(auto.responseFormat(RESPONSE_SCHEMA, 'gpt-4'), {})
+    assert.equal(auto.responseFormat(RESPONSE_SCHEMA, 'gpt-4o').response_format.type, 'json_schema')
+
+    const forced = new OpenAIProvider({ apiKey: 'test-key', structuredOutput: 'json_object' })
+    assert.deepEqual(forced.responseFormat(RESPONSE_SCHEMA, 'gpt-4'), { response_format: { type: 'json_object' } })
+})
+
+test('uses JSON mode on Azure api versions without JSON Schema output', () => {
+    const options = { apiKey: 'test-key', endpoint: 'https://example.openai.azure.com', deployment: 'analyser' }
+
+    assert.equal(new AzureOpenAIProvider(options).structuredOutputMode('gpt-4o'), 'json_object')
+    assert.equal(new AzureOpenAIProvider({ ...options, apiVersion: '2024-08-01-preview' }).structuredOutputMode('gpt-4o'), 'json_schema')
+    assert.equal(new AzureOpenAIProvider(options).structuredOutputMode('gpt-4'), 'off')
+})
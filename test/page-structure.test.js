@@ -0,0 +1,99 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import * as cheerio from 'cheerio'
+import { extractSections, sectionsToMarkdown } from '../page-structure.js'
+
+/**
+ * Sections of the <main> of an HTML fixture
+ */
+function sectionsOf(html) {
+    const $ = cheerio.load(html)
+    return extractSections($, $('main'))
+}
+
+test('splits a page into sections along its heading hierarchy', () => {
+    const sections = sectionsOf(`<main>
+        <p>Met deze regeling krijgt u subsidie.</p>
+        <h2>Voorwaarden</h2>
+        <p>U bent een mkb-onderneming.</p>
+        <h3>Wie kan aanvragen?</h3>
+        <p>Ondernemers in <strong>Nederland</strong>.</p>
+        <h2>Voorwaarden</h2>
+        <p>Tweede blok.</p>
+        <script>var tracking = true</script>
+    </main>`)
+
+    assert.deepEqual(sections, [
+        { id: 'intro', heading: null, level: 0, path: [], text: 'Met deze regeling krijgt u subsidie.' },
+        { id: 'voorwaarden', heading: 'Voorwaarden', level: 2, path: ['Voorwaarden'], text: 'U bent een mkb-onderneming.' },
+        { id: 'wie-kan-aanvragen', heading: 'Wie kan aanvragen?', level: 3, path: ['Voorwaarden', 'Wie kan aanvragen?'], text: 'Ondernemers in Nederland.' },
+        { id: 'voorwaarden-2', heading: 'Voorwaarden', level: 2, path: ['Voorwaarden'], text: 'Tweede blok.' }
+    ])
+})
+
+test('expands accordion panels under their own heading', () => {
+    const sections = sectionsOf(`<main>
+        <h2>Aanvragen</h2>
+        <div class="accordion">
+            <h3><button aria-expanded="false" aria-controls="panel-1">Welke documenten stuurt u mee?</button></h3>
+            <div id="panel-1" hidden><p>Een projectplan en een begroting.</p></div>
+        </div>
+        <details>
+            <summary>Wanneer hoort u het besluit?</summary>
+            <p>Binnen 8 weken.</p>
+        </details>
+        <p>Na de accordion.</p>
+    </main>`)
+
+    assert.deepEqual(sections.map(section => [section.heading, section.level, section.text]), [
+        ['Aanvragen', 2, 'Na de accordion.'],
+        ['Welke documenten stuurt u mee?', 3, 'Een projectplan en een begroting.'],
+        ['Wanneer hoort u het besluit?', 3, 'Binnen 8 weken.']
+    ])
+    assert.deepEqual(sections[2].path, ['Aanvragen', 'Wanneer hoort u het besluit?'])
+})
+
+test('keeps list items, nested lists included, as Markdown items', () => {
+    const [section] = sectionsOf(`<main>
+        <h2>Wat heeft u nodig</h2>
+        <ul>
+            <li>Uw KvK-nummer</li>
+            <li>Een projectplan
+                <ol><li>Doel</li><li>Planning</li></ol>
+            </li>
+        </ul>
+    </main>`)
+
+    assert.equal(section.text, '- Uw KvK-nummer\n- Een projectplan\n  1. Doel\n  2. Planning')
+})
+
+test('converts tables to Markdown, padding colspans', () => {
+    const [section] = sectionsOf(`<main>
+        <h2>Bedragen</h2>
+        <table>
+            <caption>Subsidie per onderdeel</caption>
+            <tr><th>Onderdeel</th><th>Percentage</th><th>Maximum</th></tr>
+            <tr><td>Onderzoek</td><td>50%</td><td>€ 25.000</td></tr>
+            <tr><td colspan="2">Totaal | plafond</td><td>€ 100.000</td></tr>
+        </table>
+    </main>`)
+
+    assert.equal(section.text, [
+        'Subsidie per onderdeel',
+        '',
+        '| Onderdeel | Percentage | Maximum |',
+        '| --- | --- | --- |',
+        '| Onderzoek | 50% | € 25.000 |',
+        '| Totaal \\| plafond |  | € 100.000 |'
+    ].join('\n'))
+})
+
+test('renders sections as one Markdown document', () => {
+    const markdown = sectionsToMarkdown(sectionsOf(`<main>
+        <p>Inleiding.</p>
+        <h2>Voorwaarden</h2>
+        <ul><li>Uw KvK-nummer</li></ul>
+    </main>`))
+
+    assert.equal(markdown, 'Inleiding.\n\n## Voorwaarden\n\n- Uw KvK-nummer')
+})
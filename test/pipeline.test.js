@@ -0,0 +1,203 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { RVOAgentAIAutonomous } from '../agent-ai-autonomous.js'
+import { ScriptedProvider } from '../llm-providers.js'
+import { UrlPolicy } from '../url-policy.js'
+
+const MAIN_URL = 'https://www.rvo.nl/subsidies-financiering/test-regeling'
+const CONDITIONS_URL = 'https://www.rvo.nl/subsidies-financiering/test-regeling/voorwaarden'
+
+const PAGES = {
+    [MAIN_URL]: `<html><head><title>Test regeling</title></head><body>
+        <nav><a href="/contact">Contact</a></nav>
+        <main>
+            <h1>Test regeling</h1>
+            <p>Met de Test regeling krijgt u subsidie voor innovatieve projecten.</p>
+            <a href="/subsidies-financiering/test-regeling/voorwaarden">Voorwaarden</a>
+        </main>
+    </body></html>`,
+    [CONDITIONS_URL]: `<html><head><title>Voorwaarden</title></head><body>
+        <main>
+            <h1>Voorwaarden</h1>
+            <h2>Wat heeft u nodig</h2>
+            <ul>
+                <li>U staat ingeschreven bij de KVK en vermeldt uw KvK-nummer.</li>
+                <li>U stuurt een projectplan mee met uw aanvraag.</li>
+            </ul>
+            <p>U kunt aanvragen van 1 april 2026 tot en met 30 juni 2026.</p>
+        </main>
+    </body></html>`
+}
+
+/**
+ * Fetcher serving PAGES, with the same signature as PoliteFetcher.fetch
+ */
+function createSiteFetcher() {
+    return {
+        async fetch(url, options = {}) {
+            if (!PAGES[url]) return new Response('Not found', { status: 404 })
+            return new Response(options.method === 'HEAD' ? null : PAGES[url], { headers: { 'content-type': 'text/html; charset=utf-8' } })
+        }
+    }
+}
+
+function createAgent(responses, options = {}) {
+    const llm = new ScriptedProvider(responses)
+    const agent = new RVOAgentAIAutonomous({
+        llm: llm,
+        cache: false,
+        corrections: false,
+        fetcher: createSiteFetcher(),
+        // rvo.nl resolves to a public address without a real DNS lookup
+        urlPolicy: new UrlPolicy({ lookup: (hostname, options, callback) => callback(null, [{ address: '93.184.216.34', family: 4 }]) }),
+        crawl: { maxDepth: 1 },
+        ...options
+    })
+    return { agent, llm }
+}
+
+const PLAN = {
+    main_page: { url: MAIN_URL, title: 'Test regeling', priority: 'high' },
+    sub_pages: [{ url: CONDITIONS_URL, reason: 'Voorwaarden van de regeling', priority: 'high' }],
+    documents: [],
+    max_pages: 8,
+    max_documents: 5,
+    focus_keywords: ['voorwaarden']
+}
+
+const ANALYSIS = {
+    attestations: [{
+        name: 'chamber_of_commerce_kvk_nummer',
+        source_url: CONDITIONS_URL,
+        quote: 'U staat ingeschreven bij de KVK en vermeldt uw KvK-nummer.',
+        document_type: 'page',
+        section: 'Wat heeft u nodig'
+    }],
+    non_attestations: [{
+        name: 'projectplan',
+        source_url: CONDITIONS_URL,
+        quote: 'U stuurt een projectplan mee met uw aanvraag.',
+        document_type: 'page',
+        section: 'Wat heeft u nodig'
+    }],
+    analysis_notes: 'KvK-inschrijving en projectplan gevonden'
+}
+
+const METADATA = {
+    application_windows: [{
+        opens_on: '1 april 2026',
+        closes_on: '30 juni 2026',
+        closes_at_time: null,
+        description: null,
+        source_url: CONDITIONS_URL,
+        quote: 'U kunt aanvragen van 1 april 2026 tot en met 30 juni 2026.'
+    }],
+    total_budget: { value: null, source_url: null, quote: null },
+    max_amount_per_applicant: { value: null, source_url: null, quote: null },
+    subsidy_percentage: { value: null, source_url: null, quote: null },
+    target_groups: { values: [], source_url: null, quote: null },
+    sectors: { values: [], source_url: null, quote: null },
+    legal_basis: { values: [], source_url: null, quote: null }
+}
+
+test('analyzes a regulation from plan to metadata with scripted model answers', async () => {
+    const { agent, llm } = createAgent([JSON.stringify(PLAN), JSON.stringify(ANALYSIS), JSON.stringify(METADATA)])
+
+    const result = await agent.analyzeSubsidy(MAIN_URL)
+
+    assert.equal(result.error, undefined)
+    assert.equal(result.title, 'Test regeling')
+    assert.equal(result.pages_analyzed, 2)
+    assert.deepEqual(result.fallbacks, [])
+    assert.deepEqual(llm.calls.map(call => call.responseSchema ? call.responseSchema.name : null), ['scraping_plan', 'requirement_analysis', 'subsidy_metadata'])
+
+    const [kvk] = result.requirements.attestations
+    assert.equal(kvk.name, 'chamber_of_commerce_kvk_nummer')
+    assert.equal(kvk.source_url, CONDITIONS_URL)
+    assert.equal(kvk.verified, true)
+    assert.deepEqual(result.requirements.non_attestations.map(requirement => requirement.name), ['projectplan'])
+    assert.equal(result.requirements.unverified_count, 0)
+
+    assert.equal(result.metadata.application_windows.length, 1)
+    assert.equal(result.metadata.application_windows[0].opens_on, '2026-04-01')
+    assert.equal(result.crawl_tree.children[0].status, 'scraped')
+})
+
+test('crawls every page again when the agent is reused for a second run', async () => {
+    const { agent } = createAgent([
+        JSON.stringify(PLAN), JSON.stringify(ANALYSIS), JSON.stringify(METADATA),
+        JSON.stringify(PLAN), JSON.stringify(ANALYSIS), JSON.stringify(METADATA)
+    ])
+
+    await agent.analyzeSubsidy(MAIN_URL)
+    const second = await agent.analyzeSubsidy(MAIN_URL)
+
+    assert.equal(second.pages_analyzed, 2)
+    assert.equal(second.crawl_tree.children[0].status, 'scraped')
+})
+
+test('sends an answer that does not match the output schema back for repair', async () => {
+    const { agent, llm } = createAgent([
+        JSON.stringify(PLAN),
+        JSON.stringify({ attestations: [], analysis_notes: 'non_attestations vergeten' }),
+        JSON.stringify(ANALYSIS),
+        JSON.stringify(METADATA)
+    ])
+    const events = []
+    agent.on('progress', event => events.push(event.phase))
+
+    const result = await agent.analyzeSubsidy(MAIN_URL)
+
+    assert.equal(result.requirements.attestations.length, 1)
+    assert.ok(events.includes('llm_output_invalid'))
+    assert.ok(events.includes('llm_output_repaired'))
+    // The repair request carries the invalid answer and the validation errors
+    const repair = llm.calls[2].messages
+    assert.equal(repair[repair.length - 2].role, 'assistant')
+    assert.match(repair[repair.length - 1].content, /missing property "non_attestations"/)
+})
+
+test('moves an attestation that is not in the schema to rejected and keeps the rest of the chunk', async () => {
+    const unknown = { ...ANALYSIS.attestations[0], name: 'bankafschrift' }
+    const { agent, llm } = createAgent([
+        JSON.stringify(PLAN),
+        JSON.stringify({ ...ANALYSIS, attestations: [...ANALYSIS.attestations, unknown] }),
+        JSON.stringify(METADATA)
+    ])
+
+    const result = await agent.analyzeSubsidy(MAIN_URL)
+
+    assert.equal(llm.calls.length, 3)
+    assert.deepEqual(result.requirements.attestations.map(requirement => requirement.name), ['chamber_of_commerce_kvk_nummer'])
+    assert.deepEqual(result.requirements.non_attestations.map(requirement => requirement.name), ['projectplan'])
+    assert.equal(result.requirements.rejected.length, 1)
+    assert.equal(result.requirements.rejected[0].name, 'bankafschrift')
+    assert.equal(result.requirements.rejected[0].list, 'attestations')
+})
+
+test('falls back to the main page when the plan stays invalid', async () => {
+    const { agent } = createAgent(['geen JSON', 'nog steeds geen JSON', '{}', JSON.stringify(ANALYSIS), JSON.stringify(METADATA)])
+
+    const result = await agent.analyzeSubsidy(MAIN_URL)
+
+    assert.equal(result.fallbacks[0].phase, 'planning')
+    assert.equal(result.fallbacks[0].reason, 'invalid_output')
+    assert.equal(result.pages_analyzed, 1)
+})
+
+test('drops a planned sub-page that is not a link on the main page and records it in the diagnostics', async () => {
+    const madeUp = 'https://www.rvo.nl/subsidies-financiering/test-regeling/bestaat-niet'
+    const plan = { ...PLAN, sub_pages: [...PLAN.sub_pages, { url: madeUp, reason: 'Aanvragen', priority: 'high' }] }
+    const { agent } = createAgent([JSON.stringify(plan), JSON.stringify(ANALYSIS), JSON.stringify(METADATA)])
+
+    const result = await agent.analyzeSubsidy(MAIN_URL)
+
+    assert.equal(result.pages_analyzed, 2)
+    assert.ok(!result.diagnostics.urls.some(entry => entry.url === madeUp))
+    assert.deepEqual(result.diagnostics.errors.filter(entry => entry.phase === 'planning'), [{
+        phase: 'planning',
+        url: madeUp,
+        error_class: 'llm_format',
+        error: 'Planned sub-page is not a link on the main page'
+    }])
+})
@@ -0,0 +1,100 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import { PoliteFetcher } from '../polite-fetcher.js'
+import { UrlPolicy } from '../url-policy.js'
+
+/**
+ * Local HTTP server for one test, closed afterwards
+ */
+async function startServer(t, handler) {
+    const server = http.createServer(handler)
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    t.after(() => {
+        server.closeAllConnections()
+        return new Promise(resolve => server.close(resolve))
+    })
+    return `http://127.0.0.1:${server.address().port}`
+}
+
+test('cuts off a body that is sent slower than the timeout', async (t) => {
+    const origin = await startServer(t, (request, response) => {
+        response.writeHead(200, { 'content-type': 'text/html' })
+        response.write('<html>')
+        // One byte every 50ms, never finished
+        const drip = setInterval(() => response.write(' '), 50)
+        response.on('close', () => clearInterval(drip))
+    })
+    const fetcher = new PoliteFetcher({ timeoutMs: 300, respectRobots: false, requestsPerSecond: 100 })
+
+    const response = await fetcher.fetch(`${origin}/slow`)
+    const started = Date.now()
+    await assert.rejects(response.text(), /timed out after 300ms/)
+    assert.ok(Date.now() - started < 2000)
+})
+
+test('gives up instead of waiting for a Retry-After beyond the maximum backoff', async (t) => {
+    let requests = 0
+    const origin = await startServer(t, (request, response) => {
+        requests++
+        response.writeHead(503, { 'retry-after': '86400' })
+        response.end('Onderhoud')
+    })
+    const fetcher = new PoliteFetcher({ respectRobots: false, requestsPerSecond: 100, maxBackoffMs: 1000 })
+
+    const response = await fetcher.fetch(`${origin}/maintenance`)
+    assert.equal(response.status, 503)
+    assert.equal(requests, 1)
+})
+
+test('caps the delay before a retry', () => {
+    const fetcher = new PoliteFetcher({ backoffMs: 1000, maxBackoffMs: 5000 })
+    const retryAfter = (value) => ({ headers: new Map([['retry-after', value]]) })
+
+    assert.equal(fetcher.retryDelay(1, retryAfter('3')), 3000)
+    assert.equal(fetcher.retryDelay(1, retryAfter('86400')), null)
+    assert.equal(fetcher.retryDelay(1, retryAfter(new Date(Date.now() + 24 * 60 * 60 * 1000).toUTCString())), null)
+    assert.equal(fetcher.retryDelay(10, null), 5000)
+})
+
+test('requests robots.txt through the URL policy', async (t) => {
+    const requested = []
+    const origin = await startServer(t, (request, response) => {
+        requested.push(request.url)
+        response.writeHead(200, { 'content-type': 'text/plain' })
+        response.end(request.url === '/robots.txt' ? 'User-agent: *\nDisallow: /intern' : 'ok')
+    })
+
+    // The default policy refuses 127.0.0.1, so robots.txt is never requested
+    const blocked = new PoliteFetcher({ requestsPerSecond: 100, urlPolicy: new UrlPolicy() })
+    assert.equal(await blocked.isAllowed(`${origin}/intern`), true)
+    assert.deepEqual(requested, [])
+
+    const allowed = new PoliteFetcher({ requestsPerSecond: 100, urlPolicy: new UrlPolicy({ allowAnyHost: true, allowPrivateNetworks: true }) })
+    assert.equal(await allowed.isAllowed(`${origin}/intern`), false)
+    assert.deepEqual(requested, ['/robots.txt'])
+})
+
+test('applies the robots.txt group of a configured User-Agent', async (t) => {
+    const origin = await startServer(t, (request, response) => {
+        response.writeHead(200, { 'content-type': 'text/plain' })
+        response.end([
+            'User-agent: RVO-Subsidie-Analyser',
+            'Disallow: /',
+            '',
+            'User-agent: Gemeente-Crawler',
+            'Disallow: /intern',
+            '',
+            'User-agent: *',
+            'Disallow: /'
+        ].join('\n'))
+    })
+    const fetcher = new PoliteFetcher({
+        userAgent: 'Gemeente-Crawler/2.0 (+mailto:beheer@example.nl)',
+        requestsPerSecond: 100,
+        urlPolicy: new UrlPolicy({ allowAnyHost: true, allowPrivateNetworks: true })
+    })
+
+    assert.equal(await fetcher.isAllowed(`${origin}/subsidies`), true)
+    assert.equal(await fetcher.isAllowed(`${origin}/intern/lijst`), false)
+})
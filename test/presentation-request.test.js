@@ -0,0 +1,65 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { PEX } from '@sphereon/pex'
+import { DcqlQuery } from 'dcql'
+import { loadAttestationSchema } from '../attestation-schema.js'
+import { buildPresentationRequest } from '../presentation-request.js'
+
+const schema = loadAttestationSchema()
+
+/**
+ * Stored analysis that requires every attestation in the schema
+ */
+function analysisRequiring(names) {
+    return {
+        url: 'https://www.rvo.nl/subsidies-financiering/test-regeling',
+        title: 'Test regeling',
+        analyzed_at: '2026-01-01T00:00:00.000Z',
+        requirements: { attestations: names.map(name => ({ name: name })) }
+    }
+}
+
+/**
+ * Check a presentation definition against the DIF Presentation Exchange v2 JSON schema
+ */
+function assertValidPresentationDefinition(definition) {
+    assert.equal(PEX.definitionVersionDiscovery(definition).version, 'v2')
+    const results = PEX.validateDefinition(definition)
+    assert.deepEqual(results.filter(result => result.status !== 'info'), [])
+}
+
+/**
+ * Check a DCQL query against the OpenID4VP DCQL model of the reference implementation
+ */
+function assertValidDcqlQuery(query) {
+    DcqlQuery.validate(DcqlQuery.parse(query))
+}
+
+test('generates a PE v2 definition and a DCQL query that pass the reference validators', () => {
+    const request = buildPresentationRequest(schema, analysisRequiring(Object.keys(schema.attestation_schema)))
+
+    assert.ok(request.requested_attestations.length > 0)
+    assertValidPresentationDefinition(request.presentation_definition)
+    assertValidDcqlQuery(request.dcql_query)
+})
+
+test('each format on its own passes the reference validators', () => {
+    const analysis = analysisRequiring(Object.keys(schema.attestation_schema))
+
+    const pe = buildPresentationRequest(schema, analysis, { format: 'pe' })
+    assert.equal(pe.dcql_query, undefined)
+    assertValidPresentationDefinition(pe.presentation_definition)
+
+    const dcql = buildPresentationRequest(schema, analysis, { format: 'dcql' })
+    assert.equal(dcql.presentation_definition, undefined)
+    assertValidDcqlQuery(dcql.dcql_query)
+})
+
+test('the reference validators reject a broken request', () => {
+    const request = buildPresentationRequest(schema, analysisRequiring(Object.keys(schema.attestation_schema)))
+
+    assert.throws(() => assertValidPresentationDefinition({ ...request.presentation_definition, input_descriptors: 'kvk' }))
+    assert.throws(() => assertValidDcqlQuery({
+        credentials: request.dcql_query.credentials.map(credential => ({ ...credential, id: 'not valid!' }))
+    }))
+})
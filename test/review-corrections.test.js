@@ -0,0 +1,36 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { ReviewCorrections } from '../review-corrections.js'
+
+function reviewOf(runId, name) {
+    const run = { run_id: runId, subsidy_id: 'test-regeling', url: 'https://www.rvo.nl/subsidies-financiering/test-regeling', title: 'Test regeling' }
+    const entry = {
+        id: 1,
+        action: 'reject',
+        list: 'non_attestations',
+        name: name,
+        reason: 'Geen eis van de regeling',
+        reviewer: 'expert',
+        reviewed_at: `2026-01-0${runId}T00:00:00.000Z`,
+        before: { name: name }
+    }
+    return [run, [entry]]
+}
+
+test('keeps every correction of reviews saved at the same time', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'corrections-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+    const filePath = path.join(directory, 'review-corrections.json')
+    await fs.promises.writeFile(filePath, JSON.stringify({ corrections: [] }))
+
+    const corrections = new ReviewCorrections({ filePath: filePath })
+    await Promise.all([1, 2, 3].map(runId => corrections.addFromReview(...reviewOf(runId, `vereiste ${runId}`))))
+
+    assert.equal((await corrections.list()).length, 3)
+    const stored = JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+    assert.deepEqual(stored.corrections.map(correction => correction.name).sort(), ['vereiste 1', 'vereiste 2', 'vereiste 3'])
+    assert.deepEqual((await fs.promises.readdir(directory)).filter(file => file.endsWith('.tmp')), [])
+})
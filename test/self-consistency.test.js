@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { loadAttestationSchema } from '../attestation-schema.js'
+import { reconcileSamples } from '../self-consistency.js'
+
+const schema = loadAttestationSchema()
+const SOURCE_URL = 'https://www.rvo.nl/subsidies-financiering/test-regeling/voorwaarden'
+const KVK_QUOTE = 'U staat ingeschreven bij de KVK en vermeldt uw KvK-nummer.'
+
+function requirement(name, samples, quote = KVK_QUOTE) {
+    return { name: name, source_url: SOURCE_URL, quote: quote, document_type: 'page', verified: true, samples: samples }
+}
+
+test('matches a non-attestation to the attestation found at the same place and reports the conflict', () => {
+    const reconciled = reconcileSamples({
+        attestations: [requirement('chamber_of_commerce_kvk_nummer', [0, 1])],
+        non_attestations: [requirement('Inschrijving bij de KVK', [2])]
+    }, 3, 0.6, schema)
+
+    assert.deepEqual(reconciled.attestations, [])
+    assert.deepEqual(reconciled.non_attestations, [])
+    assert.equal(reconciled.needs_review.length, 1)
+
+    const [conflict] = reconciled.needs_review
+    assert.equal(conflict.name, 'chamber_of_commerce_kvk_nummer')
+    assert.equal(conflict.category, 'attestation')
+    assert.equal(conflict.review_reason, 'category_conflict')
+    assert.equal(conflict.confidence, 0.67)
+    assert.deepEqual(conflict.agreement, { samples: 3, found_in: 3, attestation: 2, non_attestation: 1 })
+    assert.deepEqual(conflict.conflict, {
+        attestation: { name: 'chamber_of_commerce_kvk_nummer', samples: [0, 1] },
+        non_attestation: { name: 'Inschrijving bij de KVK', samples: [2] }
+    })
+})
+
+test('matches a non-attestation named after the label of an attestation', () => {
+    const reconciled = reconcileSamples({
+        attestations: [requirement('chamber_of_commerce_kvk_nummer', [0])],
+        non_attestations: [requirement('KvK-nummer', [1], 'Vermeld uw KvK-nummer op het formulier.')]
+    }, 2, 0.6, schema)
+
+    assert.equal(reconciled.needs_review.length, 1)
+    assert.equal(reconciled.needs_review[0].review_reason, 'category_conflict')
+    assert.equal(reconciled.needs_review[0].category, 'non_attestation')
+})
+
+test('does not match on a quote shared by several attestations', () => {
+    const quote = 'Stuur uw KvK-nummer en uw IBAN mee.'
+    const reconciled = reconcileSamples({
+        attestations: [requirement('chamber_of_commerce_kvk_nummer', [0, 1], quote), requirement('bank_iban', [0, 1], quote)],
+        non_attestations: [requirement('Bankgegevens', [1], quote)]
+    }, 2, 0.6, schema)
+
+    assert.deepEqual(reconciled.attestations.map(item => item.name).sort(), ['bank_iban', 'chamber_of_commerce_kvk_nummer'])
+    assert.deepEqual(reconciled.needs_review.map(item => [item.name, item.review_reason]), [['Bankgegevens', 'low_confidence']])
+})
+
+test('keeps requirements the samples agree on in their list', () => {
+    const reconciled = reconcileSamples({
+        attestations: [requirement('chamber_of_commerce_kvk_nummer', [0, 1, 2])],
+        non_attestations: [requirement('projectplan', [0, 2], 'U stuurt een projectplan mee.')]
+    }, 3, 0.6, schema)
+
+    assert.deepEqual(reconciled.attestations.map(item => [item.name, item.confidence]), [['chamber_of_commerce_kvk_nummer', 1]])
+    assert.deepEqual(reconciled.non_attestations.map(item => [item.name, item.confidence]), [['projectplan', 0.67]])
+    assert.deepEqual(reconciled.needs_review, [])
+})
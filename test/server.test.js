@@ -0,0 +1,176 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'child_process'
+import fs from 'fs'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { AnalysisStore } from '../analysis-store.js'
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url))
+
+async function freePort() {
+    const server = net.createServer()
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    const { port } = server.address()
+    await new Promise(resolve => server.close(resolve))
+    return port
+}
+
+/**
+ * Start server.js in a child process with its data in a temporary directory,
+ * resolves to its base URL once it listens. Stopped after the test.
+ */
+async function startServer(t, env = {}) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'server-'))
+    const port = await freePort()
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: directory,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            API_AUTH: 'off',
+            OPENAI_API_KEY: 'test-key',
+            ANALYSIS_STORE_DIR: path.join(directory, 'analyses'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    })
+    t.after(async () => {
+        child.kill()
+        await fs.promises.rm(directory, { recursive: true, force: true })
+    })
+
+    await new Promise((resolve, reject) => {
+        let output = ''
+        const timer = setTimeout(() => reject(new Error(`server did not start: ${output}`)), 10000)
+        child.stdout.on('data', data => {
+            output += data
+            if (output.includes('Server running')) {
+                clearTimeout(timer)
+                resolve()
+            }
+        })
+        child.stderr.on('data', data => { output += data })
+        child.on('exit', code => {
+            clearTimeout(timer)
+            reject(new Error(`server exited with ${code}: ${output}`))
+        })
+    })
+    return `http://127.0.0.1:${port}`
+}
+
+async function postJson(baseUrl, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    })
+    return { status: response.status, body: await response.json() }
+}
+
+test('POST /check refuses an invalid url with 400', async (t) => {
+    const baseUrl = await startServer(t)
+
+    for (const url of ['notaurl', 123, 'ftp://www.rvo.nl/regeling']) {
+        const response = await postJson(baseUrl, '/check', { url: url, attestations: {} })
+        assert.equal(response.status, 400, `url ${JSON.stringify(url)}`)
+        assert.equal(response.body.error, 'Invalid URL format')
+    }
+})
+
+test('POST /presentation-request refuses an invalid url with 400', async (t) => {
+    const baseUrl = await startServer(t)
+
+    for (const url of ['notaurl', 123, 'ftp://www.rvo.nl/regeling']) {
+        const response = await postJson(baseUrl, '/presentation-request', { url: url })
+        assert.equal(response.status, 400, `url ${JSON.stringify(url)}`)
+        assert.equal(response.body.error, 'Invalid URL format')
+    }
+})
+
+test('answers a malformed JSON body with 400 instead of 500', async (t) => {
+    const baseUrl = await startServer(t)
+
+    const response = await postJson(baseUrl, '/check', '{"url": "https://www.rvo.nl/regeling",')
+    assert.equal(response.status, 400)
+    assert.equal(response.body.error, 'Invalid JSON')
+    assert.equal(response.body.type, 'entity.parse.failed')
+})
+
+test('allows browsers on any origin when CORS_ORIGINS is not set', async (t) => {
+    const open = await startServer(t)
+    const response = await fetch(`${open}/health`, { headers: { Origin: 'https://portal.example.nl' } })
+    assert.equal(response.headers.get('access-control-allow-origin'), 'https://portal.example.nl')
+
+    const restricted = await startServer(t, { CORS_ORIGINS: 'https://portal.example.nl' })
+    const other = await fetch(`${restricted}/health`, { headers: { Origin: 'https://elders.example.nl' } })
+    assert.equal(other.headers.get('access-control-allow-origin'), null)
+})
+
+test('POST /catalogue/analyze refuses an unknown status with 400', async (t) => {
+    const baseUrl = await startServer(t)
+
+    const response = await postJson(baseUrl, '/catalogue/analyze', { status: 'opne' })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.error, 'Invalid status')
+})
+
+test('POST /catalogue/discover is only available to admin API keys', async (t) => {
+    const baseUrl = await startServer(t, { API_AUTH: 'on', API_KEYS: 'frontend:frontend-key' })
+
+    const response = await fetch(`${baseUrl}/catalogue/discover`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer frontend-key' },
+        body: JSON.stringify({ sources: ['sitemap'] })
+    })
+    assert.equal(response.status, 403)
+    assert.equal((await response.json()).error, 'Forbidden')
+})
+
+test('GET /subsidies/:id/diff answers 404 for an unknown ?to= run', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'analyses-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+    const run = await new AnalysisStore({ directory: directory }).saveAnalysis({
+        url: 'https://www.rvo.nl/subsidies-financiering/test-regeling',
+        title: 'Test regeling',
+        analyzed_at: '2026-03-01T10:00:00.000Z',
+        pages_analyzed: 1,
+        requirements: { attestations: [], non_attestations: [] }
+    })
+    const baseUrl = await startServer(t, { ANALYSIS_STORE_DIR: directory })
+
+    const unknown = await fetch(`${baseUrl}/subsidies/${run.subsidy_id}/diff?to=2026-01-01T00-00-00-000Z-abcdef`)
+    assert.equal(unknown.status, 404)
+
+    const single = await fetch(`${baseUrl}/subsidies/${run.subsidy_id}/diff`)
+    assert.equal(single.status, 400)
+    assert.equal((await single.json()).error, 'Not enough runs')
+})
+
+test('POST /analyze/batch refuses an empty, oversized or invalid URL list with 400', async (t) => {
+    const baseUrl = await startServer(t)
+
+    const empty = await postJson(baseUrl, '/analyze/batch', { urls: [] })
+    assert.equal(empty.status, 400)
+    assert.equal(empty.body.error, 'URLs are required')
+
+    const tooMany = await postJson(baseUrl, '/analyze/batch', {
+        urls: Array.from({ length: 101 }, (value, index) => `https://www.rvo.nl/subsidies-financiering/regeling-${index}`)
+    })
+    assert.equal(tooMany.status, 400)
+    assert.equal(tooMany.body.error, 'Too many URLs')
+
+    const invalid = await postJson(baseUrl, '/analyze/batch', { urls: ['https://www.rvo.nl/subsidies-financiering/regeling-a', 'notaurl', 42] })
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.error, 'Invalid URL format')
+    assert.deepEqual(invalid.body.invalid_urls, ['notaurl', 42])
+})
+
+test('GET /batches/:id answers 404 for an unknown batch', async (t) => {
+    const baseUrl = await startServer(t)
+
+    const response = await fetch(`${baseUrl}/batches/00000000-0000-0000-0000-000000000000`)
+    assert.equal(response.status, 404)
+})
@@ -0,0 +1,15 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { adapterByName } from '../site-adapters.js'
+
+test('treats RVO uploads as documents, but not the images and icons next to them', () => {
+    const rvo = adapterByName('rvo')
+
+    assert.equal(rvo.isDocumentUrl('https://www.rvo.nl/sites/default/files/2026/01/Handleiding.pdf'), true)
+    assert.equal(rvo.isDocumentUrl('https://www.rvo.nl/sites/default/files/2026/01/Begroting.xlsx?v=2'), true)
+    assert.equal(rvo.isDocumentUrl('https://www.rvo.nl/sites/default/files/2026/01/download?id=42&download=1'), true)
+
+    assert.equal(rvo.isDocumentUrl('https://www.rvo.nl/sites/default/files/styles/banner/hero.jpg'), false)
+    assert.equal(rvo.isDocumentUrl('https://www.rvo.nl/sites/default/files/logo-rvo.svg'), false)
+    assert.equal(rvo.isDocumentUrl('https://www.rvo.nl/sites/default/files/icons/pdf-icon.png'), false)
+})
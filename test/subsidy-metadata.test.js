@@ -0,0 +1,53 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { parseDate, parseTime, parseEuroAmount, parsePercentage } from '../subsidy-metadata.js'
+
+test('reads the euro amount next to the currency or multiplier only', () => {
+    assert.equal(parseEuroAmount('maximaal € 1,5 miljoen per aanvrager (2 jaar)'), 1500000)
+    assert.equal(parseEuroAmount('€ 200.000 per project, 3 projecten'), 200000)
+    assert.equal(parseEuroAmount('€ 25.000 tot € 50.000'), 25000)
+    assert.equal(parseEuroAmount('maximaal 50% tot € 100.000'), 100000)
+    assert.equal(parseEuroAmount('in 2025 is er 50.000 euro beschikbaar'), 50000)
+})
+
+test('reads Dutch and English amount notation', () => {
+    assert.equal(parseEuroAmount('€ 1.500.000'), 1500000)
+    assert.equal(parseEuroAmount('€ 1.500.000,50'), 1500000.5)
+    assert.equal(parseEuroAmount('€1,500,000.50'), 1500000.5)
+    assert.equal(parseEuroAmount('EUR 25.000,-'), 25000)
+    assert.equal(parseEuroAmount('€ 2 500 000'), 2500000)
+    assert.equal(parseEuroAmount('1,5 miljoen euro'), 1500000)
+    assert.equal(parseEuroAmount('totaal 12 mln'), 12000000)
+    assert.equal(parseEuroAmount(75000), 75000)
+    assert.equal(parseEuroAmount('geen maximum'), null)
+    assert.equal(parseEuroAmount(null), null)
+})
+
+test('reads the percentage next to the percent sign', () => {
+    assert.equal(parsePercentage('50%'), 50)
+    assert.equal(parsePercentage('12,5 %'), 12.5)
+    assert.equal(parsePercentage('tot 50 procent van de kosten'), 50)
+    assert.equal(parsePercentage('in 2025 25% van de kosten'), 25)
+    assert.equal(parsePercentage(40), 40)
+    assert.equal(parsePercentage('150%'), null)
+    assert.equal(parsePercentage('onbekend'), null)
+})
+
+test('normalizes dates to ISO 8601', () => {
+    assert.equal(parseDate('2025-04-01'), '2025-04-01')
+    assert.equal(parseDate('1-4-2025'), '2025-04-01')
+    assert.equal(parseDate('01/04/2025'), '2025-04-01')
+    assert.equal(parseDate('1 april 2025'), '2025-04-01')
+    assert.equal(parseDate('tot en met 15 sept. 2025'), '2025-09-15')
+    assert.equal(parseDate('31 februari 2025'), null)
+    assert.equal(parseDate('binnenkort'), null)
+    assert.equal(parseDate(undefined), null)
+})
+
+test('normalizes closing times to HH:MM', () => {
+    assert.equal(parseTime('17:00'), '17:00')
+    assert.equal(parseTime('17.00 uur'), '17:00')
+    assert.equal(parseTime('5 uur'), '05:00')
+    assert.equal(parseTime('25:00'), null)
+    assert.equal(parseTime('einde van de dag'), null)
+})
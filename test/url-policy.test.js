@@ -0,0 +1,28 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { UrlPolicy, isPrivateAddress } from '../url-policy.js'
+
+test('refuses IPv6 addresses that embed a private IPv4 address in any notation', () => {
+    const embedded = [
+        '::ffff:127.0.0.1', '::ffff:7f00:1',   // IPv4-mapped, dotted and hex
+        '::127.0.0.1', '::7f00:1',             // IPv4-compatible
+        '64:ff9b::a9fe:a9fe', '64:ff9b::169.254.169.254', // NAT64 to the cloud metadata address
+        '2002:a00:1::',                        // 6to4 of 10.0.0.1
+        '::ffff:0:c0a8:101'                    // IPv4-translated 192.168.1.1
+    ]
+    for (const address of embedded) {
+        assert.equal(isPrivateAddress(address), true, address)
+    }
+
+    for (const address of ['::ffff:808:808', '64:ff9b::808:808', '2606:4700:4700::1111']) {
+        assert.equal(isPrivateAddress(address), false, address)
+    }
+})
+
+test('refuses a literal IPv4-mapped URL that the URL parser rewrote to hex', () => {
+    const policy = new UrlPolicy({ allowAnyHost: true })
+
+    // new URL() turns [::ffff:127.0.0.1] into [::ffff:7f00:1]
+    assert.throws(() => policy.checkUrl('http://[::ffff:127.0.0.1]/'), { code: 'private_address' })
+    assert.throws(() => policy.checkUrl('http://[64:ff9b::a9fe:a9fe]/latest/meta-data/'), { code: 'private_address' })
+})
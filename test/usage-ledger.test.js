@@ -0,0 +1,19 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { UsageLedger } from '../usage-ledger.js'
+
+test('keeps every count made while the ledger is first loaded', async (t) => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'usage-'))
+    t.after(() => fs.promises.rm(directory, { recursive: true, force: true }))
+    const filePath = path.join(directory, 'usage.json')
+    await fs.promises.writeFile(filePath, JSON.stringify({ clients: { portal: { totals: { requests: 5 }, days: {} } } }))
+
+    const ledger = new UsageLedger({ filePath: filePath })
+    await Promise.all([ledger.recordRequest('portal'), ledger.recordRequest('portal'), ledger.recordRequest('website')])
+
+    assert.equal((await ledger.getClient('portal')).totals.requests, 7)
+    assert.equal((await ledger.getClient('website')).totals.requests, 1)
+})
@@ -0,0 +1,282 @@
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import { SITE_ADAPTERS } from './site-adapters.js'
+
+const DEFAULT_MAX_REDIRECTS = 5
+const DEFAULT_MAX_PAGE_BYTES = 5 * 1024 * 1024
+const DEFAULT_MAX_DOCUMENT_BYTES = 25 * 1024 * 1024
+
+// Content types accepted per kind of resource; a missing Content-Type is let through
+const ALLOWED_CONTENT_TYPES = {
+    page: [/^text\/html/i, /^application\/xhtml\+xml/i, /^(text|application)\/xml/i, /^text\/plain/i],
+    document: [
+        /^application\/pdf/i,
+        /^application\/(msword|rtf|vnd\.ms-excel|vnd\.ms-powerpoint)/i,
+        /^application\/vnd\.openxmlformats-officedocument\./i,
+        /^application\/vnd\.oasis\.opendocument\./i,
+        /^application\/(octet-stream|zip|x-download|force-download)/i,
+        /^text\/(plain|rtf|csv)/i
+    ]
+}
+
+// Blocked IPv4 ranges as [network, prefix length]: this network, private, CGNAT,
+// loopback, link-local (cloud metadata), IETF protocol assignments, benchmarking, multicast and reserved
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]
+
+/**
+ * Raised when a URL or a response is not allowed by the URL policy.
+ * code: invalid_url, host_not_allowed, private_address, too_many_redirects, too_large or unsupported_content_type
+ */
+class UrlPolicyError extends Error {
+    constructor(code, message) {
+        super(message)
+        this.name = 'UrlPolicyError'
+        this.code = code
+    }
+}
+
+/**
+ * Let go of a response body that is not going to be read
+ */
+function discardBody(response) {
+    if (response.body && typeof response.body.resume === 'function') response.body.resume()
+}
+
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((value, part) => value * 256 + Number(part), 0)
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address, a trailing dotted IPv4 part included
+ */
+function ipv6ToGroups(address) {
+    let text = address.toLowerCase().replace(/%.*$/, '')
+    const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/)
+    if (dotted) {
+        const value = ipv4ToNumber(dotted[1])
+        text = `${text.slice(0, -dotted[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`
+    }
+
+    const [head, tail] = text.includes('::') ? text.split('::') : [text, null]
+    const headGroups = head ? head.split(':') : []
+    const tailGroups = tail ? tail.split(':') : []
+    const zeros = tail === null ? 0 : 8 - headGroups.length - tailGroups.length
+    return [...headGroups, ...Array(zeros).fill('0'), ...tailGroups].map(group => parseInt(group, 16))
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise not on the public internet.
+ * IPv6 addresses that embed an IPv4 address are checked by that address, in any notation:
+ * IPv4-mapped (::ffff:127.0.0.1 or ::ffff:7f00:1), IPv4-compatible (::127.0.0.1),
+ * NAT64 (64:ff9b::a9fe:a9fe) and 6to4 (2002:7f00:1::).
+ */
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = ipv4ToNumber(address)
+        return BLOCKED_IPV4_RANGES.some(([network, prefix]) => {
+            const size = 2 ** (32 - prefix)
+            return Math.floor(value / size) === Math.floor(ipv4ToNumber(network) / size)
+        })
+    }
+
+    const groups = ipv6ToGroups(address)
+    const embedded = (high, low) => isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`)
+    const zeroUpTo = (count) => groups.slice(0, count).every(group => group === 0)
+
+    // ::/96 IPv4-compatible (includes :: and ::1), ::ffff:0:0/96 IPv4-mapped and ::ffff:0:0:0/96 IPv4-translated
+    if (zeroUpTo(6) || (zeroUpTo(5) && groups[5] === 0xffff) || (zeroUpTo(4) && groups[4] === 0xffff && groups[5] === 0)) {
+        return embedded(groups[6], groups[7])
+    }
+    // NAT64: the well-known prefix 64:ff9b::/96 embeds an IPv4 address, the local-use 64:ff9b:1::/48 is refused
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+        return groups.slice(2, 6).every(group => group === 0) ? embedded(groups[6], groups[7]) : groups[2] === 1
+    }
+    // 6to4 2002::/16 has the IPv4 address in the second and third group
+    if (groups[0] === 0x2002) return embedded(groups[1], groups[2])
+
+    return (groups[0] & 0xfe00) === 0xfc00 ||  // unique local fc00::/7
+        (groups[0] & 0xffc0) === 0xfe80 ||     // link-local fe80::/10
+        (groups[0] & 0xffc0) === 0xfec0 ||     // site-local fec0::/10 (deprecated)
+        (groups[0] & 0xff00) === 0xff00        // multicast ff00::/8
+}
+
+/**
+ * Which URLs the agent may fetch. Hosts come from the site adapters (plus
+ * ALLOWED_HOSTS), every hostname is resolved and refused when it points at a
+ * private, loopback or link-local address, and redirects are followed hop by
+ * hop so every target is checked again.
+ */
+class UrlPolicy {
+    /**
+     * Options:
+     * - adapters: site adapters whose hosts are allowed (default SITE_ADAPTERS)
+     * - allowedHosts: extra hosts, subdomains included (default from ALLOWED_HOSTS, comma separated)
+     * - allowAnyHost: skip the host allowlist, the address checks still apply (ALLOW_ANY_HOST=true)
+     * - allowPrivateNetworks: allow private and loopback addresses, for local development only
+     * - maxRedirects, maxPageBytes, maxDocumentBytes (MAX_PAGE_BYTES, MAX_DOCUMENT_BYTES)
+     * - lookup: dns.lookup compatible function, for tests
+     */
+    constructor(options = {}, env = process.env) {
+        const extraHosts = options.allowedHosts || (env.ALLOWED_HOSTS || '').split(',')
+        this.allowedHosts = [
+            ...(options.adapters || SITE_ADAPTERS).flatMap(adapter => adapter.hosts),
+            ...extraHosts.map(host => host.trim().toLowerCase()).filter(Boolean)
+        ]
+        this.allowAnyHost = options.allowAnyHost ?? env.ALLOW_ANY_HOST === 'true'
+        this.allowPrivateNetworks = options.allowPrivateNetworks ?? env.ALLOW_PRIVATE_NETWORKS === 'true'
+        this.maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS
+        this.maxBytes = {
+            page: options.maxPageBytes || Number(env.MAX_PAGE_BYTES) || DEFAULT_MAX_PAGE_BYTES,
+            document: options.maxDocumentBytes || Number(env.MAX_DOCUMENT_BYTES) || DEFAULT_MAX_DOCUMENT_BYTES
+        }
+        this.lookup = options.lookup || dns.lookup
+
+        // Connections resolve through the guarded lookup, so a DNS answer that changed after the check is caught too
+        const lookup = this.guardedLookup()
+        this.agents = {
+            'http:': new http.Agent({ lookup: lookup }),
+            'https:': new https.Agent({ lookup: lookup })
+        }
+    }
+
+    /**
+     * Whether a hostname is on the allowlist (exact or a subdomain)
+     */
+    isAllowedHost(hostname) {
+        const host = hostname.toLowerCase()
+        return this.allowAnyHost || this.allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))
+    }
+
+    /**
+     * Check the form of a URL and its host without network access, returns the parsed URL
+     */
+    checkUrl(url) {
+        let parsed
+        try {
+            parsed = new URL(url)
+        } catch (error) {
+            throw new UrlPolicyError('invalid_url', `Invalid URL: ${url}`)
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new UrlPolicyError('invalid_url', `Only http and https URLs are allowed: ${url}`)
+        }
+        if (parsed.username || parsed.password) {
+            throw new UrlPolicyError('invalid_url', `URLs with credentials are not allowed: ${parsed.hostname}`)
+        }
+
+        // Literal IP addresses are never on the allowlist, but are checked for private ranges when any host is allowed
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+        if (net.isIP(hostname)) {
+            if (!this.allowPrivateNetworks && isPrivateAddress(hostname)) {
+                throw new UrlPolicyError('private_address', `${hostname} is a private or local address`)
+            }
+            if (!this.allowAnyHost) {
+                throw new UrlPolicyError('host_not_allowed', `Host ${hostname} is not allowed`)
+            }
+        } else if (!this.isAllowedHost(hostname)) {
+            throw new UrlPolicyError('host_not_allowed', `Host ${hostname} is not allowed`)
+        }
+
+        return parsed
+    }
+
+    /**
+     * Check a URL including DNS: every address the host resolves to must be public
+     */
+    async validate(url) {
+        const parsed = this.checkUrl(url)
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+        if (net.isIP(hostname) || this.allowPrivateNetworks) return parsed
+
+        const addresses = await new Promise((resolve, reject) => {
+            this.lookup(hostname, { all: true }, (error, result) => error ? reject(error) : resolve(result))
+        })
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address))
+        if (blocked) {
+            throw new UrlPolicyError('private_address', `Host ${hostname} resolves to private or local address ${blocked.address}`)
+        }
+
+        return parsed
+    }
+
+    /**
+     * dns.lookup replacement for the HTTP agents that refuses private addresses
+     */
+    guardedLookup() {
+        return (hostname, options, callback) => {
+            this.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+                if (error) return callback(error)
+
+                const blocked = addresses.find(entry => isPrivateAddress(entry.address))
+                if (blocked && !this.allowPrivateNetworks) {
+                    return callback(new UrlPolicyError('private_address', `Host ${hostname} resolves to private or local address ${blocked.address}`))
+                }
+                if (options.all) return callback(null, addresses)
+                callback(null, addresses[0].address, addresses[0].family)
+            })
+        }
+    }
+
+    /**
+     * Refuse a response that is too large or of a content type that is not expected for its kind
+     */
+    checkResponse(response, url, kind) {
+        const length = Number(response.headers.get('content-length'))
+        if (length > this.maxBytes[kind]) {
+            throw new UrlPolicyError('too_large', `Response of ${url} is ${length} bytes, the limit for a ${kind} is ${this.maxBytes[kind]}`)
+        }
+
+        const contentType = response.headers.get('content-type')
+        if (response.ok && contentType && !ALLOWED_CONTENT_TYPES[kind].some(pattern => pattern.test(contentType))) {
+            throw new UrlPolicyError('unsupported_content_type', `Content type ${contentType} of ${url} is not allowed for a ${kind}`)
+        }
+    }
+
+    /**
+     * Fetch through fetchImpl under the policy, same signature as fetch plus
+     * options.kind ('page' or 'document', default page). Redirects are followed
+     * here, every hop is validated before it is requested.
+     */
+    async fetch(url, options, fetchImpl) {
+        const { kind = 'page', ...fetchOptions } = options
+        let current = url
+
+        for (let hop = 0; hop <= this.maxRedirects; hop++) {
+            const parsed = await this.validate(current)
+            const response = await fetchImpl(current, {
+                ...fetchOptions,
+                redirect: 'manual',
+                agent: this.agents[parsed.protocol],
+                // Streaming limit for bodies without a Content-Length
+                size: this.maxBytes[kind]
+            })
+
+            const location = response.headers.get('location')
+            if (response.status >= 300 && response.status < 400 && location) {
+                discardBody(response)
+                current = new URL(location, current).toString()
+                continue
+            }
+
+            if (fetchOptions.method !== 'HEAD') {
+                try {
+                    this.checkResponse(response, current, kind)
+                } catch (error) {
+                    discardBody(response)
+                    throw error
+                }
+            }
+            return response
+        }
+
+        throw new UrlPolicyError('too_many_redirects', `More than ${this.maxRedirects} redirects starting at ${url}`)
+    }
+}
+
+export { UrlPolicy, UrlPolicyError, isPrivateAddress, ALLOWED_CONTENT_TYPES }
@@ -0,0 +1,159 @@
+import fs from 'fs'
+import path from 'path'
+
+// Writes are batched, a burst of requests leads to one write
+const SAVE_DELAY_MS = 1000
+
+const COUNTERS = [
+    'requests',
+    'analyses',
+    'analyses_failed',
+    'pages_fetched',
+    'documents_fetched',
+    'llm_calls',
+    'prompt_tokens',
+    'completion_tokens',
+    'total_tokens',
+    'cost_eur'
+]
+
+function emptyCounters() {
+    return Object.fromEntries(COUNTERS.map(counter => [counter, 0]))
+}
+
+function today(now = new Date()) {
+    return now.toISOString().substring(0, 10)
+}
+
+/**
+ * Usage per API client, in total and per day (UTC), kept in one JSON file:
+ *   { "clients": { "<client>": { "totals": {...}, "days": { "2025-01-31": {...} } } } }
+ */
+class UsageLedger {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.USAGE_PATH || './data/usage.json'
+        this.data = null
+        this.loading = null
+        this.saveTimer = null
+    }
+
+    /**
+     * Read the ledger once; concurrent first callers share the same read, so
+     * none of them replaces counters another one already added. A failed read is retried.
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.read().then(data => {
+                this.data = data
+                return data
+            }, error => {
+                this.loading = null
+                throw error
+            })
+        }
+        return this.loading
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+            return { clients: {} }
+        }
+    }
+
+    /**
+     * Add to the counters of a client for today
+     */
+    async add(client, increments) {
+        const data = await this.load()
+        const usage = data.clients[client] ||= { totals: emptyCounters(), days: {} }
+        const day = usage.days[today()] ||= emptyCounters()
+
+        for (const [counter, value] of Object.entries(increments)) {
+            if (!COUNTERS.includes(counter) || !value) continue
+            // Counters added in a later version are missing from older ledgers
+            usage.totals[counter] = (usage.totals[counter] || 0) + value
+            day[counter] = (day[counter] || 0) + value
+        }
+        this.scheduleSave()
+    }
+
+    /**
+     * Count an API request
+     */
+    async recordRequest(client) {
+        await this.add(client, { requests: 1 })
+    }
+
+    /**
+     * Count a finished analysis job with the pages and tokens of its run
+     */
+    async recordJob(client, job) {
+        const usage = job.usage || { llm: {} }
+        await this.add(client, {
+            analyses: 1,
+            analyses_failed: job.status === 'failed' ? 1 : 0,
+            pages_fetched: usage.pages_fetched,
+            documents_fetched: usage.documents_fetched,
+            llm_calls: usage.llm.calls,
+            prompt_tokens: usage.llm.prompt_tokens,
+            completion_tokens: usage.llm.completion_tokens,
+            total_tokens: usage.llm.total_tokens,
+            cost_eur: usage.llm.cost_eur
+        })
+    }
+
+    /**
+     * Analyses of a client today, for the daily quota
+     */
+    async analysesToday(client) {
+        const data = await this.load()
+        const usage = data.clients[client]
+        return usage && usage.days[today()] ? usage.days[today()].analyses : 0
+    }
+
+    /**
+     * Usage of one client, days limited to the ones since `since` (YYYY-MM-DD) when given
+     */
+    async getClient(client, since = null) {
+        const data = await this.load()
+        const usage = data.clients[client]
+        if (!usage) return null
+
+        const days = Object.entries(usage.days)
+            .filter(([day]) => !since || day >= since)
+            .sort(([a], [b]) => a.localeCompare(b))
+        return { client: client, totals: usage.totals, days: Object.fromEntries(days) }
+    }
+
+    /**
+     * Usage of every client
+     */
+    async list(since = null) {
+        const data = await this.load()
+        return Promise.all(Object.keys(data.clients).sort().map(client => this.getClient(client, since)))
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null
+            this.save().catch(error => console.error(`⚠️  Could not save usage: ${error.message}`))
+        }, SAVE_DELAY_MS)
+        this.saveTimer.unref()
+    }
+
+    /**
+     * Write the ledger atomically
+     */
+    async save() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`
+        await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2))
+        await fs.promises.rename(tmpPath, this.filePath)
+    }
+}
+
+export { UsageLedger }